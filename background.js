@@ -0,0 +1,693 @@
+/**
+ * Background Script
+ * Keeps opted-in parent folders organised without the popup: AutoSorter re-sorts them once
+ * changes to their groups settle, Scheduler re-sorts them on a schedule using browser.alarms,
+ * FolderMenu sorts or reverts any folder from its bookmark context menu, Shortcuts re-sorts
+ * or reverts the last sorted folder from the keyboard, and StashSearch opens groups by date
+ * from the "stash" address bar keyword
+ */
+
+class AutoSorter {
+  constructor() {
+    // Service instances
+    this.storageService = new StorageService();
+    this.organizerService = new OrganizerService(new BookmarkService(), this.storageService, new DateParser());
+
+    // Wait this long after the last change to a parent before sorting it
+    this.DEBOUNCE_MS = 3000;
+
+    // Events that arrive this long after a sort or popup operation finishes are still treated as its own
+    this.SETTLE_MS = 1000;
+
+    // A popup operation that never reports back (e.g. the popup was closed) stops pausing after this long
+    this.MAX_SUSPEND_MS = 60000;
+
+    // Pending sort timer per parent folder ID
+    this.timers = new Map();
+
+    // Parent folder ID → time until which its bookmark events are ignored
+    this.ignoredUntil = new Map();
+  }
+
+  /**
+   * Starts listening for bookmark changes and popup messages
+   */
+  initialize() {
+    browser.bookmarks.onCreated.addListener((id, node) => {
+      this.handleChange(node.parentId);
+    });
+
+    browser.bookmarks.onChanged.addListener(async (id) => {
+      try {
+        const [node] = await browser.bookmarks.get(id);
+        this.handleChange(node.parentId);
+      } catch (error) {
+        // Removed before we could look at it; nothing left to sort
+      }
+    });
+
+    browser.bookmarks.onMoved.addListener((id, moveInfo) => {
+      this.handleChange(moveInfo.parentId);
+    });
+
+    // The popup pauses auto-sort for a folder while it rearranges, groups, archives or reverts it
+    browser.runtime.onMessage.addListener((message) => {
+      if (message && message.type === 'suspendAutoSort' && message.folderId) {
+        this.suspend(message.folderId, message.suspended !== false);
+      }
+    });
+  }
+
+  /**
+   * Schedules a sort of a parent folder after a change inside it, if the folder opted in
+   * Changes made while the folder is being sorted (by us or by the popup) are ignored,
+   * so auto-sort never reacts to its own moves or undoes a Revert
+   * @param {string} parentFolderId - Folder whose children changed
+   */
+  async handleChange(parentFolderId) {
+    if (!parentFolderId || this._isIgnored(parentFolderId)) {
+      return;
+    }
+
+    const folderSettings = await this.storageService.getFolderSettings(parentFolderId);
+    if (folderSettings.autoSort !== true) {
+      return;
+    }
+
+    // Debounce: every change restarts the wait, so a burst of new groups is sorted once
+    clearTimeout(this.timers.get(parentFolderId));
+    this.timers.set(parentFolderId, setTimeout(() => {
+      this.timers.delete(parentFolderId);
+      this.sortFolder(parentFolderId);
+    }, this.DEBOUNCE_MS));
+  }
+
+  /**
+   * Sorts a parent folder with its saved settings, ignoring the events the sort itself causes
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object} [details] - Extra fields stored with the backup, see OrganizerService.sortFolder()
+   * @param {{strategy?: string, direction?: string}} [overrides] - See OrganizerService.getSortSettings()
+   * @returns {Promise<{success: boolean, movedCount: number, skipped?: boolean, error?: string}>}
+   */
+  async sortFolder(parentFolderId, details = { automatic: true }, overrides = {}) {
+    return this._runIgnoringEvents(
+      parentFolderId,
+      () => this.organizerService.sortFolder(parentFolderId, details, overrides),
+      { verb: 'Sorting', emptyResult: { movedCount: 0 }, fallbackError: 'Failed to rearrange folders' }
+    );
+  }
+
+  /**
+   * Archives a parent folder's old groups with its saved settings, ignoring the events the moves cause
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object} [details] - Extra fields stored with the backup, see OrganizerService.archiveFolder()
+   * @returns {Promise<{success: boolean, archivedCount: number, skipped?: boolean, error?: string}>}
+   */
+  async archiveFolder(parentFolderId, details = { automatic: true }) {
+    return this._runIgnoringEvents(
+      parentFolderId,
+      () => this.organizerService.archiveFolder(parentFolderId, details),
+      { verb: 'Archiving', emptyResult: { archivedCount: 0 }, fallbackError: 'Failed to archive old folders' }
+    );
+  }
+
+  /**
+   * Pauses or resumes auto-sort for a folder while another operation changes it
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {boolean} suspended - True to pause, false to resume once its events have settled
+   */
+  suspend(parentFolderId, suspended) {
+    clearTimeout(this.timers.get(parentFolderId));
+    this.timers.delete(parentFolderId);
+    this.ignoredUntil.set(parentFolderId, Date.now() + (suspended ? this.MAX_SUSPEND_MS : this.SETTLE_MS));
+  }
+
+  /**
+   * Runs an operation on a parent folder while its bookmark events are ignored
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {function(): Promise<Object>} operation - Operation to run, resolving to a result object
+   * @param {{verb: string, emptyResult: Object, fallbackError: string}} labels - Log wording, and the
+   *   count fields returned when the operation didn't run or threw
+   * @returns {Promise<Object>} The operation's result
+   * @private
+   */
+  async _runIgnoringEvents(parentFolderId, operation, { verb, emptyResult, fallbackError }) {
+    // The popup may have started an operation while we were waiting
+    if (this._isIgnored(parentFolderId)) {
+      return {
+        success: false,
+        ...emptyResult,
+        skipped: true,
+        error: 'The folder was being changed at the time'
+      };
+    }
+
+    this.ignoredUntil.set(parentFolderId, Infinity);
+    try {
+      const result = await operation();
+      if (!result.success && !result.skipped) {
+        console.error(`${verb} ${parentFolderId} failed:`, result.error);
+      }
+      return result;
+    } catch (error) {
+      console.error(`${verb} ${parentFolderId} failed:`, error);
+      return {
+        success: false,
+        ...emptyResult,
+        error: error.message || fallbackError
+      };
+    } finally {
+      this.ignoredUntil.set(parentFolderId, Date.now() + this.SETTLE_MS);
+    }
+  }
+
+  /**
+   * Checks whether bookmark events for a folder are currently ignored
+   * @param {string} parentFolderId - Parent folder ID
+   * @returns {boolean}
+   * @private
+   */
+  _isIgnored(parentFolderId) {
+    return (this.ignoredUntil.get(parentFolderId) || 0) > Date.now();
+  }
+}
+
+class Scheduler {
+  /**
+   * @param {AutoSorter} autoSorter - Runs the sorts, so their own moves are ignored as for auto-sort
+   */
+  constructor(autoSorter) {
+    this.autoSorter = autoSorter;
+    this.storageService = autoSorter.storageService;
+    this.organizerService = autoSorter.organizerService;
+
+    // Alarm names are this prefix followed by the parent folder ID
+    this.ALARM_PREFIX = 'schedule:';
+
+    // Parent folder ID → schedule its alarm was last set for, as JSON
+    this.syncedSchedules = new Map();
+  }
+
+  /**
+   * Sets an alarm for every scheduled folder and keeps them in step with the saved schedules
+   */
+  initialize() {
+    browser.alarms.onAlarm.addListener((alarm) => {
+      this.handleAlarm(alarm);
+    });
+
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.storageService.STORAGE_KEYS.FOLDER_SETTINGS]) {
+        this.syncAlarms();
+      }
+    });
+
+    this.syncAlarms();
+  }
+
+  /**
+   * Creates, replaces or clears alarms so each scheduled folder has exactly one for its next run
+   */
+  async syncAlarms() {
+    try {
+      const scheduled = await this.storageService.getScheduledFolders();
+      const alarms = await browser.alarms.getAll();
+
+      // Clear alarms of folders whose schedule was switched off
+      for (const alarm of alarms) {
+        if (alarm.name.startsWith(this.ALARM_PREFIX) && !scheduled[alarm.name.slice(this.ALARM_PREFIX.length)]) {
+          await browser.alarms.clear(alarm.name);
+          this.syncedSchedules.delete(alarm.name.slice(this.ALARM_PREFIX.length));
+        }
+      }
+
+      // Set alarms for new schedules and move the ones whose schedule changed
+      for (const [parentFolderId, schedule] of Object.entries(scheduled)) {
+        const scheduleKey = JSON.stringify(schedule);
+        if (this.syncedSchedules.get(parentFolderId) !== scheduleKey) {
+          this.syncedSchedules.set(parentFolderId, scheduleKey);
+          const existing = alarms.find(alarm => alarm.name === `${this.ALARM_PREFIX}${parentFolderId}`);
+          await this._scheduleNextRun(parentFolderId, schedule, existing);
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing schedules:', error);
+    }
+  }
+
+  /**
+   * Runs the rearrange for a folder whose alarm went off, then archives its old groups if the folder
+   * opted in, records the outcome and sets the next alarm
+   * @param {{name: string}} alarm - Alarm that went off
+   */
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(this.ALARM_PREFIX)) {
+      return;
+    }
+
+    const parentFolderId = alarm.name.slice(this.ALARM_PREFIX.length);
+    const result = await this.autoSorter.sortFolder(parentFolderId, { automatic: true, scheduled: true });
+
+    const outcome = {
+      success: result.success,
+      movedCount: result.movedCount
+    };
+    if (result.skipped) {
+      outcome.skipped = true;
+    }
+    if (result.error) {
+      outcome.error = result.error;
+    }
+
+    const settings = await this.storageService.getFolderSettings(parentFolderId);
+    if (settings.archiveOnSchedule === true) {
+      const archived = await this.autoSorter.archiveFolder(parentFolderId, { automatic: true, scheduled: true });
+      if (archived.success) {
+        outcome.archivedCount = archived.archivedCount;
+      } else {
+        outcome.archiveError = archived.error;
+      }
+    }
+
+    try {
+      await this.storageService.saveRunOutcome(parentFolderId, outcome);
+    } catch (error) {
+      console.error(`Error recording scheduled run of ${parentFolderId}:`, error);
+    }
+
+    if (settings.schedule) {
+      await this._scheduleNextRun(parentFolderId, settings.schedule);
+    }
+  }
+
+  /**
+   * Sets the alarm for a folder's next scheduled run, replacing any earlier one
+   * Alarms fire once and are set again after each run, so daily and weekly runs stay at their
+   * time of day across daylight saving changes. Hourly runs are counted from the last run, so
+   * restarting Firefox doesn't keep pushing them back; an alarm already due within the hour is kept.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object} schedule - Folder schedule, see OrganizerService.getNextRunTime()
+   * @param {{scheduledTime: number}} [existing] - The folder's current alarm, if any
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _scheduleNextRun(parentFolderId, schedule, existing = null) {
+    const now = Date.now();
+    if (schedule.frequency === 'hourly' && existing &&
+        existing.scheduledTime > now && existing.scheduledTime <= now + 60 * 60 * 1000) {
+      return;
+    }
+
+    const lastRun = await this.storageService.getRunOutcome(parentFolderId);
+    const when = this.organizerService.getNextRunTime(schedule, now, lastRun ? lastRun.timestamp : null);
+    if (when === null) {
+      await browser.alarms.clear(`${this.ALARM_PREFIX}${parentFolderId}`);
+      return;
+    }
+
+    browser.alarms.create(`${this.ALARM_PREFIX}${parentFolderId}`, { when });
+  }
+}
+
+class FolderActions {
+  /**
+   * @param {AutoSorter} autoSorter - Runs the sorts, so their own moves are ignored as for auto-sort
+   */
+  constructor(autoSorter) {
+    this.autoSorter = autoSorter;
+    this.storageService = autoSorter.storageService;
+    this.organizerService = autoSorter.organizerService;
+
+    // What Revert undid, by backup operation
+    this.OPERATION_LABELS = {
+      rearrange: 'sort',
+      reformat: 'title reformat',
+      groupByPeriod: 'grouping by period',
+      archive: 'archive'
+    };
+  }
+
+  /**
+   * Sorts a folder the user picked with its saved settings, saving a backup first
+   * The folder is remembered as the last one sorted, for the keyboard shortcuts
+   * @param {{id: string, title: string}} folder - Parent folder
+   * @param {{strategy?: string, direction?: string}} [overrides] - See OrganizerService.getSortSettings()
+   * @returns {Promise<string>} Notification message
+   */
+  async sort(folder, overrides = {}) {
+    const result = await this.autoSorter.sortFolder(folder.id, {}, overrides);
+    const order = { desc: ' newest first', asc: ' oldest first' }[overrides.direction] || '';
+
+    if (!result.success) {
+      return `Could not sort "${folder.title}": ${result.error}`;
+    }
+
+    try {
+      await this.storageService.saveLastSortedFolder(folder.id);
+    } catch (error) {
+      console.error('Error remembering the sorted folder:', error);
+    }
+
+    if (result.movedCount === 0) {
+      return `"${folder.title}" is already sorted${order}.`;
+    }
+    return `Sorted ${result.movedCount} folder${result.movedCount !== 1 ? 's' : ''} in "${folder.title}"${order}.`;
+  }
+
+  /**
+   * Undoes the last operation on a folder, pausing auto-sort so it doesn't sort the folder again
+   * @param {{id: string, title: string}} folder - Parent folder
+   * @returns {Promise<string>} Notification message
+   */
+  async revert(folder) {
+    this.autoSorter.suspend(folder.id, true);
+    try {
+      const result = await this.organizerService.revertFolder(folder.id);
+      if (!result.success) {
+        return `Could not revert "${folder.title}": ${result.error}`;
+      }
+      return `Reverted the last ${this.OPERATION_LABELS[result.operation] || 'sort'} of "${folder.title}".`;
+    } finally {
+      this.autoSorter.suspend(folder.id, false);
+    }
+  }
+
+  /**
+   * Shows a notification
+   * @param {string} message - Notification text
+   */
+  notify(message) {
+    browser.notifications.create({
+      type: 'basic',
+      iconUrl: browser.runtime.getURL('icons/icon-96.png'),
+      title: 'Bookmark Folder Organizer',
+      message
+    });
+  }
+}
+
+class FolderMenu {
+  /**
+   * @param {FolderActions} actions - Sorts, reverts and reports the outcome
+   */
+  constructor(actions) {
+    this.actions = actions;
+    this.storageService = actions.storageService;
+
+    // Sort menu items and the sort each one runs instead of the folder's saved sort key and order
+    this.SORT_ITEMS = {
+      sortNewestFirst: { title: 'Sort subfolders by date (newest first)', overrides: { strategy: 'date', direction: 'desc' } },
+      sortOldestFirst: { title: 'Sort subfolders by date (oldest first)', overrides: { strategy: 'date', direction: 'asc' } }
+    };
+    this.REVERT_ITEM = 'revertLastSort';
+  }
+
+  /**
+   * Adds the menu items to bookmark context menus and starts listening for clicks
+   */
+  initialize() {
+    for (const [id, item] of Object.entries(this.SORT_ITEMS)) {
+      browser.menus.create({ id, title: item.title, contexts: ['bookmark'] });
+    }
+    browser.menus.create({ id: this.REVERT_ITEM, title: 'Revert last sort', contexts: ['bookmark'] });
+
+    browser.menus.onShown.addListener((info) => {
+      this.handleShown(info);
+    });
+
+    browser.menus.onClicked.addListener((info) => {
+      this.handleClick(info);
+    });
+  }
+
+  /**
+   * Shows the items only on folders, and Revert only when the folder has a backup
+   * @param {{bookmarkId?: string}} info - Menu info for the clicked bookmark
+   */
+  async handleShown(info) {
+    if (!info.bookmarkId) {
+      return;
+    }
+
+    try {
+      const [node] = await browser.bookmarks.get(info.bookmarkId);
+      const isFolder = node.type ? node.type === 'folder' : !node.url;
+      const hasBackup = isFolder && await this.storageService.hasBackup(node.id);
+
+      for (const id of Object.keys(this.SORT_ITEMS)) {
+        browser.menus.update(id, { visible: isFolder });
+      }
+      browser.menus.update(this.REVERT_ITEM, { visible: isFolder, enabled: hasBackup });
+      browser.menus.refresh();
+    } catch (error) {
+      console.error('Error updating the folder menu:', error);
+    }
+  }
+
+  /**
+   * Sorts or reverts the clicked folder and reports the outcome in a notification
+   * @param {{menuItemId: string, bookmarkId?: string}} info - Menu info for the clicked item
+   */
+  async handleClick(info) {
+    const sortItem = this.SORT_ITEMS[info.menuItemId];
+    if (!info.bookmarkId || (!sortItem && info.menuItemId !== this.REVERT_ITEM)) {
+      return;
+    }
+
+    try {
+      const [folder] = await browser.bookmarks.get(info.bookmarkId);
+      const message = sortItem
+        ? await this.actions.sort(folder, sortItem.overrides)
+        : await this.actions.revert(folder);
+      this.actions.notify(message);
+    } catch (error) {
+      console.error('Error running the folder menu:', error);
+      this.actions.notify('Something went wrong. Open the extension popup to try again.');
+    }
+  }
+}
+
+class Shortcuts {
+  /**
+   * @param {FolderActions} actions - Sorts, reverts and reports the outcome
+   */
+  constructor(actions) {
+    this.actions = actions;
+    this.storageService = actions.storageService;
+
+    // Commands from manifest.json handled here; _execute_browser_action (open the popup) is handled by Firefox
+    this.RESORT_COMMAND = 'resortLastFolder';
+    this.REVERT_COMMAND = 'revertLastFolder';
+  }
+
+  /**
+   * Starts listening for keyboard shortcuts
+   */
+  initialize() {
+    browser.commands.onCommand.addListener((command) => {
+      this.handleCommand(command);
+    });
+  }
+
+  /**
+   * Re-sorts or reverts the folder the user last sorted, from the popup or the folder menu
+   * @param {string} command - Command name from manifest.json
+   */
+  async handleCommand(command) {
+    if (command !== this.RESORT_COMMAND && command !== this.REVERT_COMMAND) {
+      return;
+    }
+
+    try {
+      const folderId = await this.storageService.getLastSortedFolder();
+      if (!folderId) {
+        this.actions.notify('No folder has been sorted yet. Sort one from the popup or its context menu first.');
+        return;
+      }
+
+      let folder;
+      try {
+        [folder] = await browser.bookmarks.get(folderId);
+      } catch (error) {
+        this.actions.notify('The last sorted folder no longer exists. Sort another folder first.');
+        return;
+      }
+
+      const message = command === this.RESORT_COMMAND
+        ? await this.actions.sort(folder)
+        : await this.actions.revert(folder);
+      this.actions.notify(message);
+    } catch (error) {
+      console.error('Error running the keyboard shortcut:', error);
+      this.actions.notify('Something went wrong. Open the extension popup to try again.');
+    }
+  }
+}
+
+class StashSearch {
+  /**
+   * @param {FolderActions} actions - Reports problems in a notification
+   */
+  constructor(actions) {
+    this.actions = actions;
+    this.storageService = actions.storageService;
+    this.organizerService = actions.organizerService;
+    this.dateParser = actions.organizerService.dateParser;
+
+    // Most groups suggested for one query, and what to show when the text isn't a date
+    this.MAX_SUGGESTIONS = 8;
+    this.HINT = 'Type a date or range, e.g. 2025-10, last week, last tuesday or 12-10-25';
+
+    // Suggestion text → folder ID for the suggestions last shown
+    this.suggested = new Map();
+  }
+
+  /**
+   * Starts listening for input after the "stash" keyword in the address bar
+   */
+  initialize() {
+    browser.omnibox.setDefaultSuggestion({ description: this.HINT });
+
+    browser.omnibox.onInputChanged.addListener((text, suggest) => {
+      this.handleInput(text).then(suggest);
+    });
+
+    browser.omnibox.onInputEntered.addListener((text, disposition) => {
+      this.handleEnter(text, disposition);
+    });
+  }
+
+  /**
+   * Suggests the groups dated within the typed date or range
+   * @param {string} text - Text typed after the keyword
+   * @returns {Promise<Array<{content: string, description: string}>>} Suggestions, newest group first
+   */
+  async handleInput(text) {
+    this.suggested.clear();
+
+    try {
+      const { groups, error } = await this._findGroups(text);
+      if (error) {
+        browser.omnibox.setDefaultSuggestion({ description: error });
+        return [];
+      }
+
+      browser.omnibox.setDefaultSuggestion({
+        description: groups.length > 0
+          ? `${groups.length} group${groups.length !== 1 ? 's' : ''} found: press Enter to open the newest, or pick one`
+          : `No groups found for "${text.trim()}"`
+      });
+
+      return groups.slice(0, this.MAX_SUGGESTIONS).map(group => {
+        // Suggestions need distinct text, and groups may share a title
+        let content = group.title;
+        for (let n = 2; this.suggested.has(content); n++) {
+          content = `${group.title} (${n})`;
+        }
+        this.suggested.set(content, group.id);
+
+        return {
+          content,
+          description: `${group.title} — ${group.bookmarkCount} tab${group.bookmarkCount !== 1 ? 's' : ''}`
+        };
+      });
+    } catch (error) {
+      console.error('Error searching stash groups:', error);
+      browser.omnibox.setDefaultSuggestion({ description: this.HINT });
+      return [];
+    }
+  }
+
+  /**
+   * Opens every tab of the chosen group, or of the newest match when Enter was pressed on the typed text
+   * @param {string} text - Chosen suggestion or typed text
+   * @param {string} disposition - 'currentTab', 'newForegroundTab' or 'newBackgroundTab'
+   */
+  async handleEnter(text, disposition) {
+    try {
+      let folderId = this.suggested.get(text);
+      if (!folderId) {
+        const { groups, error } = await this._findGroups(text);
+        if (error || groups.length === 0) {
+          this.actions.notify(error || `No groups found for "${text.trim()}".`);
+          return;
+        }
+        folderId = groups[0].id;
+      }
+
+      await this._openGroup(folderId, disposition);
+    } catch (error) {
+      console.error('Error opening stash group:', error);
+      this.actions.notify('Could not open the group. Open the extension popup to try again.');
+    }
+  }
+
+  /**
+   * Finds the groups in the search folder dated within the typed date or range
+   * @param {string} text - Typed text
+   * @returns {Promise<{groups?: Object[], error?: string}>} Groups from OrganizerService.findFoldersByDate(),
+   *   or why there are none to look at
+   * @private
+   */
+  async _findGroups(text) {
+    const parentFolderId = (await this.storageService.getSearchFolder()) || (await this.storageService.getLastSortedFolder());
+    if (!parentFolderId) {
+      return { error: 'Choose a folder to search in the extension popup first' };
+    }
+
+    // Short dashed dates are read in the order the chosen display format writes them
+    const dateFormat = await this.storageService.getDateFormat();
+    const range = this.dateParser.parseDateRange(text, dateFormat.startsWith('MM-DD') ? { convention: 'MDY' } : {});
+    if (!range) {
+      return { error: this.HINT };
+    }
+
+    return { groups: await this.organizerService.findFoldersByDate(parentFolderId, range) };
+  }
+
+  /**
+   * Opens the bookmarks of a group as tabs
+   * Bookmarks Firefox won't open from an extension (e.g. about: pages) are skipped
+   * @param {string} folderId - Group folder ID
+   * @param {string} disposition - Where the first tab goes, see handleEnter()
+   * @private
+   */
+  async _openGroup(folderId, disposition) {
+    const children = await browser.bookmarks.getChildren(folderId);
+    const urls = children.filter(child => child.url).map(child => child.url);
+    let skipped = 0;
+
+    for (const [i, url] of urls.entries()) {
+      try {
+        if (i === 0 && disposition === 'currentTab') {
+          await browser.tabs.update({ url });
+        } else {
+          await browser.tabs.create({ url, active: i === 0 && disposition === 'newForegroundTab' });
+        }
+      } catch (error) {
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      this.actions.notify(`${skipped} of ${urls.length} bookmarks could not be opened as tabs.`);
+    }
+  }
+}
+
+const autoSorter = new AutoSorter();
+autoSorter.initialize();
+
+const scheduler = new Scheduler(autoSorter);
+scheduler.initialize();
+
+const folderActions = new FolderActions(autoSorter);
+
+const folderMenu = new FolderMenu(folderActions);
+folderMenu.initialize();
+
+const shortcuts = new Shortcuts(folderActions);
+shortcuts.initialize();
+
+const stashSearch = new StashSearch(folderActions);
+stashSearch.initialize();
@@ -18,6 +18,7 @@ INCLUDE_PATTERNS = [
     "popup.html",
     "popup.css",
     "popup.js",
+    "background.js",
     "README.md",
     "services/*.js",
     "icons/*.png"
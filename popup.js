@@ -9,23 +9,94 @@ class UIController {
     this.storageService = new StorageService();
     this.bookmarkService = new BookmarkService();
     this.dateParser = new DateParser();
+    this.organizerService = new OrganizerService(this.bookmarkService, this.storageService, this.dateParser);
+
+    // Built-in date display formats offered as radio buttons
+    this.PRESET_DATE_FORMATS = ['DD-MM-YY', 'MM-DD-YY', 'YYYY-MM-DD'];
+
+    // Sort order labels for each sort strategy
+    this.DIRECTION_LABELS = {
+      date: { desc: 'Newest first', asc: 'Oldest first' },
+      title: { asc: 'A → Z', desc: 'Z → A' },
+      childCount: { desc: 'Most bookmarks first', asc: 'Fewest bookmarks first' },
+      modified: { desc: 'Recently modified first', asc: 'Least recently modified first' },
+      domain: { asc: 'A → Z', desc: 'Z → A' }
+    };
+
+    // Backup history labels for each operation
+    this.OPERATION_LABELS = {
+      rearrange: 'Rearrange',
+      reformat: 'Reformat titles',
+      groupByPeriod: 'Group by period',
+      archive: 'Archive'
+    };
 
     // UI state
     this.state = {
       selectedFolderId: null,
       dateFormat: 'YYYY-MM-DD',
+      dateSources: ['title'],
       subfoldersCount: 0,
       hasBackup: false,
-      isLoading: false
+      isLoading: false,
+      folderSettings: {},
+      conventionAnalysis: null,
+      lastRun: null,
+      searchFolderId: null,
+      pendingPlan: null,
+      backupHistory: [],
+      historyPreview: null
     };
 
     // DOM element references
     this.elements = {
       folderSelector: document.getElementById('folderSelector'),
       subfolderCount: document.getElementById('subfolderCount'),
+      folderSettings: document.getElementById('folderSettings'),
+      dateConvention: document.getElementById('dateConvention'),
+      conventionHint: document.getElementById('conventionHint'),
+      dateSelection: document.getElementById('dateSelection'),
+      sortStrategy: document.getElementById('sortStrategy'),
+      sortDirection: document.getElementById('sortDirection'),
+      tieBreakerSelects: document.querySelectorAll('.tie-breaker'),
+      otherItems: document.getElementById('otherItems'),
+      undatedPlacement: document.getElementById('undatedPlacement'),
+      sortBookmarks: document.getElementById('sortBookmarks'),
+      includeNested: document.getElementById('includeNested'),
+      nestedDepth: document.getElementById('nestedDepth'),
+      onConflict: document.getElementById('onConflict'),
+      autoSort: document.getElementById('autoSort'),
+      scheduleFrequency: document.getElementById('scheduleFrequency'),
+      scheduleWeekday: document.getElementById('scheduleWeekday'),
+      scheduleTime: document.getElementById('scheduleTime'),
+      scheduleStatus: document.getElementById('scheduleStatus'),
+      searchFolder: document.getElementById('searchFolder'),
+      archiveAfterDays: document.getElementById('archiveAfterDays'),
+      archiveFolder: document.getElementById('archiveFolder'),
+      archiveOnSchedule: document.getElementById('archiveOnSchedule'),
+      pinList: document.getElementById('pinList'),
+      pinType: document.getElementById('pinType'),
+      pinPattern: document.getElementById('pinPattern'),
+      pinPosition: document.getElementById('pinPosition'),
+      addPinBtn: document.getElementById('addPinBtn'),
       dateFormatRadios: document.querySelectorAll('input[name="dateFormat"]'),
+      customTemplate: document.getElementById('customTemplate'),
+      useTemplateBtn: document.getElementById('useTemplateBtn'),
+      savedTemplates: document.getElementById('savedTemplates'),
+      templatePreview: document.getElementById('templatePreview'),
+      dateSourceCheckboxes: document.querySelectorAll('input[name="dateSource"]'),
       rearrangeBtn: document.getElementById('rearrangeBtn'),
+      reformatBtn: document.getElementById('reformatBtn'),
+      groupBtn: document.getElementById('groupBtn'),
+      archiveBtn: document.getElementById('archiveBtn'),
       revertBtn: document.getElementById('revertBtn'),
+      preview: document.getElementById('preview'),
+      previewSummary: document.getElementById('previewSummary'),
+      previewList: document.getElementById('previewList'),
+      applyBtn: document.getElementById('applyBtn'),
+      cancelBtn: document.getElementById('cancelBtn'),
+      backupHistory: document.getElementById('backupHistory'),
+      historyList: document.getElementById('historyList'),
       loadingSpinner: document.getElementById('loadingSpinner'),
       statusMessage: document.getElementById('statusMessage')
     };
@@ -74,11 +145,46 @@ class UIController {
    */
   _disableAllControls() {
     this.elements.folderSelector.disabled = true;
+    this.elements.dateConvention.disabled = true;
+    this.elements.dateSelection.disabled = true;
+    this.elements.sortStrategy.disabled = true;
+    this.elements.sortDirection.disabled = true;
+    this.elements.tieBreakerSelects.forEach(select => {
+      select.disabled = true;
+    });
+    this.elements.otherItems.disabled = true;
+    this.elements.undatedPlacement.disabled = true;
+    this.elements.sortBookmarks.disabled = true;
+    this.elements.includeNested.disabled = true;
+    this.elements.nestedDepth.disabled = true;
+    this.elements.onConflict.disabled = true;
+    this.elements.autoSort.disabled = true;
+    this.elements.scheduleFrequency.disabled = true;
+    this.elements.scheduleWeekday.disabled = true;
+    this.elements.scheduleTime.disabled = true;
+    this.elements.searchFolder.disabled = true;
+    this.elements.archiveAfterDays.disabled = true;
+    this.elements.archiveFolder.disabled = true;
+    this.elements.archiveOnSchedule.disabled = true;
+    this.elements.pinType.disabled = true;
+    this.elements.pinPattern.disabled = true;
+    this.elements.pinPosition.disabled = true;
+    this.elements.addPinBtn.disabled = true;
     this.elements.rearrangeBtn.disabled = true;
+    this.elements.reformatBtn.disabled = true;
+    this.elements.groupBtn.disabled = true;
+    this.elements.archiveBtn.disabled = true;
     this.elements.revertBtn.disabled = true;
+    this.elements.applyBtn.disabled = true;
+    this.elements.cancelBtn.disabled = true;
     this.elements.dateFormatRadios.forEach(radio => {
       radio.disabled = true;
     });
+    this.elements.customTemplate.disabled = true;
+    this.elements.useTemplateBtn.disabled = true;
+    this.elements.dateSourceCheckboxes.forEach(checkbox => {
+      checkbox.disabled = true;
+    });
   }
 
   /**
@@ -91,24 +197,212 @@ class UIController {
       this.handleFolderSelection(e.target.value);
     });
 
+    // Day/month order override for the selected folder
+    this.elements.dateConvention.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ dateConvention: e.target.value });
+    });
+
+    // Which timestamp to use when a title has several
+    this.elements.dateSelection.addEventListener('change', (e) => {
+      const value = e.target.value;
+      this.handleFolderSettingChange({ dateSelection: /^\d+$/.test(value) ? Number(value) : value });
+    });
+
+    // Sort key for the selected folder; the direction resets to the key's default
+    this.elements.sortStrategy.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ sortStrategy: e.target.value, sortDirection: undefined });
+    });
+
+    // Sort direction for the selected folder
+    this.elements.sortDirection.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ sortDirection: e.target.value });
+    });
+
+    // Tie-breakers for folders sharing the same sort key, in the order shown
+    this.elements.tieBreakerSelects.forEach(select => {
+      select.addEventListener('change', () => {
+        const tieBreakers = Array.from(this.elements.tieBreakerSelects)
+          .map(tieBreaker => tieBreaker.value)
+          .filter((value, i, values) => value && values.indexOf(value) === i);
+        this.handleFolderSettingChange({ tieBreakers });
+      });
+    });
+
+    // Where folders without a date go
+    this.elements.undatedPlacement.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ undatedPlacement: e.target.value });
+    });
+
+    // Where loose bookmarks and separators go, and whether they are sorted too
+    this.elements.otherItems.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ otherItems: e.target.value });
+    });
+    this.elements.sortBookmarks.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ sortBookmarks: e.target.checked });
+    });
+
+    // Recursive mode and how many levels it descends
+    this.elements.includeNested.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ includeNested: e.target.checked });
+    });
+    this.elements.nestedDepth.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ nestedDepth: Number(e.target.value) });
+    });
+
+    // Whether a sort re-plans or stops when Tab Stash changes the folder underneath it
+    this.elements.onConflict.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ onConflict: e.target.value });
+    });
+
+    // Background auto-sort of this folder whenever its groups change
+    this.elements.autoSort.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ autoSort: e.target.checked });
+    });
+
+    // Scheduled rearrange of this folder, run by the background script
+    [this.elements.scheduleFrequency, this.elements.scheduleWeekday, this.elements.scheduleTime].forEach(field => {
+      field.addEventListener('change', () => {
+        this.handleScheduleChange();
+      });
+    });
+
+    // Folder searched by the "stash" address bar keyword
+    this.elements.searchFolder.addEventListener('change', (e) => {
+      this.handleSearchFolderChange(e.target.checked);
+    });
+
+    // Archive age and destination, saved per folder so scheduled runs archive the same way
+    this.elements.archiveAfterDays.addEventListener('change', (e) => {
+      const days = Number(e.target.value);
+      if (Number.isInteger(days) && days > 0) {
+        this.handleFolderSettingChange({ archiveAfterDays: days });
+      } else {
+        this.showMessage('Enter a whole number of days, 1 or more.', 'warning');
+        this.updateUI();
+      }
+    });
+    this.elements.archiveFolder.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ archiveFolderId: e.target.value || null });
+    });
+    this.elements.archiveOnSchedule.addEventListener('change', (e) => {
+      this.handleFolderSettingChange({ archiveOnSchedule: e.target.checked });
+    });
+
+    // Pin rules: add via button or Enter key, remove via each rule's × button
+    this.elements.addPinBtn.addEventListener('click', () => {
+      this.handleAddPin();
+    });
+    this.elements.pinPattern.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.handleAddPin();
+      }
+    });
+    this.elements.pinType.addEventListener('change', (e) => {
+      this.elements.pinPattern.placeholder = e.target.value === 'marker'
+        ? this.bookmarkService.DEFAULT_PIN_MARKER
+        : (e.target.value === 'regex' ? 'e.g. ^reading' : 'e.g. Inbox');
+    });
+    this.elements.pinList.addEventListener('click', (e) => {
+      const button = e.target.closest('.pin-remove');
+      if (button) {
+        this.handleRemovePin(Number(button.dataset.index));
+      }
+    });
+
     // Date format radio button change events
     this.elements.dateFormatRadios.forEach(radio => {
       radio.addEventListener('change', (e) => {
-        if (e.target.checked) {
-          this.handleDateFormatChange(e.target.value);
+        if (!e.target.checked) {
+          return;
+        }
+        
+        // The custom option only takes effect once a template is applied
+        if (e.target.value === 'custom') {
+          this.updateUI();
+          this.elements.customTemplate.focus();
+          this._updateTemplatePreview();
+        } else {
+          // Re-check the saved format's radio when the new one couldn't be saved
+          this.handleDateFormatChange(e.target.value).then(saved => {
+            if (!saved) {
+              this.updateUI();
+            }
+          });
         }
       });
     });
 
+    // Live preview while typing a custom template
+    this.elements.customTemplate.addEventListener('input', () => {
+      this._updateTemplatePreview();
+    });
+
+    // Apply custom template via button or Enter key
+    this.elements.useTemplateBtn.addEventListener('click', () => {
+      this.handleCustomTemplate(this.elements.customTemplate.value.trim());
+    });
+    this.elements.customTemplate.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        this.handleCustomTemplate(this.elements.customTemplate.value.trim());
+      }
+    });
+
+    // Date source checkbox change events
+    this.elements.dateSourceCheckboxes.forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.handleDateSourcesChange();
+      });
+    });
+
     // Rearrange button click event
     this.elements.rearrangeBtn.addEventListener('click', () => {
       this.handleRearrange();
     });
 
+    // Reformat titles button click event
+    this.elements.reformatBtn.addEventListener('click', () => {
+      this.handleReformat();
+    });
+
+    // Group by period button click event
+    this.elements.groupBtn.addEventListener('click', () => {
+      this.handleGroupByPeriod();
+    });
+
+    // Archive old groups button click event
+    this.elements.archiveBtn.addEventListener('click', () => {
+      this.handleArchive();
+    });
+
     // Revert button click event
     this.elements.revertBtn.addEventListener('click', () => {
       this.handleRevert();
     });
+
+    // Apply or discard the rearrange preview
+    this.elements.applyBtn.addEventListener('click', () => {
+      this.handleApplyPlan();
+    });
+    this.elements.cancelBtn.addEventListener('click', () => {
+      this.handleCancelPlan();
+    });
+
+    // Backup history: preview, restore or delete a snapshot
+    this.elements.historyList.addEventListener('click', (e) => {
+      const button = e.target.closest('.history-action');
+      if (!button) {
+        return;
+      }
+      
+      const snapshotId = button.dataset.id;
+      if (button.dataset.action === 'preview') {
+        this.handlePreviewSnapshot(snapshotId);
+      } else if (button.dataset.action === 'restore') {
+        this.handleRevert(snapshotId);
+      } else if (button.dataset.action === 'delete') {
+        this.handleDeleteSnapshot(snapshotId);
+      }
+    });
   }
 
   /**
@@ -126,11 +420,28 @@ class UIController {
 
       // Update UI to reflect the loaded preference
       this.elements.dateFormatRadios.forEach(radio => {
-        if (radio.value === dateFormat) {
+        if (radio.value === this._getDateFormatOption(dateFormat)) {
           radio.checked = true;
         }
       });
 
+      // Restore custom template field and saved template suggestions
+      if (!this.PRESET_DATE_FORMATS.includes(dateFormat)) {
+        this.elements.customTemplate.value = dateFormat;
+      }
+      await this._loadCustomTemplates();
+      this._updateTemplatePreview();
+
+      // Get date source chain (defaults to every source)
+      this.state.dateSources = await this.storageService.getDateSources();
+      this.elements.dateSourceCheckboxes.forEach(checkbox => {
+        checkbox.checked = this.state.dateSources.includes(checkbox.value);
+      });
+
+      // Folder the address bar keyword searches (the last sorted folder when unset)
+      this.state.searchFolderId = await this.storageService.getSearchFolder();
+      this.updateUI();
+
     } catch (error) {
       console.error('Error loading user preferences:', error);
       
@@ -171,6 +482,12 @@ class UIController {
       // Build hierarchical select options with indentation
       this._buildFolderOptions(folders, 0);
       
+      // Offer the same folders as archive destinations
+      this.elements.archiveFolder.innerHTML = '<option value="">"Archive" inside this folder</option>';
+      Array.from(this.elements.folderSelector.options).slice(1).forEach(option => {
+        this.elements.archiveFolder.appendChild(option.cloneNode(true));
+      });
+      
     } catch (error) {
       console.error('Error loading folder tree:', error);
       
@@ -188,6 +505,18 @@ class UIController {
     }
   }
 
+  /**
+   * Reloads the folder selector after folders were created or removed, keeping the selection
+   * @private
+   */
+  async _refreshFolderTree() {
+    await this.loadFolderTree();
+    this.elements.folderSelector.value = this.state.selectedFolderId;
+    
+    const subfolders = await this.bookmarkService.getSubfolders(this.state.selectedFolderId);
+    this.updateUI({ subfoldersCount: subfolders.length });
+  }
+
   /**
    * Recursively builds folder options with hierarchical indentation
    * @param {Array} folders - Array of folder nodes
@@ -220,6 +549,9 @@ class UIController {
    * @param {string} folderId - Selected folder ID
    */
   async handleFolderSelection(folderId) {
+    // A preview only applies to the folder it was planned for
+    this.state.pendingPlan = null;
+    
     try {
       // If no folder selected, reset UI
       if (!folderId) {
@@ -254,11 +586,26 @@ class UIController {
       // Check if backup exists for selected folder
       const hasBackup = await this.storageService.hasBackup(folderId);
       
+      // Load per-folder settings and infer the day/month order of its titles
+      const folderSettings = await this.storageService.getFolderSettings(folderId);
+      const conventionAnalysis = this.dateParser.analyzeConvention(subfolders.map(folder => folder.title));
+      
+      // Outcome of the last scheduled run, shown next to the schedule
+      const lastRun = await this.storageService.getRunOutcome(folderId);
+      
+      // Earlier backups that can be previewed and restored
+      const backupHistory = await this.storageService.getBackupHistory(folderId);
+      
       // Update UI with new state
       this.updateUI({
         selectedFolderId: folderId,
         subfoldersCount: subfolders.length,
-        hasBackup: hasBackup
+        hasBackup: hasBackup,
+        folderSettings: folderSettings,
+        conventionAnalysis: conventionAnalysis,
+        lastRun: lastRun,
+        backupHistory: backupHistory,
+        historyPreview: null
       });
       
     } catch (error) {
@@ -282,33 +629,272 @@ class UIController {
     }
   }
 
+  /**
+   * Handles a change to one of the selected folder's settings
+   * @param {Object} updates - Settings to save, e.g. { dateConvention: 'DMY' }
+   */
+  async handleFolderSettingChange(updates) {
+    if (!this.state.selectedFolderId) {
+      return;
+    }
+    
+    try {
+      await this.storageService.saveFolderSettings(this.state.selectedFolderId, updates);
+      this.updateUI({
+        folderSettings: { ...this.state.folderSettings, ...updates },
+        pendingPlan: null
+      });
+    } catch (error) {
+      console.error('Error saving folder settings:', error);
+      this.showMessage('Unable to save settings for this folder. Browser storage may be unavailable.', 'warning');
+    }
+  }
+
+  /**
+   * Saves the selected folder's schedule from the schedule fields
+   */
+  async handleScheduleChange() {
+    const frequency = this.elements.scheduleFrequency.value;
+    const time = this.elements.scheduleTime.value || this.organizerService.DEFAULT_SCHEDULE_TIME;
+    const schedule = { frequency, time, weekday: Number(this.elements.scheduleWeekday.value) };
+    
+    if (this.organizerService.getNextRunTime(schedule) === null && frequency !== 'off') {
+      this.showMessage('Enter a time of day such as 09:00.', 'warning');
+      return;
+    }
+    
+    await this.handleFolderSettingChange({ schedule });
+  }
+
+  /**
+   * Makes the selected folder the one the "stash" address bar keyword searches, or stops searching it
+   * @param {boolean} searched - True to search the selected folder
+   */
+  async handleSearchFolderChange(searched) {
+    if (!this.state.selectedFolderId) {
+      return;
+    }
+    
+    const searchFolderId = searched ? this.state.selectedFolderId : null;
+    try {
+      await this.storageService.saveSearchFolder(searchFolderId);
+      this.updateUI({ searchFolderId });
+    } catch (error) {
+      console.error('Error saving search folder:', error);
+      this.showMessage('Unable to save the search folder. Browser storage may be unavailable.', 'warning');
+      this.updateUI();
+    }
+  }
+
+  /**
+   * Adds a pin rule for the selected folder from the pin fields
+   */
+  async handleAddPin() {
+    const rule = {
+      type: this.elements.pinType.value,
+      pattern: this.elements.pinPattern.value.trim(),
+      position: this.elements.pinPosition.value
+    };
+    
+    const error = this.bookmarkService.validatePinRule(rule);
+    if (error) {
+      this.showMessage(`${error}.`, 'warning');
+      return;
+    }
+    
+    const pinRules = this.state.folderSettings.pinRules || [];
+    if (pinRules.some(existing => existing.type === rule.type && existing.pattern === rule.pattern)) {
+      this.showMessage('That folder is already pinned.', 'info');
+      return;
+    }
+    
+    await this.handleFolderSettingChange({ pinRules: [...pinRules, rule] });
+    this.elements.pinPattern.value = '';
+  }
+
+  /**
+   * Removes one of the selected folder's pin rules
+   * @param {number} index - Position of the rule in the folder's pinRules
+   */
+  async handleRemovePin(index) {
+    const pinRules = (this.state.folderSettings.pinRules || []).filter((rule, i) => i !== index);
+    await this.handleFolderSettingChange({ pinRules });
+  }
+
+  /**
+   * Describes a pin rule for the pin list
+   * @param {{type: string, pattern: string, position: string}} rule - Pin rule
+   * @returns {string}
+   * @private
+   */
+  _describePinRule(rule) {
+    const match = {
+      exact: `"${rule.pattern}"`,
+      regex: `/${rule.pattern}/`,
+      marker: `Starts with ${rule.pattern || this.bookmarkService.DEFAULT_PIN_MARKER}`
+    }[rule.type];
+    return `${match} → ${rule.position === 'top' ? 'top' : 'bottom'}`;
+  }
+
+  /**
+   * Lists the selected folder's pin rules, each with a remove button
+   * @private
+   */
+  _renderPinRules() {
+    const pinList = this.elements.pinList;
+    pinList.textContent = '';
+    
+    (this.state.folderSettings.pinRules || []).forEach((rule, index) => {
+      const item = document.createElement('li');
+      const remove = document.createElement('button');
+      remove.className = 'pin-remove';
+      remove.dataset.index = String(index);
+      remove.textContent = '×';
+      remove.title = 'Unpin';
+      remove.disabled = this.state.isLoading;
+      item.appendChild(document.createTextNode(this._describePinRule(rule)));
+      item.appendChild(remove);
+      pinList.appendChild(item);
+    });
+  }
+
+  /**
+   * Works out which day/month order to parse the selected folder's titles with
+   * A saved override wins, then the order inferred from the titles
+   * @returns {string | undefined} - 'DMY', 'MDY' or undefined to use each format's default
+   * @private
+   */
+  _getEffectiveConvention() {
+    const override = this.state.folderSettings.dateConvention;
+    
+    if (override === 'DMY' || override === 'MDY') {
+      return override;
+    }
+    
+    return (this.state.conventionAnalysis && this.state.conventionAnalysis.convention) || undefined;
+  }
+
+  /**
+   * Gets the sort strategy saved for the selected folder
+   * @returns {string} - A key of BookmarkService.SORT_STRATEGIES, 'date' by default
+   * @private
+   */
+  _getSortStrategy() {
+    const strategy = this.state.folderSettings.sortStrategy;
+    return this.DIRECTION_LABELS[strategy] ? strategy : 'date';
+  }
+
+  /**
+   * Gets the sort direction for the selected folder
+   * Falls back to the default direction of the folder's sort strategy
+   * @returns {string} - 'asc' or 'desc'
+   * @private
+   */
+  _getSortDirection() {
+    const direction = this.state.folderSettings.sortDirection;
+    if (direction === 'asc' || direction === 'desc') {
+      return direction;
+    }
+    return this.bookmarkService.SORT_STRATEGIES[this._getSortStrategy()].defaultDirection;
+  }
+
+  /**
+   * Describes the day/month order in use for the selected folder
+   * @returns {{text: string, isWarning: boolean}}
+   * @private
+   */
+  _describeConvention() {
+    const override = this.state.folderSettings.dateConvention;
+    const analysis = this.state.conventionAnalysis;
+    const names = { DMY: 'day first', MDY: 'month first' };
+    
+    if (override === 'DMY' || override === 'MDY') {
+      return { text: `Using ${names[override]} for this folder.`, isWarning: false };
+    }
+    
+    if (!analysis) {
+      return { text: '', isWarning: false };
+    }
+    
+    if (analysis.conflicting) {
+      return {
+        text: `Titles disagree: ${analysis.dmyCount} look day first, ${analysis.mdyCount} look month first. Using ${names[analysis.convention]}.`,
+        isWarning: true
+      };
+    }
+    
+    if (analysis.convention) {
+      const count = analysis.convention === 'DMY' ? analysis.dmyCount : analysis.mdyCount;
+      return {
+        text: `Detected ${names[analysis.convention]} from ${count} title${count !== 1 ? 's' : ''}.`,
+        isWarning: false
+      };
+    }
+    
+    if (analysis.ambiguous.length > 0) {
+      return {
+        text: `${analysis.ambiguous.length} title${analysis.ambiguous.length !== 1 ? 's are' : ' is'} ambiguous (e.g. "${analysis.ambiguous[0]}"). Choose an order to be sure.`,
+        isWarning: true
+      };
+    }
+    
+    return { text: '', isWarning: false };
+  }
+
+  /**
+   * Describes when the selected folder's schedule runs next and how its last scheduled run went
+   * @param {Object} schedule - Folder schedule, see OrganizerService.getNextRunTime()
+   * @returns {string}
+   * @private
+   */
+  _describeSchedule(schedule) {
+    const parts = [];
+    const lastRunTime = this.state.lastRun ? this.state.lastRun.timestamp : null;
+    const nextRun = this.organizerService.getNextRunTime(schedule, Date.now(), lastRunTime);
+    if (nextRun !== null) {
+      parts.push(`Next run ${new Date(nextRun).toLocaleString()}.`);
+    }
+    
+    const lastRun = this.state.lastRun;
+    if (lastRun) {
+      const when = new Date(lastRun.timestamp).toLocaleString();
+      if (lastRun.success) {
+        parts.push(`Last run ${when}: ${lastRun.movedCount} folder${lastRun.movedCount !== 1 ? 's' : ''} moved.`);
+      } else {
+        parts.push(`Last run ${when} ${lastRun.skipped ? 'skipped' : 'failed'}: ${lastRun.error}.`);
+      }
+      
+      if (typeof lastRun.archivedCount === 'number') {
+        parts.push(`${lastRun.archivedCount} folder${lastRun.archivedCount !== 1 ? 's' : ''} archived.`);
+      } else if (lastRun.archiveError) {
+        parts.push(`Archiving failed: ${lastRun.archiveError}.`);
+      }
+    }
+    
+    return parts.join(' ');
+  }
+
   /**
    * Handles date format preference change
    * @param {string} format - Selected date format
+   * @returns {Promise<boolean>} True when the format was saved; an error has been shown otherwise
    */
   async handleDateFormatChange(format) {
     try {
-      // Validate format
-      const validFormats = ['DD-MM-YY', 'MM-DD-YY', 'YYYY-MM-DD'];
-      if (!validFormats.includes(format)) {
+      // Validate format: a preset or a usable custom template
+      if (!this.PRESET_DATE_FORMATS.includes(format) && !this.dateParser.isValidTemplate(format)) {
         console.error('Invalid date format:', format);
         this.showMessage('Invalid date format selected.', 'error');
-        return;
+        return false;
       }
       
-      // Update state with new format
-      this.state.dateFormat = format;
-      
       // Save selected format to StorageService for persistence
+      // The format is applied to folder titles by "Reformat titles"
       await this.storageService.saveDateFormat(format);
       
-      // Update any displayed dates in UI to match new format
-      // Currently, we don't display any dates in the UI yet
-      // This will be used when we display dates in future features
-      // or in status messages that include dates
-      
-      // Note: If we had date displays in the UI (like last rearrange date),
-      // we would update them here using this.dateParser.formatDate()
+      // Update state once the format is saved
+      this.state.dateFormat = format;
+      return true;
       
     } catch (error) {
       console.error('Error saving date format preference:', error);
@@ -319,11 +905,106 @@ class UIController {
       } else {
         this.showMessage('Failed to save date format preference.', 'error');
       }
+      return false;
+    }
+  }
+
+  /**
+   * Handles date source checkbox changes
+   * The title is always tried first; checked fallbacks follow in the order shown
+   */
+  async handleDateSourcesChange() {
+    const fallbacks = Array.from(this.elements.dateSourceCheckboxes)
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.value);
+    
+    this.state.dateSources = ['title', ...fallbacks];
+    
+    try {
+      await this.storageService.saveDateSources(this.state.dateSources);
+    } catch (error) {
+      console.error('Error saving date sources:', error);
+      this.showMessage('Unable to save date source preference. Browser storage may be unavailable.', 'warning');
+    }
+  }
+
+  /**
+   * Handles applying a custom date template
+   * Saves it as the date format and remembers it for later selection
+   * @param {string} template - Token template entered by the user
+   */
+  async handleCustomTemplate(template) {
+    if (!this.dateParser.isValidTemplate(template)) {
+      this.showMessage('Custom template must include a date token such as YYYY, MM, D or ddd.', 'warning');
+      return;
+    }
+    
+    // The save error has already been shown; don't remember or report a template that wasn't applied
+    if (!(await this.handleDateFormatChange(template))) {
+      return;
+    }
+    
+    try {
+      await this.storageService.saveCustomTemplate(template);
+      await this._loadCustomTemplates();
+    } catch (error) {
+      console.error('Error saving custom template:', error);
+      this.showMessage('Template applied, but it could not be saved for later.', 'warning');
+      return;
+    }
+    
+    this.updateUI();
+    this.showMessage(`Date format set to "${template}".`, 'success');
+  }
+
+  /**
+   * Fills the template suggestions list with saved custom templates
+   * @private
+   */
+  async _loadCustomTemplates() {
+    const templates = await this.storageService.getCustomTemplates();
+    
+    this.elements.savedTemplates.innerHTML = '';
+    for (const template of templates) {
+      const option = document.createElement('option');
+      option.value = template;
+      this.elements.savedTemplates.appendChild(option);
+    }
+  }
+
+  /**
+   * Shows a live preview of the custom template using the current date
+   * @private
+   */
+  _updateTemplatePreview() {
+    const template = this.elements.customTemplate.value.trim();
+    const preview = this.elements.templatePreview;
+    
+    if (!template) {
+      preview.textContent = '';
+      preview.classList.remove('invalid');
+    } else if (this.dateParser.isValidTemplate(template)) {
+      preview.textContent = `Preview: ${this.dateParser.formatDate(new Date(), template)}`;
+      preview.classList.remove('invalid');
+    } else {
+      preview.textContent = 'Template needs at least one date token (YYYY, MM, D, ddd, W...)';
+      preview.classList.add('invalid');
     }
   }
 
+  /**
+   * Maps a stored date format to the radio button that represents it
+   * @param {string} format - Preset or custom template
+   * @returns {string} - Radio value
+   * @private
+   */
+  _getDateFormatOption(format) {
+    return this.PRESET_DATE_FORMATS.includes(format) ? format : 'custom';
+  }
+
   /**
    * Handles the rearrange button click
+   * A single level is previewed for Apply / Cancel; nested sorts run straight away
    */
   async handleRearrange() {
     try {
@@ -361,18 +1042,37 @@ class UIController {
         return;
       }
       
-      // Check for subfolders with valid dates before rearrangement
-      let hasValidDates = false;
-      for (const folder of subfolders) {
-        if (this.dateParser.hasValidDate(folder.title)) {
-          hasValidDates = true;
-          break;
-        }
-      }
+      // Re-check the day/month order against the current titles
+      this.state.conventionAnalysis = this.dateParser.analyzeConvention(subfolders.map(folder => folder.title));
+      const convention = this._getEffectiveConvention();
+      const sortStrategy = this._getSortStrategy();
+      const includeNested = this.state.folderSettings.includeNested === true;
       
-      if (!hasValidDates) {
-        this.showMessage('No subfolders with valid dates found. Folders must contain ISO 8601 timestamps (e.g., 2025-10-11T17:36:41Z).', 'warning');
-        return;
+      // Dates only need checking when sorting by the date in the title
+      if (sortStrategy === 'date') {
+        // Check for subfolders with valid dates before rearrangement
+        let hasValidDates = false;
+        for (const folder of subfolders) {
+          if (this.dateParser.hasValidDate(folder.title, { convention })) {
+            hasValidDates = true;
+            break;
+          }
+        }
+        
+        // Folders can still be dated from bookmark metadata when fallbacks are enabled
+        const usesFallback = this.state.dateSources.some(source => source !== 'title');
+        
+        // Nested levels are checked as they are sorted, e.g. year folders holding dated groups
+        if (!hasValidDates && !usesFallback && !includeNested) {
+          this.showMessage('No subfolders with valid dates found. Folders must contain a recognised date (e.g., 2025-10-11T17:36:41Z or Saved 10/11/2025, 5:36:41 PM).', 'warning');
+          return;
+        }
+        
+        // Report titles whose day/month order can't be settled before committing to an order
+        if (!this._confirmAmbiguousDates()) {
+          this.showMessage('Rearrangement cancelled. Choose a day/month order for this folder first.', 'info');
+          return;
+        }
       }
       
       // Check if folder has 100+ subfolders and show warning if needed
@@ -386,66 +1086,536 @@ class UIController {
         }
       }
       
-      // Create backup using StorageService before rearrangement
-      const backupData = subfolders.map(folder => ({
-        id: folder.id,
-        index: folder.index
-      }));
+      const sortDirection = this._getSortDirection();
+      const overrides = { strategy: sortStrategy, direction: sortDirection };
       
-      try {
-        await this.storageService.saveBackup(this.state.selectedFolderId, backupData);
+      // A single level is previewed first and only changed once the user clicks Apply
+      if (!includeNested) {
+        const { options } = await this.organizerService.getSortSettings(this.state.selectedFolderId, overrides);
+        const plan = await this.bookmarkService.planSort(this.state.selectedFolderId, sortStrategy, options);
+        
+        if (!plan.success) {
+          this.showMessage(plan.error || 'Failed to rearrange folders.', 'error');
+          return;
+        }
+        
+        if (plan.plannedMoveCount === 0) {
+          this.showMessage('The folders are already in this order. Nothing to rearrange.', 'info');
+          return;
+        }
+        
+        this.state.pendingPlan = { ...plan, sortStrategy, sortDirection };
+        this.elements.statusMessage.setAttribute('hidden', '');
+        return;
+      }
+      
+      const result = await this.organizerService.sortFolderTree(this.state.selectedFolderId, {}, overrides);
+      
+      // Nested levels never file into Undated folders, see BookmarkService.sortFolderTree()
+      const savedPlacement = this.state.folderSettings.undatedPlacement;
+      const undatedPlacement = savedPlacement === 'subfolder' ? 'bottom' : savedPlacement;
+      this._reportSortResult(result, { sortStrategy, sortDirection, includeNested, undatedPlacement });
+      if (result.success) {
+        await this._rememberSortedFolder(this.state.selectedFolderId);
+      }
+      
+    } catch (error) {
+      console.error('Error during rearrangement:', error);
+      this._showRearrangeError(error);
+    } finally {
+      // Hide loading state and re-enable interactive elements
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Handles the Apply button under the rearrange preview
+   * Saves a backup and carries out the previewed moves
+   */
+  async handleApplyPlan() {
+    const plan = this.state.pendingPlan;
+    if (!plan) {
+      return;
+    }
+    
+    try {
+      // Show loading state; this also clears the preview
+      this.setLoading(true);
+      
+      // Saves a backup first, exactly as for automatic and scheduled sorts
+      const result = await this.organizerService.applySortPlan(plan);
+      
+      this._reportSortResult(result, {
+        sortStrategy: plan.sortStrategy,
+        sortDirection: plan.sortDirection,
+        includeNested: false,
+        undatedPlacement: plan.undatedPlacement
+      });
+      if (result.success) {
+        await this._rememberSortedFolder(plan.parentFolderId);
+      }
+      
+      // A created Undated folder changes the folder list and subfolder count
+      if (result.backup && result.backup.createdFolderIds.length > 0) {
+        await this._refreshFolderTree();
+      }
+      
+    } catch (error) {
+      console.error('Error applying rearrangement:', error);
+      this._showRearrangeError(error);
+    } finally {
+      // Hide loading state and re-enable interactive elements
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Remembers a sorted folder for the re-sort and revert keyboard shortcuts
+   * Not being able to save it doesn't affect the sort, so errors are only logged
+   * @param {string} folderId - Parent folder ID
+   * @private
+   */
+  async _rememberSortedFolder(folderId) {
+    try {
+      await this.storageService.saveLastSortedFolder(folderId);
+    } catch (error) {
+      console.error('Error saving last sorted folder:', error);
+    }
+  }
+
+  /**
+   * Handles the Cancel button under the rearrange preview
+   */
+  handleCancelPlan() {
+    this.updateUI({ pendingPlan: null });
+    this.showMessage('Rearrangement cancelled.', 'info');
+  }
+
+  /**
+   * Shows the outcome of a sort and enables Revert when a backup can be used
+   * @param {Object} result - Result of applySortPlan() or sortFolderTree()
+   * @param {Object} context - { sortStrategy, sortDirection, includeNested, undatedPlacement }
+   * @private
+   */
+  _reportSortResult(result, { sortStrategy, sortDirection, includeNested, undatedPlacement }) {
+    // Check if rearrangement was successful
+    if (!result.success) {
+      // Provide user-friendly error messages
+      // Failed sorts are rolled back automatically; the error says whether that fully worked
+      const errorMsg = result.error || 'Failed to rearrange folders.';
+      let partialNote = result.rolledBack === false ? ' Use Revert to restore the saved order.' : '';
+      if (result.conflict && result.rolledBack !== false) {
+        partialNote = ' Click Rearrange to sort it again.';
+      }
+      this.showMessage(`${errorMsg}${partialNote}`, 'error');
+      
+      // A sort that could not be rolled back can still be reverted from the backup
+      if (result.rolledBack === false) {
+        this.updateUI({ hasBackup: true });
+      }
+      return;
+    }
+    
+    // Display success message with count of rearranged folders
+    const fallbackNote = result.fallbackCount > 0
+      ? ` ${result.fallbackCount} dated from bookmark metadata.`
+      : '';
+    let directionNote = sortDirection === 'asc' ? ' (oldest first)' : '';
+    if (sortStrategy !== 'date') {
+      const strategyLabel = this.bookmarkService.SORT_STRATEGIES[sortStrategy].label;
+      directionNote = ` by ${strategyLabel} (${this.DIRECTION_LABELS[sortStrategy][sortDirection]})`;
+    }
+    const nestedNote = includeNested
+      ? ` inside ${result.sortedCount} parent folder${result.sortedCount !== 1 ? 's' : ''}`
+      : '';
+    const undatedNote = sortStrategy === 'date' ? this._describeUndatedPlacement(result, undatedPlacement) : '';
+    const replanNote = result.replanCount > 0
+      ? ' Groups changed during the sort, so the new order was worked out again.'
+      : '';
+    this.showMessage(
+      `Successfully rearranged ${result.movedCount} folder${result.movedCount !== 1 ? 's' : ''}${nestedNote}${directionNote}.${undatedNote}${fallbackNote}${replanNote}`,
+      'success'
+    );
+    
+    // Update hasBackup state and enable Revert button
+    this.updateUI({ hasBackup: true });
+  }
+
+  /**
+   * Describes how many folders were dated and where the undated ones went, e.g. " 12 dated, 3 undated placed at top."
+   * @param {Object} result - Successful result of applySortPlan() or sortFolderTree()
+   * @param {string} [undatedPlacement] - Placement the sort used, see BookmarkService.UNDATED_PLACEMENTS
+   * @returns {string} - Note to append to the success message, empty when every folder was dated
+   * @private
+   */
+  _describeUndatedPlacement(result, undatedPlacement = 'bottom') {
+    if (!result.unkeyedCount) {
+      return '';
+    }
+    
+    const interleaved = result.interleavedCount || 0;
+    const remaining = result.unkeyedCount - interleaved;
+    const where = {
+      top: 'placed at top',
+      subfolder: `moved into "${this.bookmarkService.UNDATED_FOLDER_TITLE}"`
+    }[undatedPlacement] || 'placed at bottom';
+    const summary = ` ${result.keyedCount} dated, ${result.unkeyedCount} undated`;
+    
+    if (interleaved === 0) {
+      return `${summary} ${where}.`;
+    }
+    if (remaining === 0) {
+      return `${summary} mixed in by creation date.`;
+    }
+    return `${summary} (${interleaved} mixed in by creation date, ${remaining} without any date ${where}).`;
+  }
+
+  /**
+   * Shows a user-friendly message for an unexpected rearrange error
+   * @param {Error} error - Error thrown while rearranging
+   * @private
+   */
+  _showRearrangeError(error) {
+    // Provide specific error messages based on error type
+    if (error.message && error.message.includes('permission')) {
+      this.showMessage('Bookmark permissions are required to rearrange folders.', 'error');
+    } else if (error.message && error.message.includes('storage')) {
+      this.showMessage('Unable to access browser storage. Cannot create backup for safety.', 'error');
+    } else if (error.message && error.message.includes('retrieve')) {
+      this.showMessage('Failed to access bookmark folders. Please try again.', 'error');
+    } else {
+      this.showMessage('An unexpected error occurred during rearrangement. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Renders the pending rearrange plan as a numbered list in its new order
+   * Dates are shown in the chosen display format; moved items are highlighted
+   * @private
+   */
+  _renderPreview() {
+    const plan = this.state.pendingPlan;
+    const { preview, previewSummary, previewList } = this.elements;
+    
+    previewList.textContent = '';
+    if (!plan) {
+      preview.setAttribute('hidden', '');
+      return;
+    }
+    
+    const movedIds = new Set(plan.moves.map(move => move.id));
+    const unsortedIds = new Set(plan.unsorted.map(folder => folder.id));
+    const unsortedLabel = plan.sortStrategy === 'date' ? '(no date)' : '(not sorted)';
+    
+    for (const entry of plan.order) {
+      const item = document.createElement('li');
+      const date = document.createElement('span');
+      date.className = 'preview-date';
+      if (entry.pinned) {
+        date.textContent = `${this.bookmarkService.DEFAULT_PIN_MARKER} ${entry.pinned}`;
+      } else if (entry.date) {
+        date.textContent = this.dateParser.formatDate(entry.date, this.state.dateFormat);
+      } else if (unsortedIds.has(entry.id)) {
+        date.textContent = unsortedLabel;
+      }
+      item.appendChild(date);
+      item.appendChild(document.createTextNode(entry.type === 'separator' ? '────────' : entry.title));
+      item.classList.toggle('moved', movedIds.has(entry.id));
+      item.classList.toggle('unsorted', unsortedIds.has(entry.id));
+      item.title = entry.oldIndex === null
+        ? `New folder at position ${entry.newIndex + 1}`
+        : `Position ${entry.oldIndex + 1} → ${entry.newIndex + 1}`;
+      previewList.appendChild(item);
+    }
+    
+    // Folders filed into the Undated folder are listed after the parent's new order
+    for (const folder of plan.filed || []) {
+      const item = document.createElement('li');
+      const date = document.createElement('span');
+      date.className = 'preview-date';
+      date.textContent = unsortedLabel;
+      item.appendChild(date);
+      item.appendChild(document.createTextNode(`${folder.title} → ${plan.undatedFolder.title}`));
+      item.className = 'moved unsorted';
+      previewList.appendChild(item);
+    }
+    
+    const placementNotes = {
+      top: 'kept at the top',
+      subfolder: `filed into "${plan.undatedFolder ? plan.undatedFolder.title : ''}"`
+    };
+    const unsortedNoun = plan.sortStrategy === 'date' ? 'undated' : 'unsorted';
+    const undatedNote = plan.unsorted.length > 0
+      ? ` ${plan.unsorted.length} ${unsortedNoun} ${placementNotes[plan.undatedPlacement] || 'kept at the end'}.`
+      : '';
+    previewSummary.textContent =
+      `Preview: ${plan.plannedMoveCount} move${plan.plannedMoveCount !== 1 ? 's' : ''} needed.${undatedNote}`;
+    preview.removeAttribute('hidden');
+  }
+
+  /**
+   * Handles the reformat titles button click
+   * Rewrites the date in each subfolder title using the selected date format
+   */
+  async handleReformat() {
+    try {
+      // Show loading state and disable all interactive elements
+      this.setLoading(true);
+      
+      // Validate selected folder exists
+      if (!this.state.selectedFolderId) {
+        this.showMessage('Please select a folder first.', 'warning');
+        return;
+      }
+      
+      if (!(await this._ensureSelectedFolderExists())) {
+        return;
+      }
+      
+      const subfolders = await this.bookmarkService.getSubfolders(this.state.selectedFolderId);
+      this.state.conventionAnalysis = this.dateParser.analyzeConvention(subfolders.map(folder => folder.title));
+      const convention = this._getEffectiveConvention();
+      
+      if (!subfolders.some(folder => this.dateParser.hasValidDate(folder.title, { convention }))) {
+        this.showMessage('No subfolders with valid dates found. Nothing to reformat.', 'warning');
+        return;
+      }
+      
+      if (!this._confirmAmbiguousDates()) {
+        this.showMessage('Reformat cancelled. Choose a day/month order for this folder first.', 'info');
+        return;
+      }
+      
+      // Short dashed presets are read back in their own day/month order, which the folder then keeps
+      const presetConvention = { 'DD-MM-YY': 'DMY', 'MM-DD-YY': 'MDY' }[this.state.dateFormat];
+      
+      // Warn when a custom format can't be read back for date sorting
+      const sample = this.dateParser.formatDate(new Date(), this.state.dateFormat);
+      if (!this.dateParser.hasValidDate(sample, { convention: presetConvention || convention })) {
+        const proceed = confirm(
+          `Titles in ${this.state.dateFormat} format can't be sorted by date afterwards. Do you want to continue?`
+        );
+        if (!proceed) {
+          this.showMessage('Reformat cancelled.', 'info');
+          return;
+        }
+      }
+      
+      // Back up positions and original titles so Revert can restore them, with the day/month order
+      // they were read in when the preset changes it
+      const backupData = subfolders.map(folder => ({
+        id: folder.id,
+        index: folder.index,
+        title: folder.title
+      }));
+      const previousConvention = this.state.folderSettings.dateConvention || 'auto';
+      const changesConvention = presetConvention !== undefined && presetConvention !== previousConvention;
+      const backupDetails = changesConvention
+        ? { operation: 'reformat', dateConvention: previousConvention }
+        : { operation: 'reformat' };
+      
+      try {
+        await this.storageService.saveBackup(this.state.selectedFolderId, backupData, backupDetails);
       } catch (error) {
         console.error('Error saving backup:', error);
-        this.showMessage('Failed to create backup. Cannot proceed with rearrangement for safety.', 'error');
+        this.showMessage('Failed to create backup. Cannot proceed with reformatting for safety.', 'error');
         return;
       }
       
-      // Call BookmarkService.rearrangeFolders() with selected folder ID
-      const result = await this.bookmarkService.rearrangeFolders(
+      const result = await this.bookmarkService.reformatTitles(
         this.state.selectedFolderId,
-        this.dateParser
+        this.dateParser,
+        this.state.dateFormat,
+        {
+          convention: this._getEffectiveConvention(),
+          selection: this.state.folderSettings.dateSelection
+        }
       );
       
-      // Check if rearrangement was successful
       if (!result.success) {
-        // Provide user-friendly error messages
-        const errorMsg = result.error || 'Failed to rearrange folders.';
-        this.showMessage(errorMsg, 'error');
+        // A failed rename is undone automatically; the error says whether that fully worked
+        const partialNote = result.rolledBack === false ? ' Use Revert to restore the original titles.' : '';
+        this.showMessage(`${result.error || 'Failed to reformat folder titles.'}${partialNote}`, 'error');
+        
+        // Titles that could not be put back can still be restored from the backup
+        if (result.rolledBack === false) {
+          this.updateUI({ hasBackup: true });
+        }
         return;
       }
       
-      // Display success message with count of rearranged folders
       this.showMessage(
-        `Successfully rearranged ${result.movedCount} folder${result.movedCount !== 1 ? 's' : ''}.`,
+        `Successfully reformatted ${result.renamedCount} folder title${result.renamedCount !== 1 ? 's' : ''} to ${this.state.dateFormat}.`,
         'success'
       );
       
-      // Update hasBackup state and enable Revert button
       this.updateUI({ hasBackup: true });
+      if (changesConvention) {
+        await this.handleFolderSettingChange({ dateConvention: presetConvention });
+      }
       
     } catch (error) {
-      console.error('Error during rearrangement:', error);
+      console.error('Error during reformat:', error);
       
-      // Provide specific error messages based on error type
       if (error.message && error.message.includes('permission')) {
-        this.showMessage('Bookmark permissions are required to rearrange folders.', 'error');
-      } else if (error.message && error.message.includes('storage')) {
-        this.showMessage('Unable to access browser storage. Cannot create backup for safety.', 'error');
+        this.showMessage('Bookmark permissions are required to rename folders.', 'error');
       } else if (error.message && error.message.includes('retrieve')) {
         this.showMessage('Failed to access bookmark folders. Please try again.', 'error');
       } else {
-        this.showMessage('An unexpected error occurred during rearrangement. Please try again.', 'error');
+        this.showMessage('An unexpected error occurred while reformatting titles. Please try again.', 'error');
+      }
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Handles the group by period button click
+   * Files dated subfolders into Year / Month folders and saves what Revert needs to undo it
+   */
+  async handleGroupByPeriod() {
+    try {
+      // Show loading state and disable all interactive elements
+      this.setLoading(true);
+      
+      // Validate selected folder exists
+      if (!this.state.selectedFolderId) {
+        this.showMessage('Please select a folder first.', 'warning');
+        return;
+      }
+      
+      if (!(await this._ensureSelectedFolderExists())) {
+        return;
+      }
+      
+      const subfolders = await this.bookmarkService.getSubfolders(this.state.selectedFolderId);
+      this.state.conventionAnalysis = this.dateParser.analyzeConvention(subfolders.map(folder => folder.title));
+      
+      if (!this._confirmAmbiguousDates()) {
+        this.showMessage('Grouping cancelled. Choose a day/month order for this folder first.', 'info');
+        return;
+      }
+      
+      const proceed = confirm(
+        'Move the dated folders in this folder into Year / Month folders? Revert can move them back.'
+      );
+      if (!proceed) {
+        this.showMessage('Grouping cancelled.', 'info');
+        return;
+      }
+      
+      const result = await this.organizerService.groupByPeriod(this.state.selectedFolderId);
+      if (result.backup) {
+        this.updateUI({ hasBackup: true });
+      }
+      
+      if (!result.success) {
+        this.showMessage(result.error || 'Failed to group folders by period.', 'error');
+        return;
+      }
+      
+      const undatedNote = result.undatedCount > 0
+        ? ` ${result.undatedCount} without a date left in place.`
+        : '';
+      this.showMessage(
+        `Filed ${result.movedCount} folder${result.movedCount !== 1 ? 's' : ''} into period folders (${result.createdCount} created).${undatedNote}`,
+        'success'
+      );
+      
+      // Refresh the folder list so the new year and month folders can be selected
+      await this._refreshFolderTree();
+      
+    } catch (error) {
+      console.error('Error during grouping:', error);
+      
+      if (error.message && error.message.includes('permission')) {
+        this.showMessage('Bookmark permissions are required to group folders.', 'error');
+      } else if (error.message && error.message.includes('retrieve')) {
+        this.showMessage('Failed to access bookmark folders. Please try again.', 'error');
+      } else {
+        this.showMessage('An unexpected error occurred while grouping folders. Please try again.', 'error');
+      }
+    } finally {
+      this.setLoading(false);
+    }
+  }
+
+  /**
+   * Handles the archive old groups button click
+   * Moves folders older than the folder's archive age into its archive folder
+   */
+  async handleArchive() {
+    try {
+      // Show loading state and disable all interactive elements
+      this.setLoading(true);
+      
+      // Validate selected folder exists
+      if (!this.state.selectedFolderId) {
+        this.showMessage('Please select a folder first.', 'warning');
+        return;
+      }
+      
+      if (!(await this._ensureSelectedFolderExists())) {
+        return;
+      }
+      
+      const subfolders = await this.bookmarkService.getSubfolders(this.state.selectedFolderId);
+      this.state.conventionAnalysis = this.dateParser.analyzeConvention(subfolders.map(folder => folder.title));
+      
+      if (!this._confirmAmbiguousDates()) {
+        this.showMessage('Archiving cancelled. Choose a day/month order for this folder first.', 'info');
+        return;
+      }
+      
+      const result = await this.organizerService.archiveFolder(this.state.selectedFolderId);
+      const maxAgeDays = result.maxAgeDays;
+      
+      if (result.backup) {
+        this.updateUI({ hasBackup: true });
+      }
+      
+      if (!result.success) {
+        this.showMessage(result.error || 'Failed to archive old folders.', 'error');
+        return;
+      }
+      
+      if (result.archivedCount === 0) {
+        this.showMessage(`No folders older than ${maxAgeDays} days to archive.`, 'info');
+        return;
+      }
+      
+      this.showMessage(
+        `Archived ${result.archivedCount} folder${result.archivedCount !== 1 ? 's' : ''} older than ${maxAgeDays} days.`,
+        'success'
+      );
+      
+      // A new Archive folder may have been created
+      if (result.backup.createdFolderIds.length > 0) {
+        await this._refreshFolderTree();
+      } else {
+        this.updateUI({ subfoldersCount: this.state.subfoldersCount - result.archivedCount });
+      }
+      
+    } catch (error) {
+      console.error('Error during archiving:', error);
+      
+      if (error.message && error.message.includes('permission')) {
+        this.showMessage('Bookmark permissions are required to archive folders.', 'error');
+      } else if (error.message && error.message.includes('retrieve')) {
+        this.showMessage('Failed to access bookmark folders. Please try again.', 'error');
+      } else {
+        this.showMessage('An unexpected error occurred while archiving folders. Please try again.', 'error');
       }
     } finally {
-      // Hide loading state and re-enable interactive elements
       this.setLoading(false);
     }
   }
 
   /**
-   * Handles the revert button click
+   * Handles the revert button click, or Restore on one of the backups in the history
+   * @param {string} [snapshotId] - Backup to restore instead of the latest one
    */
-  async handleRevert() {
+  async handleRevert(snapshotId = null) {
     try {
       // Show loading state and disable all interactive elements
       this.setLoading(true);
@@ -473,59 +1643,51 @@ class UIController {
         return;
       }
       
-      // Retrieve backup data from StorageService
-      let backup;
-      try {
-        backup = await this.storageService.getBackup(this.state.selectedFolderId);
-      } catch (error) {
-        console.error('Error retrieving backup:', error);
-        this.showMessage('Failed to retrieve backup data. Browser storage may be unavailable.', 'error');
-        return;
-      }
-      
-      // Validate backup exists
-      if (!backup) {
-        this.showMessage('No backup found for this folder.', 'error');
-        this.updateUI({ hasBackup: false });
-        return;
-      }
+      const result = await this.organizerService.revertFolder(this.state.selectedFolderId, snapshotId);
       
-      // Validate backup data structure
-      if (!backup.folders || !Array.isArray(backup.folders) || backup.folders.length === 0) {
-        console.error('Invalid backup data structure:', backup);
-        this.showMessage('Backup data is corrupted or invalid. Cannot revert.', 'error');
-        return;
-      }
-      
-      // Call BookmarkService.revertFolders() with backup data
-      let success;
-      try {
-        success = await this.bookmarkService.revertFolders(
-          this.state.selectedFolderId,
-          backup
-        );
-      } catch (error) {
-        console.error('Error calling revertFolders:', error);
-        
-        // Provide specific error messages
-        if (error.message && error.message.includes('no longer exists')) {
+      if (!result.success) {
+        if (result.missing) {
+          this.showMessage(`${result.error}.`, 'error');
+          this.updateUI({ hasBackup: false });
+        } else if (result.error.includes('no longer exists')) {
           this.showMessage('Some folders from the backup no longer exist. Revert failed.', 'error');
-        } else if (error.message && error.message.includes('permission')) {
+        } else if (result.error.includes('permission')) {
           this.showMessage('Bookmark permissions are required to revert folders.', 'error');
         } else {
-          this.showMessage(error.message || 'Failed to revert folders to original order.', 'error');
+          this.showMessage(`${result.error}. Current structure preserved.`, 'error');
         }
         return;
       }
       
-      // Check if revert was successful
-      if (!success) {
-        this.showMessage('Failed to revert folders to original order. Current structure preserved.', 'error');
-        return;
+      const { backup } = result;
+      if (backup.dateConvention) {
+        this.updateUI({ folderSettings: { ...this.state.folderSettings, dateConvention: backup.dateConvention } });
       }
       
       // Display success message on completion
-      this.showMessage('Successfully reverted folders to original order.', 'success');
+      if (snapshotId) {
+        const when = new Date(backup.timestamp).toLocaleString();
+        const label = this.OPERATION_LABELS[backup.operation] || this.OPERATION_LABELS.rearrange;
+        this.showMessage(`Successfully restored the backup from ${when} (before ${label}).`, 'success');
+      } else if (backup.operation === 'reformat') {
+        this.showMessage('Successfully restored original folder titles.', 'success');
+      } else if (backup.operation === 'groupByPeriod') {
+        this.showMessage('Successfully moved folders back out of the period folders.', 'success');
+      } else if (backup.operation === 'archive') {
+        this.showMessage('Successfully moved archived folders back.', 'success');
+      } else if (backup.recursive) {
+        this.showMessage('Successfully reverted the folder tree to its original order.', 'success');
+      } else if (backup.automatic) {
+        this.showMessage('Successfully reverted the last automatic sort.', 'success');
+      } else {
+        this.showMessage('Successfully reverted folders to original order.', 'success');
+      }
+      
+      // Folders moved back or removed change the folder list and subfolder count
+      const createdFolders = Array.isArray(backup.createdFolderIds) && backup.createdFolderIds.length > 0;
+      if (backup.operation === 'groupByPeriod' || backup.operation === 'archive' || createdFolders) {
+        await this._refreshFolderTree();
+      }
       
       // Keep backup in storage for future use (don't delete it)
       // The backup remains available for potential future reverts
@@ -547,6 +1709,214 @@ class UIController {
     }
   }
 
+  /**
+   * Handles Preview on one of the backups in the history
+   * Lists the selected folder's items in the order the backup restores, with the titles it restores;
+   * clicking Preview again hides the list
+   * @param {string} snapshotId - Backup ID from StorageService.getBackupHistory()
+   */
+  async handlePreviewSnapshot(snapshotId) {
+    if (this.state.historyPreview && this.state.historyPreview.id === snapshotId) {
+      this.updateUI({ historyPreview: null });
+      return;
+    }
+    
+    try {
+      const snapshot = await this.storageService.getBackupSnapshot(this.state.selectedFolderId, snapshotId);
+      if (!snapshot || !Array.isArray(snapshot.folders)) {
+        this.showMessage('This backup no longer exists.', 'warning');
+        await this._loadBackupHistory();
+        return;
+      }
+      
+      // Entries from nested levels are counted rather than listed
+      const entries = snapshot.folders
+        .filter(entry => !entry.parentId || entry.parentId === this.state.selectedFolderId)
+        .sort((a, b) => a.index - b.index);
+      const items = await Promise.all(entries.map(async (entry) => {
+        const node = await browser.bookmarks.get(entry.id).then(([found]) => found, () => null);
+        let title = entry.title !== undefined ? entry.title : (node ? node.title : '');
+        if (node && node.type === 'separator') {
+          title = '────────';
+        }
+        return { title: title || (node ? '(untitled)' : ''), missing: !node };
+      }));
+      
+      this.updateUI({
+        historyPreview: { id: snapshotId, items, nestedCount: snapshot.folders.length - entries.length }
+      });
+    } catch (error) {
+      console.error('Error previewing backup:', error);
+      this.showMessage('Failed to load this backup. Please try again.', 'error');
+    }
+  }
+
+  /**
+   * Handles Delete on one of the backups in the history
+   * @param {string} snapshotId - Backup ID from StorageService.getBackupHistory()
+   */
+  async handleDeleteSnapshot(snapshotId) {
+    const proceed = confirm('Delete this backup? It can no longer be restored afterwards.');
+    if (!proceed) {
+      return;
+    }
+    
+    try {
+      await this.storageService.deleteBackupSnapshot(this.state.selectedFolderId, snapshotId);
+      if (this.state.historyPreview && this.state.historyPreview.id === snapshotId) {
+        this.updateUI({ historyPreview: null });
+      }
+      this.showMessage('Backup deleted.', 'info');
+    } catch (error) {
+      console.error('Error deleting backup:', error);
+      this.showMessage('Failed to delete the backup. Browser storage may be unavailable.', 'error');
+    }
+    await this._loadBackupHistory();
+  }
+
+  /**
+   * Reloads the selected folder's backup history; Revert follows whether any backup is left
+   * @private
+   */
+  async _loadBackupHistory() {
+    const folderId = this.state.selectedFolderId;
+    if (!folderId) {
+      return;
+    }
+    
+    const backupHistory = await this.storageService.getBackupHistory(folderId);
+    
+    // Ignore the result if another folder was selected meanwhile
+    if (this.state.selectedFolderId === folderId) {
+      this.updateUI({ backupHistory, hasBackup: backupHistory.length > 0 });
+    }
+  }
+
+  /**
+   * Lists the selected folder's backups, newest first, each with Preview, Restore and Delete buttons
+   * The previewed backup's items are listed below it.
+   * @private
+   */
+  _renderBackupHistory() {
+    const { backupHistory, historyList } = this.elements;
+    const snapshots = this.state.selectedFolderId ? this.state.backupHistory : [];
+    const previewed = this.state.historyPreview;
+    
+    historyList.textContent = '';
+    if (snapshots.length === 0) {
+      backupHistory.setAttribute('hidden', '');
+      return;
+    }
+    
+    for (const snapshot of snapshots) {
+      const item = document.createElement('li');
+      const entry = document.createElement('div');
+      entry.className = 'history-entry';
+      
+      const label = document.createElement('span');
+      label.className = 'history-label';
+      const details = [this.OPERATION_LABELS[snapshot.operation] || this.OPERATION_LABELS.rearrange];
+      if (snapshot.recursive) {
+        details.push('nested');
+      }
+      if (snapshot.automatic) {
+        details.push('automatic');
+      }
+      label.textContent = `${new Date(snapshot.timestamp).toLocaleString()} · ${details.join(', ')} · ` +
+        `${snapshot.folderCount} item${snapshot.folderCount !== 1 ? 's' : ''}`;
+      entry.appendChild(label);
+      
+      const isPreviewed = previewed !== null && previewed.id === snapshot.id;
+      for (const [action, text, title] of [
+        ['preview', isPreviewed ? 'Hide' : 'Preview', 'Show the order this backup restores'],
+        ['restore', 'Restore', 'Restore the folder as it was before this operation'],
+        ['delete', '×', 'Delete this backup']
+      ]) {
+        const button = document.createElement('button');
+        button.className = 'history-action';
+        button.dataset.action = action;
+        button.dataset.id = snapshot.id;
+        button.textContent = text;
+        button.title = title;
+        button.disabled = this.state.isLoading;
+        entry.appendChild(button);
+      }
+      item.appendChild(entry);
+      
+      if (isPreviewed) {
+        const list = document.createElement('ol');
+        list.className = 'preview-list';
+        for (const previewItem of previewed.items) {
+          const line = document.createElement('li');
+          line.textContent = previewItem.missing ? `${previewItem.title} (deleted)`.trim() : previewItem.title;
+          line.classList.toggle('missing', previewItem.missing);
+          list.appendChild(line);
+        }
+        if (previewed.nestedCount > 0) {
+          const line = document.createElement('li');
+          line.className = 'missing';
+          line.textContent = `…and ${previewed.nestedCount} item${previewed.nestedCount !== 1 ? 's' : ''} in other folders`;
+          list.appendChild(line);
+        }
+        item.appendChild(list);
+      }
+      
+      historyList.appendChild(item);
+    }
+    backupHistory.removeAttribute('hidden');
+  }
+
+  /**
+   * Asks the user to confirm when titles can't be read unambiguously as day or month first
+   * Skipped when the folder has a saved override or a clear inferred order
+   * @returns {boolean} True to continue
+   * @private
+   */
+  _confirmAmbiguousDates() {
+    const override = this.state.folderSettings.dateConvention;
+    const analysis = this.state.conventionAnalysis;
+    
+    if (override === 'DMY' || override === 'MDY' || !analysis) {
+      return true;
+    }
+    
+    const unresolved = analysis.conflicting || (!analysis.convention && analysis.ambiguous.length > 0);
+    if (!unresolved) {
+      return true;
+    }
+    
+    const examples = analysis.ambiguous.slice(0, 5).map(title => `  • ${title}`).join('\n');
+    const reason = analysis.conflicting
+      ? `Some titles look day first and others month first, so ${analysis.convention === 'DMY' ? 'day first' : 'month first'} will be used.`
+      : `${analysis.ambiguous.length} title${analysis.ambiguous.length !== 1 ? 's' : ''} could be read as day/month or month/day, so each format's default will be used.`;
+    
+    return confirm(`${reason}${examples ? `\n\n${examples}` : ''}\n\nDo you want to continue?`);
+  }
+
+  /**
+   * Verifies the selected folder still exists, resetting the selection if it doesn't
+   * @returns {Promise<boolean>} True if the folder still exists
+   * @private
+   */
+  async _ensureSelectedFolderExists() {
+    try {
+      await browser.bookmarks.get(this.state.selectedFolderId);
+      return true;
+    } catch (error) {
+      console.error('Selected folder no longer exists:', error);
+      this.showMessage('The selected folder no longer exists. Please select another folder.', 'error');
+      
+      // Reset selection
+      this.elements.folderSelector.value = '';
+      this.updateUI({
+        selectedFolderId: null,
+        subfoldersCount: 0,
+        hasBackup: false
+      });
+      return false;
+    }
+  }
+
   /**
    * Updates the UI based on current state
    * Manages button states, tooltips, and UI element visibility
@@ -566,6 +1936,83 @@ class UIController {
     // Update subfolder count display
     this.elements.subfolderCount.textContent = `Subfolders to organize: ${this.state.subfoldersCount}`;
     
+    // Per-folder settings are only shown once a folder is selected
+    const hasSelectedFolder = this.state.selectedFolderId !== null && this.state.selectedFolderId !== '';
+    if (hasSelectedFolder) {
+      this.elements.folderSettings.removeAttribute('hidden');
+    } else {
+      this.elements.folderSettings.setAttribute('hidden', '');
+    }
+    this.elements.dateConvention.value = this.state.folderSettings.dateConvention || 'auto';
+    this.elements.dateConvention.disabled = this.state.isLoading;
+    this.elements.dateSelection.value = String(this.state.folderSettings.dateSelection || 'first');
+    this.elements.dateSelection.disabled = this.state.isLoading;
+    const sortStrategy = this._getSortStrategy();
+    const directionLabels = this.DIRECTION_LABELS[sortStrategy];
+    this.elements.sortStrategy.value = sortStrategy;
+    this.elements.sortStrategy.disabled = this.state.isLoading;
+    Array.from(this.elements.sortDirection.options).forEach(option => {
+      option.textContent = directionLabels[option.value];
+    });
+    this.elements.sortDirection.value = this._getSortDirection();
+    this.elements.sortDirection.disabled = this.state.isLoading;
+    
+    const tieBreakers = this.state.folderSettings.tieBreakers || ['index'];
+    this.elements.tieBreakerSelects.forEach((select, i) => {
+      select.value = tieBreakers[i] || (i === 0 ? 'index' : '');
+      select.disabled = this.state.isLoading;
+    });
+    
+    this.elements.undatedPlacement.value = this.state.folderSettings.undatedPlacement || 'bottom';
+    this.elements.undatedPlacement.disabled = this.state.isLoading;
+    this.elements.otherItems.value = this.state.folderSettings.otherItems || 'inPlace';
+    this.elements.otherItems.disabled = this.state.isLoading;
+    this.elements.sortBookmarks.checked = this.state.folderSettings.sortBookmarks === true;
+    this.elements.sortBookmarks.disabled = this.state.isLoading;
+    
+    const includeNested = this.state.folderSettings.includeNested === true;
+    this.elements.includeNested.checked = includeNested;
+    this.elements.includeNested.disabled = this.state.isLoading;
+    this.elements.nestedDepth.value = String(this.state.folderSettings.nestedDepth || 2);
+    this.elements.nestedDepth.disabled = this.state.isLoading || !includeNested;
+    this.elements.onConflict.value = this.state.folderSettings.onConflict || 'replan';
+    this.elements.onConflict.disabled = this.state.isLoading;
+    this.elements.autoSort.checked = this.state.folderSettings.autoSort === true;
+    this.elements.autoSort.disabled = this.state.isLoading;
+    
+    const schedule = this.state.folderSettings.schedule || { frequency: 'off' };
+    this.elements.scheduleFrequency.value = schedule.frequency;
+    this.elements.scheduleFrequency.disabled = this.state.isLoading;
+    this.elements.scheduleWeekday.value = String(Number.isInteger(schedule.weekday) ? schedule.weekday : 1);
+    this.elements.scheduleWeekday.hidden = schedule.frequency !== 'weekly';
+    this.elements.scheduleWeekday.disabled = this.state.isLoading;
+    this.elements.scheduleTime.value = schedule.time || this.organizerService.DEFAULT_SCHEDULE_TIME;
+    this.elements.scheduleTime.hidden = schedule.frequency !== 'daily' && schedule.frequency !== 'weekly';
+    this.elements.scheduleTime.disabled = this.state.isLoading;
+    this.elements.scheduleStatus.textContent = this._describeSchedule(schedule);
+    this.elements.searchFolder.checked = this.state.searchFolderId !== null &&
+      this.state.searchFolderId === this.state.selectedFolderId;
+    this.elements.searchFolder.disabled = this.state.isLoading;
+    this.elements.scheduleStatus.classList.toggle('warning', Boolean(this.state.lastRun && !this.state.lastRun.success));
+    
+    this.elements.archiveAfterDays.value = String(this.state.folderSettings.archiveAfterDays || 90);
+    this.elements.archiveAfterDays.disabled = this.state.isLoading;
+    this.elements.archiveFolder.value = this.state.folderSettings.archiveFolderId || '';
+    this.elements.archiveFolder.disabled = this.state.isLoading;
+    this.elements.archiveOnSchedule.checked = this.state.folderSettings.archiveOnSchedule === true;
+    this.elements.archiveOnSchedule.disabled = this.state.isLoading;
+    
+    this._renderPinRules();
+    this._renderBackupHistory();
+    this.elements.pinType.disabled = this.state.isLoading;
+    this.elements.pinPattern.disabled = this.state.isLoading;
+    this.elements.pinPosition.disabled = this.state.isLoading;
+    this.elements.addPinBtn.disabled = this.state.isLoading;
+    
+    const conventionHint = this._describeConvention();
+    this.elements.conventionHint.textContent = conventionHint.text;
+    this.elements.conventionHint.classList.toggle('warning', conventionHint.isWarning);
+    
     // Update Rearrange button state and tooltip
     const hasSelection = this.state.selectedFolderId !== null && this.state.selectedFolderId !== '';
     const hasSubfolders = this.state.subfoldersCount > 0;
@@ -584,6 +2031,36 @@ class UIController {
       this.elements.rearrangeBtn.title = 'Rearrange folders chronologically by date';
     }
     
+    // Reformat button follows the same availability rules as Rearrange
+    this.elements.reformatBtn.disabled = this.elements.rearrangeBtn.disabled;
+    if (this.state.isLoading) {
+      this.elements.reformatBtn.title = 'Processing...';
+    } else if (!this.elements.reformatBtn.disabled) {
+      this.elements.reformatBtn.title = `Rewrite dates in folder titles as ${this.state.dateFormat}`;
+    } else {
+      this.elements.reformatBtn.title = this.elements.rearrangeBtn.title;
+    }
+    
+    // Group by period button also follows Rearrange
+    this.elements.groupBtn.disabled = this.elements.rearrangeBtn.disabled;
+    if (this.state.isLoading) {
+      this.elements.groupBtn.title = 'Processing...';
+    } else if (!this.elements.groupBtn.disabled) {
+      this.elements.groupBtn.title = 'Move dated folders into Year / Month folders';
+    } else {
+      this.elements.groupBtn.title = this.elements.rearrangeBtn.title;
+    }
+    
+    // Archive button also follows Rearrange
+    this.elements.archiveBtn.disabled = this.elements.rearrangeBtn.disabled;
+    if (this.state.isLoading) {
+      this.elements.archiveBtn.title = 'Processing...';
+    } else if (!this.elements.archiveBtn.disabled) {
+      this.elements.archiveBtn.title = `Move folders older than ${this.state.folderSettings.archiveAfterDays || 90} days into the archive folder`;
+    } else {
+      this.elements.archiveBtn.title = this.elements.rearrangeBtn.title;
+    }
+    
     // Update Revert button state and tooltip
     if (this.state.isLoading) {
       this.elements.revertBtn.disabled = true;
@@ -600,14 +2077,36 @@ class UIController {
     }
     
     // Update date format radio buttons state
+    // Keep the custom option selected while the user is still editing a template
+    const editingCustom = this._isCustomOptionChecked();
     this.elements.dateFormatRadios.forEach(radio => {
       radio.disabled = this.state.isLoading;
       
       // Update checked state if dateFormat was updated
-      if (radio.value === this.state.dateFormat) {
+      if (!editingCustom && radio.value === this._getDateFormatOption(this.state.dateFormat)) {
         radio.checked = true;
       }
     });
+    
+    this.elements.dateSourceCheckboxes.forEach(checkbox => {
+      checkbox.disabled = this.state.isLoading;
+    });
+    
+    // Custom template field is only editable when the custom option is selected
+    this.elements.customTemplate.disabled = this.state.isLoading || !editingCustom;
+    this.elements.useTemplateBtn.disabled = this.state.isLoading || !editingCustom;
+    
+    // Redrawn on every update so dates follow the chosen display format
+    this._renderPreview();
+  }
+
+  /**
+   * Checks whether the custom template radio button is selected
+   * @returns {boolean}
+   * @private
+   */
+  _isCustomOptionChecked() {
+    return Array.from(this.elements.dateFormatRadios).some(radio => radio.value === 'custom' && radio.checked);
   }
 
   /**
@@ -633,6 +2132,24 @@ class UIController {
     statusMessage.removeAttribute('hidden');
   }
 
+  /**
+   * Pauses or resumes background auto-sort for the selected folder, if it opted in
+   * @param {boolean} suspended - True while an operation is running
+   * @private
+   */
+  _suspendAutoSort(suspended) {
+    if (!this.state.selectedFolderId || this.state.folderSettings.autoSort !== true) {
+      return;
+    }
+    
+    // The background page may not be running (e.g. while the extension reloads); nothing to pause then
+    browser.runtime.sendMessage({
+      type: 'suspendAutoSort',
+      folderId: this.state.selectedFolderId,
+      suspended
+    }).catch(() => {});
+  }
+
   /**
    * Shows or hides the loading spinner and manages loading state
    * @param {boolean} isLoading - Whether to show loading state
@@ -647,9 +2164,18 @@ class UIController {
       }
     }
     
+    // Keep background auto-sort from reacting to (or undoing) what this operation changes
+    this._suspendAutoSort(isLoading);
+    
     // Update UI state with loading status
     // This will handle all button states, tooltips, and interactive elements
-    this.updateUI({ isLoading });
+    // Starting any operation discards a shown preview, since it may no longer match the folder
+    this.updateUI(isLoading ? { isLoading, pendingPlan: null } : { isLoading });
+    
+    // Every operation may have saved a backup, so list the folder's backups again afterwards
+    if (!isLoading) {
+      this._loadBackupHistory();
+    }
   }
 }
 
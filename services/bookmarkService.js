@@ -4,6 +4,39 @@
  */
 
 class BookmarkService {
+  constructor() {
+    // Where a folder's sort date can come from, in the order they are tried
+    this.DATE_SOURCES = ['title', 'dateAdded', 'newestChild', 'dateGroupModified'];
+
+    // Secondary sort keys used when two folders share the same sort key
+    this.TIE_BREAKERS = ['title', 'index', 'childCount'];
+
+    // Natural, number-aware title comparison ("Group 2" before "Group 10")
+    this.titleCollator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+    // Built-in sort strategies for sortFolders(), see _createSortStrategies()
+    this.SORT_STRATEGIES = this._createSortStrategies();
+
+    // Deepest level sortFolderTree() will descend to below the selected folder
+    this.MAX_TREE_DEPTH = 10;
+
+    // Where sortFolders() puts loose bookmarks and separators in a mixed parent
+    this.OTHER_ITEM_PLACEMENTS = ['inPlace', 'top', 'bottom'];
+
+    // How a pin rule matches folder titles, and the slots pinned folders can take
+    this.PIN_RULE_TYPES = ['exact', 'regex', 'marker'];
+    this.PIN_POSITIONS = ['top', 'bottom'];
+    this.DEFAULT_PIN_MARKER = '📌';
+
+    // Where sortFolders() puts folders the strategy can't key (undated folders for the date strategy)
+    this.UNDATED_PLACEMENTS = ['bottom', 'top', 'interleave', 'subfolder'];
+    this.UNDATED_FOLDER_TITLE = 'Undated';
+
+    // What applySortPlan() does when bookmarks change underneath it, and how often it re-plans before giving up
+    this.CONFLICT_POLICIES = ['replan', 'abort'];
+    this.MAX_REPLANS = 3;
+  }
+
   /**
    * Retrieves all bookmark folders in a tree structure
    * Filters out non-folder bookmarks
@@ -48,19 +81,43 @@ class BookmarkService {
    * @returns {Promise<BookmarkTreeNode[]>} Array of immediate subfolder nodes
    */
   async getSubfolders(folderId) {
-    try {
-      // Get children of the specified folder
-      const children = await browser.bookmarks.getChildren(folderId);
-      
-      // Filter to only include folders (items without URLs)
-      const folders = children.filter(child => !child.url);
-      
-      return folders.map(folder => ({
+    const children = await this.getChildItems(folderId);
+
+    return children
+      .filter(child => child.type === 'folder')
+      .map(folder => ({
         id: folder.id,
         title: folder.title,
         parentId: folder.parentId,
-        index: folder.index
+        index: folder.index,
+        dateAdded: folder.dateAdded,
+        dateGroupModified: folder.dateGroupModified
       }));
+  }
+
+  /**
+   * Gets every immediate child of a folder (folders, bookmarks and separators) in index order
+   * @param {string} folderId - Parent folder ID
+   * @returns {Promise<Array<{id: string, type: string, title: string, url?: string, parentId: string,
+   *   index: number, dateAdded?: number, dateGroupModified?: number}>>} type is 'folder', 'bookmark' or 'separator'
+   */
+  async getChildItems(folderId) {
+    try {
+      // Get children of the specified folder
+      const children = await browser.bookmarks.getChildren(folderId);
+      
+      return children
+        .map(child => ({
+          id: child.id,
+          type: this._getNodeType(child),
+          title: child.title,
+          url: child.url,
+          parentId: child.parentId,
+          index: child.index,
+          dateAdded: child.dateAdded,
+          dateGroupModified: child.dateGroupModified
+        }))
+        .sort((a, b) => a.index - b.index);
     } catch (error) {
       console.error(`Error retrieving subfolders for folder ${folderId}:`, error);
       throw new Error('Failed to retrieve subfolders');
@@ -68,141 +125,1936 @@ class BookmarkService {
   }
 
   /**
-   * Rearranges subfolders by date (newest first)
+   * Works out whether a bookmark node is a folder, bookmark or separator
+   * Older Firefox versions have no 'type' field; there a folder is any node without a URL
+   * @param {BookmarkTreeNode} node - Bookmark node
+   * @returns {string} 'folder', 'bookmark' or 'separator'
+   * @private
+   */
+  _getNodeType(node) {
+    if (node.type) {
+      return node.type;
+    }
+    return node.url ? 'bookmark' : 'folder';
+  }
+
+  /**
+   * Resolves the sort date of a folder by trying each date source in turn
+   * 'title' parses the folder title, 'dateAdded' and 'dateGroupModified' read the folder's
+   * bookmark metadata, and 'newestChild' uses the most recently added bookmark inside it
+   * @param {Object} folder - Folder node from getSubfolders()
+   * @param {DateParser} dateParser - Date parser instance
+   * @param {string[]} [dateSources] - Sources to try, in order
+   * @param {Object} [parseOptions] - Options passed to DateParser.extractDate() for the title
+   * @returns {Promise<{date: Date, source: string} | null>} Resolved date or null if no source applies
+   */
+  async resolveFolderDate(folder, dateParser, dateSources = ['title'], parseOptions = {}) {
+    for (const source of dateSources) {
+      let date = null;
+
+      switch (source) {
+        case 'title':
+          date = dateParser.extractDate(folder.title, parseOptions);
+          break;
+
+        case 'dateAdded':
+        case 'dateGroupModified':
+          date = typeof folder[source] === 'number' ? new Date(folder[source]) : null;
+          break;
+
+        case 'newestChild': {
+          const children = await browser.bookmarks.getChildren(folder.id);
+          const timestamps = children
+            .filter(child => child.url && typeof child.dateAdded === 'number')
+            .map(child => child.dateAdded);
+          date = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
+          break;
+        }
+
+        default:
+          console.warn(`Unknown date source: ${source}`);
+      }
+
+      if (date && !isNaN(date.getTime())) {
+        return { date, source };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Rearranges subfolders by date (newest first unless options.direction is 'asc')
    * Dated folders are sorted chronologically, non-dated folders remain at bottom
+   * This is sortFolders() with the built-in 'date' strategy; planRearrange() is its dry run
    * @param {string} parentFolderId - Parent folder ID
    * @param {DateParser} dateParser - Date parser instance
-   * @returns {Promise<{success: boolean, movedCount: number, error?: string}>}
+   * @param {Object} [options] - Rearrange options, see sortFolders()
+   * @param {string[]} [options.dateSources] - Date source chain, see resolveFolderDate() (defaults to title only)
+   * @param {string} [options.convention] - 'DMY' or 'MDY' day/month order for numeric title dates
+   * @param {string|number} [options.selection] - Which timestamp to use when a title has several, see DateParser.selectDate()
+   * @returns {Promise<{success: boolean, movedCount: number, fallbackCount?: number, error?: string}>}
+   */
+  async rearrangeFolders(parentFolderId, dateParser, options = {}) {
+    return this.sortFolders(parentFolderId, 'date', { ...options, dateParser });
+  }
+
+  /**
+   * Sorts subfolders using a sort strategy
+   * Folders the strategy can't produce a key for (e.g. undated folders) keep their original order
+   * where options.undatedPlacement says, at the bottom by default. Folders with equal keys are ordered by options.tieBreakers,
+   * then by original index, so the result never depends on the sort implementation.
+   * Loose bookmarks and separators in the same parent are kept where options.otherItems says;
+   * separators never move relative to the other loose items.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {string|Object} strategy - Name of a built-in strategy in SORT_STRATEGIES, or a custom
+   *   strategy object: { getKey(folder, context) => key | null, compare(keyA, keyB) => number,
+   *   defaultDirection: 'asc' | 'desc', label?: string, getBookmarkKey?(bookmark, context) => key | null,
+   *   getFallbackKey?(folder, context) => key | null }
+   * @param {Object} [options] - Sort options, also passed to getKey() as context
+   * @param {string} [options.direction] - 'asc' or 'desc', defaults to the strategy's direction
+   * @param {string[]} [options.tieBreakers] - Secondary keys from TIE_BREAKERS: 'title' (natural A→Z),
+   *   'index' (original position) and 'childCount' (most bookmarks first)
+   * @param {string} [options.otherItems] - From OTHER_ITEM_PLACEMENTS: 'inPlace' (default) keeps each
+   *   bookmark and separator at its position, 'top' and 'bottom' gather them above or below the folders
+   * @param {boolean} [options.sortBookmarks] - Also sort loose bookmarks among themselves with the
+   *   strategy's getBookmarkKey(); bookmarks it can't key follow in their original order
+   * @param {Array<{type: string, pattern: string, position: string}>} [options.pinRules] - Folders matching
+   *   a rule (see matchPinRule()) are kept above or below every other folder, in rule order
+   * @param {string} [options.undatedPlacement] - From UNDATED_PLACEMENTS: 'bottom' (default) or 'top' of the
+   *   sorted block, 'interleave' to sort them among the others by the strategy's getFallbackKey() (the date
+   *   strategy tries the metadata sources not already in options.dateSources) or 'subfolder' to move them
+   *   into an UNDATED_FOLDER_TITLE subfolder, created when missing
+   * @param {string} [options.onConflict] - From CONFLICT_POLICIES: what to do when the parent's children
+   *   change while they are being sorted, see applySortPlan() ('replan' by default)
+   * @param {DateParser} [options.dateParser] - Required by the 'date' strategy
+   * @returns {Promise<{success: boolean, movedCount: number, plannedMoveCount?: number, fallbackCount?: number,
+   *   keyedCount?: number, unkeyedCount?: number, interleavedCount?: number, undatedPlacement?: string,
+   *   backup?: Object, replanCount?: number, conflict?: Object, skipped?: boolean, failedItems?: Object[],
+   *   rolledBack?: boolean, rollbackFailures?: Object[], error?: string}>} keyedCount and unkeyedCount count
+   *   the folders the strategy could and couldn't key, interleavedCount how many unkeyed folders got a
+   *   fallback key, and backup is set when folders were filed into the Undated folder; replanCount and
+   *   conflict report changes made by someone else during the sort (see applySortPlan()).
+   *   Only children off the longest already-ordered run are moved; plannedMoveCount is how many moves were
+   *   planned and movedCount how many were made. If a move fails, the original order is restored and
+   *   failedItems, rolledBack and rollbackFailures describe what happened.
+   *   skipped is true when there was nothing to sort and no bookmarks were touched
+   */
+  async sortFolders(parentFolderId, strategy = 'date', options = {}) {
+    const plan = await this.planSort(parentFolderId, strategy, options);
+
+    if (!plan.success) {
+      const result = {
+        success: false,
+        movedCount: 0,
+        error: plan.error
+      };
+      if (plan.skipped) {
+        result.skipped = true;
+      }
+      return result;
+    }
+
+    return this.applySortPlan(plan);
+  }
+
+  /**
+   * Works out the new order of a parent's children without changing any bookmarks
+   * This is the dry run of sortFolders(), which applies the plan with applySortPlan()
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {string|Object} strategy - Sort strategy, see sortFolders()
+   * @param {Object} [options] - Sort options, see sortFolders()
+   * @returns {Promise<{success: boolean, parentFolderId?: string,
+   *   order?: Array<{id: string, title: string, type: string, oldIndex: number, newIndex: number,
+   *   sortKey: *, date: Date | null, source?: string, pinned?: string}>, unsorted?: Object[], moves?: Array<{id: string, index: number}>,
+   *   plannedMoveCount?: number, fallbackCount?: number, keyedCount?: number, unkeyedCount?: number,
+   *   interleavedCount?: number, undatedPlacement?: string, filed?: Object[],
+   *   undatedFolder?: {id: string | null, planId: string, title: string}, children?: Object[],
+   *   strategy?: string|Object, options?: Object, skipped?: boolean, error?: string}>}
+   *   order lists every child left in the parent in its new position; sortKey is null for children the
+   *   strategy didn't key and pinned is 'top' or 'bottom' for folders placed by a pin rule.
+   *   unsorted lists the folders still without a key (undated folders for the date strategy), which keep
+   *   their original order where options.undatedPlacement says. With 'subfolder' placement, filed lists the
+   *   folders to move into undatedFolder, whose id is null (and planId a placeholder) until it is created.
+   *   children is the original child list applySortPlan() rolls back to, and strategy and options are
+   *   kept so it can plan again if the children change before the plan is carried out.
    */
-  async rearrangeFolders(parentFolderId, dateParser) {
+  async planSort(parentFolderId, strategy = 'date', options = {}) {
     try {
-      // Fetch immediate subfolders of the parent
-      const subfolders = await this.getSubfolders(parentFolderId);
+      const sortStrategy = typeof strategy === 'string' ? this.SORT_STRATEGIES[strategy] : strategy;
+
+      if (!sortStrategy || typeof sortStrategy.getKey !== 'function' || typeof sortStrategy.compare !== 'function') {
+        return {
+          success: false,
+          error: `Unknown sort strategy: ${strategy}`
+        };
+      }
+
+      // Fetch every immediate child of the parent, then pick out the subfolders
+      const children = await this.getChildItems(parentFolderId);
+      const subfolders = children.filter(child => child.type === 'folder');
       
       if (subfolders.length === 0) {
         return {
           success: false,
-          movedCount: 0,
+          skipped: true,
           error: 'No subfolders found in the selected folder'
         };
       }
 
-      // Separate folders into dated and non-dated groups
-      const datedFolders = [];
-      const nonDatedFolders = [];
+      const {
+        direction = sortStrategy.defaultDirection || 'asc',
+        tieBreakers = [],
+        otherItems = 'inPlace',
+        sortBookmarks = false,
+        pinRules = [],
+        undatedPlacement = 'bottom'
+      } = options;
+      const context = {
+        ...options,
+        getChildren: this._createChildrenLoader()
+      };
+
+      // Pinned folders take fixed slots above or below everything else, in rule order
+      const pinned = { top: [], bottom: [] };
+      const unpinnedFolders = [];
 
       for (const folder of subfolders) {
-        const date = dateParser.extractDate(folder.title);
+        const rule = this.matchPinRule(folder.title, pinRules);
+        if (rule) {
+          pinned[rule.position].push({ ...folder, pinned: rule.position, ruleIndex: pinRules.indexOf(rule) });
+        } else {
+          unpinnedFolders.push(folder);
+        }
+      }
+      pinned.top.sort((a, b) => a.ruleIndex - b.ruleIndex);
+      pinned.bottom.sort((a, b) => a.ruleIndex - b.ruleIndex);
+
+      // Filing into the Undated folder never files that folder into itself
+      const filesUndated = undatedPlacement === 'subfolder';
+      const undatedFolder = filesUndated
+        ? subfolders.find(folder => (folder.title || '').trim() === this.UNDATED_FOLDER_TITLE) || null
+        : null;
+
+      // Separate folders into keyed and unkeyed groups
+      const keyedFolders = [];
+      let unkeyedFolders = [];
+
+      for (const folder of unpinnedFolders) {
+        if (folder === undatedFolder) {
+          continue;
+        }
+
+        const key = await sortStrategy.getKey(folder, context);
         
-        if (date) {
-          datedFolders.push({
+        if (key !== null && key !== undefined) {
+          keyedFolders.push({
             ...folder,
-            extractedDate: date
+            sortKey: key
           });
         } else {
-          nonDatedFolders.push(folder);
+          unkeyedFolders.push(folder);
         }
       }
+      const keyedCount = keyedFolders.length;
+      const unkeyedCount = unkeyedFolders.length;
 
-      // Check if there are any dated folders to sort
-      if (datedFolders.length === 0) {
+      // Interleaved folders are sorted among the others by the strategy's fallback key, e.g. their creation date
+      let interleavedCount;
+      if (undatedPlacement === 'interleave') {
+        const stillUnkeyed = [];
+        for (const folder of unkeyedFolders) {
+          const key = typeof sortStrategy.getFallbackKey === 'function'
+            ? await sortStrategy.getFallbackKey(folder, context)
+            : null;
+          if (key !== null && key !== undefined) {
+            keyedFolders.push({ ...folder, sortKey: key });
+          } else {
+            stillUnkeyed.push(folder);
+          }
+        }
+        interleavedCount = unkeyedFolders.length - stillUnkeyed.length;
+        unkeyedFolders = stillUnkeyed;
+      }
+
+      // Check if there are any folders the strategy can sort or a pin rule can place
+      if (keyedFolders.length === 0 && pinned.top.length === 0 && pinned.bottom.length === 0) {
         return {
           success: false,
-          movedCount: 0,
-          error: 'No subfolders with valid dates found'
+          skipped: true,
+          error: sortStrategy.emptyError || `No subfolders could be sorted by ${sortStrategy.label || 'this strategy'}`
         };
       }
 
-      // Sort dated folders by timestamp in descending order (newest first)
-      datedFolders.sort((a, b) => b.extractedDate.getTime() - a.extractedDate.getTime());
+      // Bookmark counts are only fetched when a tie-breaker needs them
+      if (tieBreakers.includes('childCount')) {
+        for (const folder of keyedFolders) {
+          folder.childCount = this._countBookmarks(await context.getChildren(folder.id));
+        }
+      }
 
-      // Concatenate: dated folders + non-dated folders (preserving original order)
-      const sortedFolders = [...datedFolders, ...nonDatedFolders];
+      // Sort keyed folders by key in the requested direction, then by tie-breakers
+      const directionFactor = direction === 'desc' ? -1 : 1;
+      const compareTies = this._buildTieBreakerComparator(tieBreakers);
+      keyedFolders.sort((a, b) =>
+        directionFactor * sortStrategy.compare(a.sortKey, b.sortKey) || compareTies(a, b)
+      );
 
-      // Use browser.bookmarks.move() to reposition folders to new indices
-      let movedCount = 0;
-      
-      for (let newIndex = 0; newIndex < sortedFolders.length; newIndex++) {
-        const folder = sortedFolders[newIndex];
-        
-        // Only move if the folder's position has changed
-        if (folder.index !== newIndex) {
-          await browser.bookmarks.move(folder.id, {
-            parentId: parentFolderId,
-            index: newIndex
-          });
-          movedCount++;
+      // Filed folders leave the parent, and the Undated folder (created when missing) takes the unkeyed block's place
+      const filedFolders = filesUndated ? unkeyedFolders : [];
+      const filedIds = new Set(filedFolders.map(folder => folder.id));
+      const newFolderId = `${parentFolderId}/${this.UNDATED_FOLDER_TITLE}`;
+      let currentOrder = children.filter(child => !filedIds.has(child.id));
+      let unkeyedBlock = unkeyedFolders;
+      if (filesUndated) {
+        if (!undatedFolder && filedFolders.length > 0) {
+          currentOrder = [...currentOrder, { id: newFolderId, title: this.UNDATED_FOLDER_TITLE, type: 'folder', index: null }];
         }
+        unkeyedBlock = currentOrder.filter(child =>
+          child.id === newFolderId || (child === undatedFolder && unpinnedFolders.includes(child))
+        );
       }
 
-      return {
+      // Concatenate pinned top, keyed and unkeyed folders (the latter in original order), then pinned bottom
+      const sortedFolders = undatedPlacement === 'top'
+        ? [...pinned.top, ...unkeyedBlock, ...keyedFolders, ...pinned.bottom]
+        : [...pinned.top, ...keyedFolders, ...unkeyedBlock, ...pinned.bottom];
+
+      // Place loose bookmarks and separators around the sorted folders
+      let looseItems = children.filter(child => child.type !== 'folder');
+      if (sortBookmarks && typeof sortStrategy.getBookmarkKey === 'function') {
+        looseItems = await this._sortLooseBookmarks(looseItems, sortStrategy, context, directionFactor);
+      }
+      const finalOrder = this._arrangeChildren(currentOrder, sortedFolders, looseItems, otherItems);
+
+      // Only children outside the longest already-ordered run need browser.bookmarks.move()
+      const moves = this._planMoves(currentOrder, finalOrder);
+
+      const plan = {
         success: true,
-        movedCount: movedCount
+        parentFolderId,
+        order: finalOrder.map((item, newIndex) => {
+          const sortKey = item.sortKey === undefined ? null : item.sortKey;
+          const entry = {
+            id: item.id,
+            title: item.title,
+            type: item.type,
+            oldIndex: item.index,
+            newIndex,
+            sortKey,
+            date: sortKey && sortKey.date instanceof Date ? sortKey.date : null
+          };
+          if (sortKey && sortKey.source) {
+            entry.source = sortKey.source;
+          }
+          if (item.pinned) {
+            entry.pinned = item.pinned;
+          }
+          return entry;
+        }),
+        unsorted: unkeyedFolders,
+        moves,
+        plannedMoveCount: moves.length + filedFolders.length,
+        keyedCount,
+        unkeyedCount,
+        undatedPlacement,
+        children,
+        strategy,
+        options
       };
 
+      if (interleavedCount !== undefined) {
+        plan.interleavedCount = interleavedCount;
+      }
+
+      if (filesUndated) {
+        plan.filed = filedFolders;
+        plan.undatedFolder = {
+          id: undatedFolder ? undatedFolder.id : null,
+          planId: undatedFolder ? undatedFolder.id : newFolderId,
+          title: this.UNDATED_FOLDER_TITLE
+        };
+      }
+
+      // Report how many dates came from bookmark metadata rather than titles
+      if (keyedFolders.some(folder => folder.sortKey.source)) {
+        plan.fallbackCount = keyedFolders.filter(folder => folder.sortKey.source && folder.sortKey.source !== 'title').length;
+      }
+
+      return plan;
+
     } catch (error) {
-      console.error('Error rearranging folders:', error);
+      console.error('Error planning folder sort:', error);
       return {
         success: false,
-        movedCount: 0,
         error: error.message || 'Failed to rearrange folders'
       };
     }
   }
 
   /**
-   * Restores folders to original order using backup data
+   * Plans a date rearrangement without changing any bookmarks, see planSort()
    * @param {string} parentFolderId - Parent folder ID
-   * @param {Object} backup - Backup data with original positions
-   * @param {Array<{id: string, index: number}>} backup.folders - Array of folder IDs and their original indices
-   * @returns {Promise<boolean>} True if revert was successful
+   * @param {DateParser} dateParser - Date parser instance
+   * @param {Object} [options] - Rearrange options, see rearrangeFolders()
+   * @returns {Promise<Object>} Plan from planSort(); order[].date is each folder's sort date
+   *   and unsorted is the undated bucket
    */
-  async revertFolders(parentFolderId, backup) {
+  async planRearrange(parentFolderId, dateParser, options = {}) {
+    return this.planSort(parentFolderId, 'date', { ...options, dateParser });
+  }
+
+  /**
+   * Carries out a plan from planSort()
+   * Folders filed into the Undated folder are moved first (creating it if needed), then the planned
+   * moves are made. If anything fails, every child is put back in its original position and a
+   * created Undated folder is removed before returning.
+   * Other extensions (e.g. Tab Stash) may add, remove, rename or move children of the parent while
+   * this runs, or since the plan was made. The children are checked against the plan before the first
+   * move and bookmark events are watched until the last one; a change is noticed before the next move.
+   * With plan.options.onConflict 'replan' (the default) the remaining work is planned again from the
+   * current children, up to MAX_REPLANS times; with 'abort', or once re-planning gives up, everything
+   * is put back as on failure.
+   * @param {Object} plan - Successful plan from planSort() or planRearrange()
+   * @returns {Promise<{success: boolean, movedCount: number, plannedMoveCount: number, fallbackCount?: number,
+   *   keyedCount?: number, unkeyedCount?: number, interleavedCount?: number, undatedPlacement?: string,
+   *   backup?: {folders: Object[], createdFolderIds: string[]}, replanCount?: number,
+   *   conflict?: {type: string, id: string, title: string}, failedItems?: Object[], rolledBack?: boolean,
+   *   rollbackFailures?: Object[], error?: string}>} See sortFolders(); backup is only set when folders were
+   *   filed into the Undated folder, and is what revertFolders() needs to move them back. replanCount is
+   *   set when the plan was redone; conflict is the change that stopped the sort, type being 'created',
+   *   'removed', 'changed' or 'moved'
+   */
+  async applySortPlan(plan) {
+    const { parentFolderId, children } = plan;
+    const onConflict = plan.options && plan.options.onConflict === 'abort' ? 'abort' : 'replan';
+    const run = { movedCount: 0, createdFolderIds: [], filedTo: new Map(), current: null };
+    const watcher = this._watchChildren(parentFolderId, children);
+    let activePlan = plan;
+    let plannedMoveCount = plan.plannedMoveCount;
+    let replanCount = 0;
+
     try {
-      // Validate backup data
-      if (!backup || !backup.folders || !Array.isArray(backup.folders)) {
-        throw new Error('Invalid backup data');
+      // A plan shown as a preview may be minutes old; make sure it still fits before moving anything
+      let conflict = await this._findChildChange(parentFolderId, children);
+
+      while (true) {
+        conflict = conflict || await this._applyPlanSteps(activePlan, watcher, run);
+        if (!conflict || onConflict === 'abort' || replanCount >= this.MAX_REPLANS) {
+          break;
+        }
+
+        // Changes arriving while planning are caught before the new plan's first move
+        watcher.changes.length = 0;
+        const replanned = await this.planSort(parentFolderId, activePlan.strategy, activePlan.options);
+        if (!replanned.success) {
+          break;
+        }
+
+        replanCount++;
+        activePlan = replanned;
+        watcher.track(replanned.children);
+        plannedMoveCount = run.movedCount + replanned.plannedMoveCount;
+        conflict = null;
       }
 
-      // Verify parent folder exists
+      if (conflict) {
+        // Children someone else removed can't be put back, so they aren't counted as rollback failures
+        const removedIds = new Set([conflict, ...watcher.changes]
+          .filter(change => change.type === 'removed')
+          .map(change => change.id));
+        const rollback = run.movedCount > 0 || run.createdFolderIds.length > 0
+          ? await this._rollBackSort(parentFolderId, children.filter(child => !removedIds.has(child.id)), run.createdFolderIds)
+          : { restored: true, failedItems: [] };
+
+        return {
+          success: false,
+          movedCount: run.movedCount,
+          plannedMoveCount,
+          conflict,
+          rolledBack: rollback.restored,
+          rollbackFailures: rollback.failedItems,
+          error: this._describeFailure('Stopped because bookmarks changed while sorting',
+            new Error(this._describeChildChange(conflict)), rollback)
+        };
+      }
+    } catch (error) {
+      // All or nothing: put every child back where it was before reporting the failure
+      // current is null when the children couldn't be read before the first move (e.g. the parent was deleted)
+      const { current } = run;
+      console.error(`Error sorting ${current ? current.title : parentFolderId}, rolling back:`, error);
+      const rollback = run.movedCount > 0 || run.createdFolderIds.length > 0
+        ? await this._rollBackSort(parentFolderId, children, run.createdFolderIds)
+        : { restored: true, failedItems: [] };
+
+      return {
+        success: false,
+        movedCount: run.movedCount,
+        plannedMoveCount,
+        failedItems: current ? [{ id: current.id, title: current.title, error: error.message }] : [],
+        rolledBack: rollback.restored,
+        rollbackFailures: rollback.failedItems,
+        error: this._describeFailure(
+          current ? `Could not ${current.action} "${current.title}"` : 'Failed to rearrange folders',
+          error,
+          rollback
+        )
+      };
+    } finally {
+      watcher.stop();
+    }
+
+    const result = {
+      success: true,
+      movedCount: run.movedCount,
+      plannedMoveCount
+    };
+
+    for (const field of ['fallbackCount', 'keyedCount', 'unkeyedCount', 'interleavedCount', 'undatedPlacement']) {
+      if (activePlan[field] !== undefined) {
+        result[field] = activePlan[field];
+      }
+    }
+
+    if (replanCount > 0) {
+      result.replanCount = replanCount;
+    }
+
+    if (run.filedTo.size > 0) {
+      result.backup = {
+        folders: children.map(child => (run.filedTo.has(child.id)
+          ? { id: child.id, index: child.index, movedTo: run.filedTo.get(child.id) }
+          : { id: child.id, index: child.index })),
+        createdFolderIds: run.createdFolderIds
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Makes the moves of one plan for applySortPlan(), stopping before the next move once a change
+   * by someone else has been seen
+   * @param {Object} plan - Plan from planSort()
+   * @param {Object} watcher - Watcher from _watchChildren()
+   * @param {{movedCount: number, createdFolderIds: string[], filedTo: Map, current: Object}} run - Progress
+   *   of the whole applySortPlan() call, updated as moves are made
+   * @returns {Promise<Object|null>} The change that stopped it, or null when every move was made
+   * @throws {Error} When a create or move fails; run.current is the item it failed on
+   * @private
+   */
+  async _applyPlanSteps(plan, watcher, run) {
+    const { parentFolderId, moves, children, filed = [], undatedFolder } = plan;
+    let undatedFolderId = undatedFolder ? undatedFolder.id : null;
+
+    // Undated folders are filed first, so the planned moves see the parent without them
+    if (filed.length > 0) {
+      if (!undatedFolderId) {
+        run.current = { id: null, title: undatedFolder.title, action: 'create' };
+        watcher.expect({ type: 'created', parentId: parentFolderId, title: undatedFolder.title });
+        const created = await browser.bookmarks.create({ parentId: parentFolderId, title: undatedFolder.title });
+        undatedFolderId = created.id;
+        run.createdFolderIds.push(created.id);
+      }
+
+      for (const folder of filed) {
+        if (watcher.changes.length > 0) {
+          return watcher.changes[0];
+        }
+        run.current = { id: folder.id, title: folder.title, action: 'move' };
+        watcher.expect({ type: 'moved', id: folder.id, parentId: undatedFolderId });
+        await browser.bookmarks.move(folder.id, { parentId: undatedFolderId });
+        run.movedCount++;
+        run.filedTo.set(folder.id, undatedFolderId);
+      }
+    }
+
+    for (const move of moves) {
+      if (watcher.changes.length > 0) {
+        return watcher.changes[0];
+      }
+      const isNewFolder = undatedFolder && move.id === undatedFolder.planId;
+      const id = isNewFolder ? undatedFolderId : move.id;
+      const title = isNewFolder ? undatedFolder.title : children.find(child => child.id === move.id).title;
+      run.current = { id, title, action: 'move' };
+      watcher.expect({ type: 'moved', id, parentId: parentFolderId });
+      await browser.bookmarks.move(id, {
+        parentId: parentFolderId,
+        index: move.index
+      });
+      run.movedCount++;
+    }
+
+    return null;
+  }
+
+  /**
+   * Puts a parent's children back in their original order and removes the folders a sort created
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object[]} children - Original children, as in a plan from planSort()
+   * @param {string[]} createdFolderIds - Folders created by the sort
+   * @returns {Promise<{restored: boolean, failedItems: Object[]}>} Same shape as _restoreSnapshot()
+   * @private
+   */
+  async _rollBackSort(parentFolderId, children, createdFolderIds) {
+    const rollback = await this._restoreSnapshot(new Map([[parentFolderId, children]]));
+    for (const folderId of createdFolderIds) {
       try {
-        await browser.bookmarks.get(parentFolderId);
+        await browser.bookmarks.remove(folderId);
+      } catch (removeError) {
+        rollback.failedItems.push({ id: folderId, error: removeError.message });
+        rollback.restored = false;
+      }
+    }
+    return rollback;
+  }
+
+  /**
+   * Watches bookmark events for changes to a parent's children made by someone else
+   * Events for the creates and moves announced with expect() beforehand are the sort's own and
+   * are not recorded. Changes inside the children (e.g. bookmarks added to a group) are not watched.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object[]} children - Children of the parent, whose titles are watched for renames
+   * @returns {{changes: Array<{type: string, id: string, title: string}>, expect: Function, track: Function,
+   *   stop: Function}} changes lists what happened in the order the events arrived; track() adds more
+   *   children to watch and stop() removes the listeners
+   * @private
+   */
+  _watchChildren(parentFolderId, children) {
+    const titles = new Map();
+    const expected = [];
+    const changes = [];
+
+    const track = (items) => items.forEach(item => titles.set(item.id, item.title));
+    track(children);
+
+    // An event is the sort's own if it matches every field of an announced operation
+    const record = (change) => {
+      const ownIndex = expected.findIndex(own => Object.keys(own).every(key => own[key] === change[key]));
+      if (ownIndex !== -1) {
+        expected.splice(ownIndex, 1);
+        return;
+      }
+      changes.push({ type: change.type, id: change.id, title: change.title });
+    };
+
+    const listeners = [
+      [browser.bookmarks.onCreated, (id, node) => {
+        if (node.parentId === parentFolderId) {
+          record({ type: 'created', id, parentId: node.parentId, title: node.title });
+        }
+      }],
+      [browser.bookmarks.onRemoved, (id, removeInfo) => {
+        if (removeInfo.parentId === parentFolderId) {
+          record({ type: 'removed', id, title: titles.get(id) || (removeInfo.node && removeInfo.node.title) });
+        }
+      }],
+      [browser.bookmarks.onChanged, (id, changeInfo) => {
+        if (titles.has(id) && changeInfo.title !== undefined && changeInfo.title !== titles.get(id)) {
+          record({ type: 'changed', id, title: titles.get(id) });
+        }
+      }],
+      [browser.bookmarks.onMoved, (id, moveInfo) => {
+        if (moveInfo.parentId === parentFolderId || moveInfo.oldParentId === parentFolderId) {
+          record({ type: 'moved', id, parentId: moveInfo.parentId, title: titles.get(id) });
+        }
+      }]
+    ];
+
+    listeners.forEach(([event, listener]) => event.addListener(listener));
+
+    return {
+      changes,
+      expect: (operation) => expected.push(operation),
+      track,
+      stop: () => listeners.forEach(([event, listener]) => event.removeListener(listener))
+    };
+  }
+
+  /**
+   * Compares a parent's current children with the ones a plan was made from
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object[]} children - Children the plan was made from, in index order
+   * @returns {Promise<{type: string, id: string, title: string} | null>} The first difference, as
+   *   _watchChildren() records it, or null when nothing changed
+   * @private
+   */
+  async _findChildChange(parentFolderId, children) {
+    const current = await this.getChildItems(parentFolderId);
+    const planned = new Map(children.map(child => [child.id, child]));
+    const currentIds = new Set(current.map(child => child.id));
+
+    const added = current.find(child => !planned.has(child.id));
+    if (added) {
+      return { type: 'created', id: added.id, title: added.title };
+    }
+
+    const removed = children.find(child => !currentIds.has(child.id));
+    if (removed) {
+      return { type: 'removed', id: removed.id, title: removed.title };
+    }
+
+    const renamed = current.find(child => planned.get(child.id).title !== child.title);
+    if (renamed) {
+      return { type: 'changed', id: renamed.id, title: planned.get(renamed.id).title };
+    }
+
+    const moved = current.find((child, index) => children[index].id !== child.id);
+    if (moved) {
+      return { type: 'moved', id: moved.id, title: moved.title };
+    }
+
+    return null;
+  }
+
+  /**
+   * Describes a change made by someone else during a sort, e.g. '"Work" was added'
+   * @param {{type: string, title: string}} change - Change from _watchChildren() or _findChildChange()
+   * @returns {string}
+   * @private
+   */
+  _describeChildChange(change) {
+    const what = {
+      created: 'was added',
+      removed: 'was removed',
+      changed: 'was renamed',
+      moved: 'was moved'
+    }[change.type];
+    return change.title ? `"${change.title}" ${what}` : `A bookmark ${what}`;
+  }
+
+  /**
+   * Finds the first pin rule that matches a folder title
+   * 'exact' rules match the whole title (ignoring surrounding spaces), 'regex' rules test the
+   * title case-insensitively and 'marker' rules match titles starting with the pattern
+   * (DEFAULT_PIN_MARKER when empty). Rules with an invalid regex never match.
+   * @param {string} title - Folder title
+   * @param {Array<{type: string, pattern: string, position: string}>} [pinRules] - Rules in priority order
+   * @returns {Object|null} The matching rule, or null
+   */
+  matchPinRule(title, pinRules = []) {
+    const text = (title || '').trim();
+
+    return pinRules.find(rule => {
+      if (!this.PIN_POSITIONS.includes(rule.position)) {
+        return false;
+      }
+
+      switch (rule.type) {
+        case 'exact':
+          return text === (rule.pattern || '').trim();
+        case 'regex':
+          try {
+            return new RegExp(rule.pattern, 'i').test(text);
+          } catch (error) {
+            return false;
+          }
+        case 'marker':
+          return text.startsWith(rule.pattern || this.DEFAULT_PIN_MARKER);
+        default:
+          return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Checks a pin rule before it is saved
+   * @param {{type: string, pattern: string, position: string}} rule - Pin rule
+   * @returns {string|null} Reason the rule is invalid, or null if it can be used
+   */
+  validatePinRule(rule) {
+    if (!rule || !this.PIN_RULE_TYPES.includes(rule.type)) {
+      return 'Unknown pin rule type';
+    }
+
+    if (!this.PIN_POSITIONS.includes(rule.position)) {
+      return 'Pinned folders can only go to the top or bottom';
+    }
+
+    if (rule.type !== 'marker' && !(rule.pattern || '').trim()) {
+      return 'Enter a title or pattern to pin';
+    }
+
+    if (rule.type === 'regex') {
+      try {
+        new RegExp(rule.pattern, 'i');
       } catch (error) {
-        throw new Error('Parent folder no longer exists');
+        return `Invalid pattern: ${error.message}`;
       }
+    }
+
+    return null;
+  }
 
-      // Get current subfolders to verify they still exist
-      const currentSubfolders = await this.getSubfolders(parentFolderId);
-      const currentFolderIds = new Set(currentSubfolders.map(f => f.id));
+  /**
+   * Plans the fewest moves that turn the current child order into the target order
+   * Children on the longest subsequence already in target order stay put; every other child
+   * is moved, in target order, to just after the child that precedes it in the target.
+   * Indices are final positions, as browser.bookmarks.move() expects.
+   * @param {Object[]} currentOrder - Children in current index order
+   * @param {Object[]} targetOrder - The same children in their new order
+   * @returns {Array<{id: string, index: number}>} Moves to perform in order
+   * @private
+   */
+  _planMoves(currentOrder, targetOrder) {
+    const targetPositions = new Map(targetOrder.map((item, position) => [item.id, position]));
+    const kept = this._longestIncreasingSubsequence(currentOrder.map(item => targetPositions.get(item.id)));
+    const keptIds = new Set([...kept].map(i => currentOrder[i].id));
 
-      // Filter backup to only include folders that still exist
-      const validBackupFolders = backup.folders.filter(f => currentFolderIds.has(f.id));
+    // Simulate the moves on a working copy so each index accounts for the ones before it
+    const working = currentOrder.map(item => item.id);
+    const moves = [];
 
-      if (validBackupFolders.length === 0) {
-        throw new Error('No folders from backup exist anymore');
+    targetOrder.forEach((item, position) => {
+      if (keptIds.has(item.id)) {
+        return;
       }
 
-      // Sort backup folders by their original index to restore in correct order
-      const sortedBackup = [...validBackupFolders].sort((a, b) => a.index - b.index);
+      working.splice(working.indexOf(item.id), 1);
+      const index = position === 0 ? 0 : working.indexOf(targetOrder[position - 1].id) + 1;
+      working.splice(index, 0, item.id);
+      moves.push({ id: item.id, index });
+    });
 
-      // Restore folders to their original positions
-      for (const folderBackup of sortedBackup) {
-        try {
-          await browser.bookmarks.move(folderBackup.id, {
-            parentId: parentFolderId,
-            index: folderBackup.index
-          });
-        } catch (error) {
-          console.error(`Error moving folder ${folderBackup.id}:`, error);
-          // Continue with other folders even if one fails
+    return moves;
+  }
+
+  /**
+   * Finds the positions of a longest strictly increasing subsequence (patience sorting, O(n log n))
+   * @param {number[]} values - Sequence of distinct numbers
+   * @returns {Set<number>} Positions in values that belong to the subsequence
+   * @private
+   */
+  _longestIncreasingSubsequence(values) {
+    const tails = [];
+    const previous = new Array(values.length).fill(-1);
+
+    values.forEach((value, i) => {
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[tails[mid]] < value) {
+          low = mid + 1;
+        } else {
+          high = mid;
         }
       }
 
-      return true;
+      if (low > 0) {
+        previous[i] = tails[low - 1];
+      }
+      tails[low] = i;
+    });
 
-    } catch (error) {
-      console.error('Error reverting folders:', error);
-      // Preserve current structure on failure by not making partial changes
+    const positions = new Set();
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+      positions.add(i);
+    }
+    return positions;
+  }
+
+  /**
+   * Puts children back in the order (and under the titles) recorded before an operation
+   * Used to roll back a failed operation; keeps going past errors and reports them
+   * @param {Map<string, Object[]>} snapshot - Children of each affected parent in their original
+   *   index order, as returned by getChildItems()
+   * @returns {Promise<{restored: boolean, failedItems: Array<{id: string, error: string}>}>}
+   * @private
+   */
+  async _restoreSnapshot(snapshot) {
+    const failedItems = [];
+
+    for (const [parentId, originalChildren] of snapshot) {
+      let currentChildren;
+      try {
+        currentChildren = await this.getChildItems(parentId);
+      } catch (error) {
+        failedItems.push({ id: parentId, error: error.message });
+        continue;
+      }
+
+      // When the same children are still there, only the ones out of place need moving
+      const currentIds = new Set(currentChildren.map(child => child.id));
+      const sameChildren = currentChildren.length === originalChildren.length &&
+        originalChildren.every(child => currentIds.has(child.id));
+      const moves = sameChildren
+        ? this._planMoves(currentChildren, originalChildren)
+        : originalChildren.map((child, index) => ({ id: child.id, index }));
+
+      for (const move of moves) {
+        try {
+          await browser.bookmarks.move(move.id, { parentId, index: move.index });
+        } catch (error) {
+          failedItems.push({ id: move.id, error: error.message });
+        }
+      }
+
+      const currentTitles = new Map(currentChildren.map(child => [child.id, child.title]));
+      for (const child of originalChildren) {
+        if (currentTitles.has(child.id) && currentTitles.get(child.id) !== child.title) {
+          try {
+            await browser.bookmarks.update(child.id, { title: child.title });
+          } catch (error) {
+            failedItems.push({ id: child.id, error: error.message });
+          }
+        }
+      }
+    }
+
+    return {
+      restored: failedItems.length === 0,
+      failedItems
+    };
+  }
+
+  /**
+   * Builds the error message for a failed operation, saying whether it was rolled back
+   * @param {string} summary - What failed, e.g. 'Could not move "Work"'
+   * @param {Error} error - The underlying error
+   * @param {{restored: boolean, failedItems: Object[]}} rollback - Result of _restoreSnapshot()
+   * @returns {string}
+   * @private
+   */
+  _describeFailure(summary, error, rollback) {
+    const outcome = rollback.restored
+      ? 'No changes were kept; everything was put back as it was.'
+      : `Some changes could not be undone (${rollback.failedItems.length} item${rollback.failedItems.length !== 1 ? 's' : ''} failed).`;
+    return `${summary}: ${error.message}. ${outcome}`;
+  }
+
+  /**
+   * Sorts a folder as one step of a multi-folder operation, turning a failed sort into an error
+   * so the caller undoes the whole operation. A folder with nothing to sort is not a failure.
+   * @param {string} folderId - Folder to sort
+   * @param {string|Object} strategy - Sort strategy, see sortFolders()
+   * @param {Object} [options] - Sort options, see sortFolders()
+   * @returns {Promise<Object>} Result of sortFolders()
+   * @throws {Error} When the sort failed; failedItems is the sort's failedItems
+   * @private
+   */
+  async _sortOrThrow(folderId, strategy, options) {
+    const result = await this.sortFolders(folderId, strategy, options);
+    if (result.success || result.skipped) {
+      return result;
+    }
+
+    // The sort has already rolled itself back; only say why it failed
+    const [failed] = result.failedItems || [];
+    let message = result.error;
+    if (failed) {
+      message = `Could not sort "${failed.title}": ${failed.error}`;
+    } else if (result.conflict) {
+      message = `Bookmarks changed while sorting: ${this._describeChildChange(result.conflict)}`;
+    }
+
+    const error = new Error(message);
+    error.failedItems = result.failedItems || [];
+    throw error;
+  }
+
+  /**
+   * Rolls back a failed multi-folder operation using the backup it was building
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {{folders: Object[], createdFolderIds: string[]}} backup - Backup recorded so far
+   * @returns {Promise<{restored: boolean, failedItems: Object[]}>} Same shape as _restoreSnapshot()
+   * @private
+   */
+  async _undoWithBackup(parentFolderId, backup) {
+    if (backup.folders.length === 0) {
+      return { restored: true, failedItems: [] };
+    }
+
+    try {
+      await this.revertFolders(parentFolderId, backup);
+      return { restored: true, failedItems: [] };
+    } catch (error) {
+      return {
+        restored: false,
+        failedItems: error.failedItems || [{ id: parentFolderId, error: error.message }]
+      };
+    }
+  }
+
+  /**
+   * Sorts the loose bookmarks in a list of non-folder children, leaving separators in their slots
+   * @param {Object[]} looseItems - Bookmarks and separators in original order
+   * @param {Object} sortStrategy - Strategy with a getBookmarkKey() function
+   * @param {Object} context - Sort context passed to getBookmarkKey()
+   * @param {number} directionFactor - 1 for ascending, -1 for descending
+   * @returns {Promise<Object[]>} Loose items with bookmarks reordered
+   * @private
+   */
+  async _sortLooseBookmarks(looseItems, sortStrategy, context, directionFactor) {
+    const keyed = [];
+    const unkeyed = [];
+
+    for (const item of looseItems) {
+      if (item.type !== 'bookmark') {
+        continue;
+      }
+
+      const key = await sortStrategy.getBookmarkKey(item, context);
+      if (key !== null && key !== undefined) {
+        keyed.push({ item, key });
+      } else {
+        unkeyed.push(item);
+      }
+    }
+
+    keyed.sort((a, b) =>
+      directionFactor * sortStrategy.compare(a.key, b.key) || a.item.index - b.item.index
+    );
+
+    const sortedBookmarks = [...keyed.map(entry => entry.item), ...unkeyed];
+    return looseItems.map(item => (item.type === 'bookmark' ? sortedBookmarks.shift() : item));
+  }
+
+  /**
+   * Merges sorted folders and loose items into the final child order of a parent
+   * @param {Object[]} children - Every child in original index order
+   * @param {Object[]} sortedFolders - Folders in their new order
+   * @param {Object[]} looseItems - Bookmarks and separators in their new order
+   * @param {string} otherItems - 'inPlace', 'top' or 'bottom', see sortFolders()
+   * @returns {Object[]} Children in their new order
+   * @private
+   */
+  _arrangeChildren(children, sortedFolders, looseItems, otherItems) {
+    if (otherItems === 'top') {
+      return [...looseItems, ...sortedFolders];
+    }
+
+    if (otherItems === 'bottom') {
+      return [...sortedFolders, ...looseItems];
+    }
+
+    // In place: folders fill the slots folders held, loose items fill the rest
+    const folderQueue = [...sortedFolders];
+    const looseQueue = [...looseItems];
+    return children.map(child => (child.type === 'folder' ? folderQueue.shift() : looseQueue.shift()));
+  }
+
+  /**
+   * Sorts subfolders at every level below a parent folder, down to a depth limit
+   * Each level is sorted with sortFolders(); levels with nothing to sort (e.g. no dated
+   * folders) are skipped without failing the whole tree. If any move fails, every level
+   * sorted so far is restored, so the tree is either fully sorted or left as it was.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {string|Object} strategy - Sort strategy, see sortFolders()
+   * @param {Object} [options] - Sort options passed to sortFolders() for every level; 'subfolder'
+   *   undatedPlacement is treated as 'bottom', since filing would move groups out of the tree
+   * @param {number} [options.maxDepth] - Levels to sort: 1 is the parent's own subfolders only,
+   *   2 also sorts inside each of them, and so on (defaults to MAX_TREE_DEPTH)
+   * @returns {Promise<{success: boolean, movedCount: number, plannedMoveCount: number, sortedCount: number,
+   *   skippedCount: number, fallbackCount?: number, keyedCount?: number, unkeyedCount?: number,
+   *   interleavedCount?: number, replanCount?: number, conflict?: Object, failedItems?: Object[], rolledBack?: boolean,
+   *   rollbackFailures?: Object[], error?: string}>} sortedCount and skippedCount count parent folders, the other
+   *   counts are summed over every sorted level; on failure the rollback and conflict fields are as in sortFolders()
+   */
+  async sortFolderTree(parentFolderId, strategy = 'date', options = {}) {
+    const maxDepth = Math.min(options.maxDepth || this.MAX_TREE_DEPTH, this.MAX_TREE_DEPTH);
+    const totals = {
+      success: true,
+      movedCount: 0,
+      plannedMoveCount: 0,
+      sortedCount: 0,
+      skippedCount: 0
+    };
+    let firstError = null;
+
+    // Original children of every level sorted so far, to roll the whole tree back on failure
+    const snapshot = new Map();
+
+    // Filing into Undated folders would take groups out of the tree positions Revert restores
+    const treeOptions = options.undatedPlacement === 'subfolder' ? { ...options, undatedPlacement: 'bottom' } : options;
+
+    try {
+      const queue = [{ id: parentFolderId, depth: 1 }];
+
+      while (queue.length > 0) {
+        const { id, depth } = queue.shift();
+        const children = await this.getChildItems(id);
+        const subfolders = children.filter(child => child.type === 'folder');
+
+        if (subfolders.length === 0) {
+          continue;
+        }
+
+        // Pin rules belong to the selected parent, so nested levels are sorted without them
+        const levelOptions = id === parentFolderId ? treeOptions : { ...treeOptions, pinRules: [] };
+        const result = await this.sortFolders(id, strategy, levelOptions);
+
+        if (result.success) {
+          if (result.movedCount > 0) {
+            snapshot.set(id, children);
+          }
+          totals.sortedCount++;
+          totals.movedCount += result.movedCount;
+          totals.plannedMoveCount += result.plannedMoveCount;
+          for (const field of ['fallbackCount', 'keyedCount', 'unkeyedCount', 'interleavedCount', 'replanCount']) {
+            if (result[field] !== undefined) {
+              totals[field] = (totals[field] || 0) + result[field];
+            }
+          }
+        } else if (result.skipped) {
+          totals.skippedCount++;
+          firstError = firstError || result.error;
+        } else {
+          // sortFolders() already rolled this level back, undo the levels sorted before it
+          const rollback = await this._restoreSnapshot(snapshot);
+          const failed = result.failedItems ? result.failedItems[0] : null;
+          const rollbackFailures = [...(result.rollbackFailures || []), ...rollback.failedItems];
+          const treeRollback = { restored: rollbackFailures.length === 0, failedItems: rollbackFailures };
+
+          let summary = 'Failed to rearrange folders';
+          let cause = new Error(result.error);
+          if (failed) {
+            summary = `Could not move "${failed.title}"`;
+            cause = new Error(failed.error);
+          } else if (result.conflict) {
+            summary = 'Stopped because bookmarks changed while sorting';
+            cause = new Error(this._describeChildChange(result.conflict));
+          }
+
+          const treeResult = {
+            ...totals,
+            movedCount: totals.movedCount + result.movedCount,
+            plannedMoveCount: totals.plannedMoveCount + result.plannedMoveCount,
+            success: false,
+            failedItems: result.failedItems || [],
+            rolledBack: treeRollback.restored,
+            rollbackFailures,
+            error: this._describeFailure(summary, cause, treeRollback)
+          };
+          if (result.conflict) {
+            treeResult.conflict = result.conflict;
+          }
+          return treeResult;
+        }
+
+        if (depth < maxDepth) {
+          for (const folder of subfolders) {
+            queue.push({ id: folder.id, depth: depth + 1 });
+          }
+        }
+      }
+
+      if (totals.sortedCount === 0) {
+        return {
+          ...totals,
+          success: false,
+          error: firstError || 'No subfolders found in the selected folder'
+        };
+      }
+
+      return totals;
+
+    } catch (error) {
+      console.error('Error rearranging folder tree:', error);
+      const rollback = await this._restoreSnapshot(snapshot);
+      return {
+        ...totals,
+        success: false,
+        failedItems: [],
+        rolledBack: rollback.restored,
+        rollbackFailures: rollback.failedItems,
+        error: this._describeFailure('Failed to rearrange folders', error, rollback)
+      };
+    }
+  }
+
+  /**
+   * Records the position of every child below a parent folder, down to a depth limit
+   * Bookmarks and separators are included so a mixed parent reverts exactly.
+   * Used to back up a tree before sortFolderTree() so revertFolders() can restore every level
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {number} [maxDepth] - Levels to include, see sortFolderTree()
+   * @returns {Promise<Array<{id: string, parentId: string, index: number}>>} Flat list of child positions
+   */
+  async getFolderTreePositions(parentFolderId, maxDepth = this.MAX_TREE_DEPTH) {
+    const positions = [];
+    const queue = [{ id: parentFolderId, depth: 1 }];
+
+    while (queue.length > 0) {
+      const { id, depth } = queue.shift();
+      const children = await this.getChildItems(id);
+
+      for (const child of children) {
+        positions.push({
+          id: child.id,
+          parentId: id,
+          index: child.index
+        });
+
+        if (child.type === 'folder' && depth < Math.min(maxDepth, this.MAX_TREE_DEPTH)) {
+          queue.push({ id: child.id, depth: depth + 1 });
+        }
+      }
+    }
+
+    return positions;
+  }
+
+  /**
+   * Builds the built-in sort strategies
+   * Each strategy turns a folder into a sort key (or null to leave it unsorted at the bottom)
+   * and compares two keys in ascending order; getBookmarkKey() does the same for loose bookmarks
+   * @returns {Object<string, Object>} Strategies keyed by name
+   * @private
+   */
+  _createSortStrategies() {
+    const compareTitles = (a, b) => this.titleCollator.compare(a, b);
+
+    return {
+      // Date in the title, or the configured metadata fallbacks
+      date: {
+        label: 'date',
+        defaultDirection: 'desc',
+        emptyError: 'No subfolders with valid dates found',
+        getKey: (folder, context) => this.resolveFolderDate(
+          folder,
+          context.dateParser,
+          context.dateSources || ['title'],
+          { convention: context.convention, selection: context.selection }
+        ),
+        getBookmarkKey: (bookmark, context) => this.resolveFolderDate(
+          bookmark,
+          context.dateParser,
+          ['title', 'dateAdded'],
+          { convention: context.convention, selection: context.selection }
+        ),
+        // Metadata sources the folder's date source chain didn't already try
+        getFallbackKey: (folder, context) => this.resolveFolderDate(
+          folder,
+          context.dateParser,
+          this.DATE_SOURCES.filter(source => source !== 'title' && !(context.dateSources || ['title']).includes(source))
+        ),
+        compare: (a, b) => a.date.getTime() - b.date.getTime()
+      },
+
+      // Natural, number-aware title order
+      title: {
+        label: 'title',
+        defaultDirection: 'asc',
+        getKey: (folder) => folder.title || '',
+        getBookmarkKey: (bookmark) => bookmark.title || '',
+        compare: compareTitles
+      },
+
+      // Number of bookmarks directly inside the folder
+      childCount: {
+        label: 'number of bookmarks',
+        defaultDirection: 'desc',
+        getKey: async (folder, context) => this._countBookmarks(await context.getChildren(folder.id)),
+        compare: (a, b) => a - b
+      },
+
+      // Most recently modified folder contents
+      modified: {
+        label: 'last modified date',
+        defaultDirection: 'desc',
+        getKey: (folder) => {
+          const timestamp = folder.dateGroupModified || folder.dateAdded;
+          return typeof timestamp === 'number' ? timestamp : null;
+        },
+        getBookmarkKey: (bookmark) => (typeof bookmark.dateAdded === 'number' ? bookmark.dateAdded : null),
+        compare: (a, b) => a - b
+      },
+
+      // Website that most of the folder's bookmarks point to
+      domain: {
+        label: 'domain',
+        defaultDirection: 'asc',
+        getKey: async (folder, context) => this._getDominantDomain(await context.getChildren(folder.id)),
+        getBookmarkKey: (bookmark) => this._getDominantDomain([bookmark]),
+        compare: compareTitles
+      }
+    };
+  }
+
+  /**
+   * Creates a memoized getChildren() so strategies and tie-breakers share one request per folder
+   * @returns {function(string): Promise<BookmarkTreeNode[]>}
+   * @private
+   */
+  _createChildrenLoader() {
+    const cache = new Map();
+
+    return (folderId) => {
+      if (!cache.has(folderId)) {
+        cache.set(folderId, browser.bookmarks.getChildren(folderId));
+      }
+      return cache.get(folderId);
+    };
+  }
+
+  /**
+   * Counts bookmarks (not folders or separators) in a list of children
+   * @param {BookmarkTreeNode[]} children - Child nodes
+   * @returns {number}
+   * @private
+   */
+  _countBookmarks(children) {
+    return children.filter(child => child.url).length;
+  }
+
+  /**
+   * Finds the hostname most bookmarks in a list point to
+   * Ties are broken alphabetically; a leading "www." is ignored
+   * @param {BookmarkTreeNode[]} children - Child nodes
+   * @returns {string | null} Dominant hostname, or null if there are no web bookmarks
+   * @private
+   */
+  _getDominantDomain(children) {
+    const counts = new Map();
+
+    for (const child of children) {
+      if (!child.url) {
+        continue;
+      }
+
+      try {
+        const hostname = new URL(child.url).hostname.replace(/^www\./, '');
+        if (hostname) {
+          counts.set(hostname, (counts.get(hostname) || 0) + 1);
+        }
+      } catch (error) {
+        // Ignore bookmarks with unparsable URLs
+      }
+    }
+
+    let dominant = null;
+    for (const [hostname, count] of counts) {
+      const dominantCount = dominant ? counts.get(dominant) : 0;
+      if (count > dominantCount || (count === dominantCount && hostname < dominant)) {
+        dominant = hostname;
+      }
+    }
+
+    return dominant;
+  }
+
+  /**
+   * Builds a comparator applying tie-breakers in order, always ending with original index
+   * @param {string[]} tieBreakers - Keys from TIE_BREAKERS
+   * @returns {function(Object, Object): number} Comparator for folder objects
+   * @private
+   */
+  _buildTieBreakerComparator(tieBreakers) {
+    const comparators = {
+      title: (a, b) => this.titleCollator.compare(a.title || '', b.title || ''),
+      index: (a, b) => a.index - b.index,
+      childCount: (a, b) => (b.childCount || 0) - (a.childCount || 0)
+    };
+
+    const keys = [...tieBreakers.filter(key => comparators[key]), 'index'];
+
+    return (a, b) => {
+      for (const key of keys) {
+        const result = comparators[key](a, b);
+        if (result !== 0) {
+          return result;
+        }
+      }
+      return 0;
+    };
+  }
+
+  /**
+   * Rewrites the date portion of each subfolder title in the given display format
+   * Titles without a recognised date are left untouched
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {DateParser} dateParser - Date parser instance
+   * @param {string} format - Display format passed to DateParser.formatDate()
+   * @param {Object} [parseOptions] - Options passed to DateParser.selectDate(), e.g. { convention: 'DMY', selection: 'latest' }
+   * @returns {Promise<{success: boolean, renamedCount: number, failedItems?: Object[], rolledBack?: boolean,
+   *   rollbackFailures?: Object[], error?: string}>} If a rename fails, the titles already rewritten are
+   *   put back first and failedItems, rolledBack and rollbackFailures describe what happened, as in sortFolders()
+   */
+  async reformatTitles(parentFolderId, dateParser, format, parseOptions = {}) {
+    const renamed = [];
+    let current = null;
+
+    try {
+      const subfolders = await this.getSubfolders(parentFolderId);
+
+      if (subfolders.length === 0) {
+        return {
+          success: false,
+          renamedCount: 0,
+          error: 'No subfolders found in the selected folder'
+        };
+      }
+
+      // Work out the new title for every folder that contains a date
+      const renames = [];
+      let datedCount = 0;
+
+      for (const folder of subfolders) {
+        const match = dateParser.selectDate(folder.title, parseOptions);
+
+        if (!match) {
+          continue;
+        }
+
+        datedCount++;
+
+        const formatted = dateParser.formatDate(match.date, format);
+        const newTitle = folder.title.slice(0, match.index) + formatted + folder.title.slice(match.index + match.text.length);
+
+        if (newTitle !== folder.title) {
+          renames.push({ id: folder.id, title: newTitle, oldTitle: folder.title });
+        }
+      }
+
+      if (datedCount === 0) {
+        return {
+          success: false,
+          renamedCount: 0,
+          error: 'No subfolders with valid dates found'
+        };
+      }
+
+      for (const rename of renames) {
+        current = rename;
+        await browser.bookmarks.update(rename.id, { title: rename.title });
+        renamed.push(rename);
+      }
+
+      return {
+        success: true,
+        renamedCount: renames.length
+      };
+
+    } catch (error) {
+      console.error('Error reformatting folder titles:', error);
+
+      if (!current) {
+        return {
+          success: false,
+          renamedCount: 0,
+          error: error.message || 'Failed to reformat folder titles'
+        };
+      }
+
+      // All or nothing: give the folders renamed so far their original titles back
+      const rollback = { restored: true, failedItems: [] };
+      for (const rename of renamed.reverse()) {
+        try {
+          await browser.bookmarks.update(rename.id, { title: rename.oldTitle });
+        } catch (rollbackError) {
+          rollback.failedItems.push({ id: rename.id, error: rollbackError.message });
+          rollback.restored = false;
+        }
+      }
+
+      return {
+        success: false,
+        renamedCount: rollback.restored ? 0 : renamed.length,
+        failedItems: [{ id: current.id, title: current.oldTitle, error: error.message }],
+        rolledBack: rollback.restored,
+        rollbackFailures: rollback.failedItems,
+        error: this._describeFailure(`Could not rename "${current.oldTitle}"`, error, rollback)
+      };
+    }
+  }
+
+  /**
+   * Files dated subfolders into Year / Month folders (e.g. "2025/10 - October") under the parent
+   * Existing year and month folders are reused, matched by the year and month number in their
+   * title. Each bucket that received folders is sorted by date, and month and year folders are
+   * ordered in the same direction. Folders without a date or matching a pin rule stay where they are.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {DateParser} dateParser - Date parser instance
+   * @param {Object} [options] - Sort options passed to sortFolders() for each bucket
+   * @param {string[]} [options.dateSources] - Date source chain, see resolveFolderDate()
+   * @param {string} [options.direction] - 'desc' (default, newest first) or 'asc'
+   * @param {Object[]} [options.pinRules] - Pin rules of the parent, see sortFolders()
+   * @param {string} [options.locale] - Locale for month names in new folder titles
+   * @returns {Promise<{success: boolean, movedCount: number, createdCount: number, undatedCount: number,
+   *   backup: {folders: Object[], createdFolderIds: string[]} | null, error?: string}>}
+   *   backup is what revertFolders() needs to undo the grouping. If filing or sorting a bucket fails it is undone
+   *   straight away, and backup is only returned when that rollback did not fully succeed; failedItems,
+   *   rolledBack and rollbackFailures are then set as in sortFolders()
+   */
+  async groupByPeriod(parentFolderId, dateParser, options = {}) {
+    const { direction = 'desc', locale } = options;
+    const parseOptions = { convention: options.convention, selection: options.selection };
+    const backup = { folders: [], createdFolderIds: [] };
+    let movedCount = 0;
+    let currentFolder = null;
+
+    try {
+      const children = await this.getChildItems(parentFolderId);
+      const yearFolders = new Map();
+      const datedFolders = [];
+      let undatedCount = 0;
+
+      for (const child of children) {
+        if (child.type !== 'folder') {
+          continue;
+        }
+
+        if (/^\d{4}$/.test(child.title)) {
+          yearFolders.set(Number(child.title), { id: child.id, monthFolders: null });
+          continue;
+        }
+
+        // Pinned folders always stay in the parent
+        if (this.matchPinRule(child.title, options.pinRules)) {
+          continue;
+        }
+
+        const resolved = await this.resolveFolderDate(child, dateParser, options.dateSources || ['title'], parseOptions);
+        if (resolved) {
+          datedFolders.push({ folder: child, date: resolved.date });
+        } else {
+          undatedCount++;
+        }
+      }
+
+      if (datedFolders.length === 0) {
+        return {
+          success: false,
+          movedCount: 0,
+          createdCount: 0,
+          undatedCount,
+          backup: null,
+          error: 'No subfolders with valid dates found'
+        };
+      }
+
+      // Record every position the grouping can change, including inside reused year folders
+      children.forEach(child => backup.folders.push({ id: child.id, parentId: parentFolderId, index: child.index }));
+
+      const touchedYears = new Set();
+      const touchedMonths = new Set();
+
+      for (const { folder, date } of datedFolders) {
+        currentFolder = folder;
+        const year = date.getFullYear();
+        const month = date.getMonth() + 1;
+
+        let yearFolder = yearFolders.get(year);
+        if (!yearFolder) {
+          const created = await browser.bookmarks.create({ parentId: parentFolderId, title: String(year) });
+          backup.createdFolderIds.push(created.id);
+          yearFolder = { id: created.id, monthFolders: new Map() };
+          yearFolders.set(year, yearFolder);
+        }
+
+        if (!yearFolder.monthFolders) {
+          yearFolder.monthFolders = await this._loadMonthFolders(yearFolder.id, backup);
+        }
+
+        let monthFolderId = yearFolder.monthFolders.get(month);
+        if (!monthFolderId) {
+          const created = await browser.bookmarks.create({
+            parentId: yearFolder.id,
+            title: dateParser.formatDate(date, 'MM - MMMM', locale)
+          });
+          backup.createdFolderIds.push(created.id);
+          monthFolderId = created.id;
+          yearFolder.monthFolders.set(month, monthFolderId);
+        }
+
+        await browser.bookmarks.move(folder.id, { parentId: monthFolderId });
+        backup.folders.find(entry => entry.id === folder.id).movedTo = monthFolderId;
+        movedCount++;
+
+        touchedYears.add(yearFolder.id);
+        touchedMonths.add(monthFolderId);
+      }
+
+      // Sort inside each bucket, then order the month and year folders themselves
+      // A failed sort undoes the whole grouping, so currentFolder no longer names a filed group
+      currentFolder = null;
+      // Buckets never file into Undated folders, which the backup wouldn't know to remove
+      const undatedPlacement = options.undatedPlacement === 'subfolder' ? 'bottom' : options.undatedPlacement;
+      const bucketOptions = { ...options, dateParser, direction, pinRules: [], undatedPlacement };
+      for (const monthFolderId of touchedMonths) {
+        await this._sortOrThrow(monthFolderId, 'date', bucketOptions);
+      }
+      for (const yearFolderId of touchedYears) {
+        await this._sortOrThrow(yearFolderId, this._createPeriodStrategy(/^(\d{1,2})(?:\s*-|$)/), { direction });
+      }
+      await this._sortOrThrow(parentFolderId, this._createPeriodStrategy(/^(\d{4})$/), { direction, pinRules: options.pinRules });
+
+      return {
+        success: true,
+        movedCount,
+        createdCount: backup.createdFolderIds.length,
+        undatedCount,
+        backup
+      };
+
+    } catch (error) {
+      console.error('Error grouping folders by period:', error);
+      const rollback = await this._undoWithBackup(parentFolderId, backup);
+      return {
+        success: false,
+        movedCount,
+        createdCount: backup.createdFolderIds.length,
+        undatedCount: 0,
+        backup: rollback.restored ? null : backup,
+        failedItems: currentFolder
+          ? [{ id: currentFolder.id, title: currentFolder.title, error: error.message }]
+          : (error.failedItems || []),
+        rolledBack: rollback.restored,
+        rollbackFailures: rollback.failedItems,
+        error: this._describeFailure(
+          currentFolder ? `Could not file "${currentFolder.title}"` : 'Failed to group folders by period',
+          error,
+          rollback
+        )
+      };
+    }
+  }
+
+  /**
+   * Finds the month folders inside an existing year folder and records their positions for backup
+   * @param {string} yearFolderId - Year folder ID
+   * @param {{folders: Object[]}} backup - Backup being built by groupByPeriod()
+   * @returns {Promise<Map<number, string>>} Month number (1-12) to folder ID
+   * @private
+   */
+  async _loadMonthFolders(yearFolderId, backup) {
+    const monthFolders = new Map();
+    const children = await this.getChildItems(yearFolderId);
+
+    for (const child of children) {
+      backup.folders.push({ id: child.id, parentId: yearFolderId, index: child.index });
+
+      const match = child.type === 'folder' && (child.title || '').match(/^(\d{1,2})(?:\s*-|$)/);
+      const month = match ? Number(match[1]) : 0;
+      if (month >= 1 && month <= 12 && !monthFolders.has(month)) {
+        monthFolders.set(month, child.id);
+
+        // Groups already filed in a reused month folder are re-sorted, so record them too
+        const groups = await this.getChildItems(child.id);
+        groups.forEach(group => backup.folders.push({ id: group.id, parentId: child.id, index: group.index }));
+      }
+    }
+
+    return monthFolders;
+  }
+
+  /**
+   * Creates a sort strategy ordering period folders by the number in their title
+   * Folders whose title doesn't match stay below the period folders in their original order
+   * @param {RegExp} pattern - Pattern capturing the year or month number
+   * @returns {Object} Sort strategy for sortFolders()
+   * @private
+   */
+  _createPeriodStrategy(pattern) {
+    return {
+      label: 'period',
+      defaultDirection: 'desc',
+      getKey: (folder) => {
+        const match = (folder.title || '').match(pattern);
+        return match ? Number(match[1]) : null;
+      },
+      compare: (a, b) => a - b
+    };
+  }
+
+  /**
+   * Moves subfolders dated more than maxAgeDays ago into an archive folder, sorted by date there
+   * Dates come from options.dateSources (the title only by default); undated and pinned folders are never archived.
+   * Without an archiveFolderId, an "Archive" subfolder of the parent is reused or created.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {string|null} archiveFolderId - Folder to archive into, or null for the parent's "Archive" folder
+   * @param {DateParser} dateParser - Date parser instance
+   * @param {Object} options - Archive options, also passed to sortFolders() for the archive folder
+   * @param {number} options.maxAgeDays - Folders older than this many days are archived
+   * @param {number} [options.now] - Current time in milliseconds (defaults to Date.now())
+   * @param {string[]} [options.dateSources] - Date source chain, see resolveFolderDate()
+   * @param {Object[]} [options.pinRules] - Pin rules of the parent, see sortFolders()
+   * @returns {Promise<{success: boolean, archivedCount: number, archiveFolderId?: string,
+   *   backup: {folders: Object[], createdFolderIds: string[]} | null, error?: string}>}
+   *   backup is what revertFolders() needs to move the folders back, null when nothing changed.
+   *   A failure part way, including sorting the archive folder, is rolled back as in groupByPeriod()
+   */
+  async archiveOldFolders(parentFolderId, archiveFolderId, dateParser, options = {}) {
+    const { maxAgeDays, now = Date.now() } = options;
+    const parseOptions = { convention: options.convention, selection: options.selection };
+    const backup = { folders: [], createdFolderIds: [] };
+    let archivedCount = 0;
+    let currentFolder = null;
+
+    if (!(typeof maxAgeDays === 'number' && maxAgeDays > 0)) {
+      return {
+        success: false,
+        archivedCount: 0,
+        backup: null,
+        error: 'Archive age must be a positive number of days'
+      };
+    }
+
+    if (archiveFolderId === parentFolderId) {
+      return {
+        success: false,
+        archivedCount: 0,
+        backup: null,
+        error: 'Archive folder must be different from the selected folder'
+      };
+    }
+
+    try {
+      const children = await this.getChildItems(parentFolderId);
+      const defaultArchive = archiveFolderId
+        ? null
+        : children.find(child => child.type === 'folder' && child.title === 'Archive');
+      const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+      const oldFolders = [];
+      let datedCount = 0;
+
+      for (const child of children) {
+        if (child.type !== 'folder' || child.id === archiveFolderId || child === defaultArchive) {
+          continue;
+        }
+
+        // Pinned folders always stay in the parent
+        if (this.matchPinRule(child.title, options.pinRules)) {
+          continue;
+        }
+
+        const resolved = await this.resolveFolderDate(child, dateParser, options.dateSources || ['title'], parseOptions);
+        if (!resolved) {
+          continue;
+        }
+
+        datedCount++;
+        if (resolved.date.getTime() < cutoff) {
+          oldFolders.push(child);
+        }
+      }
+
+      if (datedCount === 0) {
+        return {
+          success: false,
+          archivedCount: 0,
+          backup: null,
+          error: 'No subfolders with valid dates found'
+        };
+      }
+
+      if (oldFolders.length === 0) {
+        return {
+          success: true,
+          archivedCount: 0,
+          backup: null
+        };
+      }
+
+      // Record positions in the parent, and in the archive folder since it is re-sorted
+      children.forEach(child => backup.folders.push({ id: child.id, parentId: parentFolderId, index: child.index }));
+
+      let targetFolderId = archiveFolderId || (defaultArchive && defaultArchive.id);
+      if (targetFolderId) {
+        const archived = await this.getChildItems(targetFolderId);
+        archived.forEach(child => backup.folders.push({ id: child.id, parentId: targetFolderId, index: child.index }));
+      } else {
+        const created = await browser.bookmarks.create({ parentId: parentFolderId, title: 'Archive' });
+        backup.createdFolderIds.push(created.id);
+        targetFolderId = created.id;
+      }
+
+      for (const folder of oldFolders) {
+        currentFolder = folder;
+        await browser.bookmarks.move(folder.id, { parentId: targetFolderId });
+        backup.folders.find(entry => entry.id === folder.id).movedTo = targetFolderId;
+        archivedCount++;
+      }
+
+      // A failed sort undoes the whole archive, so currentFolder no longer names an archived group
+      currentFolder = null;
+
+      // Like period buckets, the archive never files into an Undated folder
+      await this._sortOrThrow(targetFolderId, 'date', {
+        ...options,
+        dateParser,
+        pinRules: [],
+        undatedPlacement: options.undatedPlacement === 'subfolder' ? 'bottom' : options.undatedPlacement
+      });
+
+      return {
+        success: true,
+        archivedCount,
+        archiveFolderId: targetFolderId,
+        backup
+      };
+
+    } catch (error) {
+      console.error('Error archiving old folders:', error);
+      const rollback = await this._undoWithBackup(parentFolderId, backup);
+      return {
+        success: false,
+        archivedCount,
+        backup: rollback.restored ? null : backup,
+        failedItems: currentFolder
+          ? [{ id: currentFolder.id, title: currentFolder.title, error: error.message }]
+          : (error.failedItems || []),
+        rolledBack: rollback.restored,
+        rollbackFailures: rollback.failedItems,
+        error: this._describeFailure(
+          currentFolder ? `Could not archive "${currentFolder.title}"` : 'Failed to archive old folders',
+          error,
+          rollback
+        )
+      };
+    }
+  }
+
+  /**
+   * Restores folders to original order using backup data
+   * Entries with a parentId (from getFolderTreePositions()) are restored inside that folder,
+   * so a whole sorted tree is reverted at once; other entries belong to parentFolderId.
+   * Entries with movedTo (from groupByPeriod()) are moved back out of that folder, and folders
+   * listed in backup.createdFolderIds are removed afterwards if they are empty.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object} backup - Backup data with original positions
+   * @param {Array<{id: string, index: number, parentId?: string, title?: string}>} backup.folders - Array of child IDs
+   *   (folders, and bookmarks or separators in mixed parents) and their original indices, plus the original title
+   *   for folders whose title was rewritten
+   * @param {string[]} [backup.createdFolderIds] - Folders created by the operation, in creation order
+   * @returns {Promise<boolean>} True if revert was successful
+   * @throws {Error} If the revert fails; a failed move or rename is rolled back first, and the error
+   *   then carries failedItems, rolledBack and rollbackFailures as in sortFolders()
+   */
+  async revertFolders(parentFolderId, backup) {
+    try {
+      // Validate backup data
+      if (!backup || !backup.folders || !Array.isArray(backup.folders)) {
+        throw new Error('Invalid backup data');
+      }
+
+      // Verify parent folder exists
+      try {
+        await browser.bookmarks.get(parentFolderId);
+      } catch (error) {
+        throw new Error('Parent folder no longer exists');
+      }
+
+      // Group backup entries by the folder they were sorted in
+      const backupByParent = new Map();
+      for (const folderBackup of backup.folders) {
+        const backupParentId = folderBackup.parentId || parentFolderId;
+        if (!backupByParent.has(backupParentId)) {
+          backupByParent.set(backupParentId, []);
+        }
+        backupByParent.get(backupParentId).push(folderBackup);
+      }
+
+      // Get current children (folders, bookmarks and separators) to verify they still exist in the same parent
+      const validBackupFolders = [];
+      const currentTitles = new Map();
+
+      // Current children of every folder the revert touches, to undo a revert that fails part way
+      const snapshot = new Map();
+
+      for (const [backupParentId, folders] of backupByParent) {
+        let currentSubfolders;
+        try {
+          currentSubfolders = await this.getChildItems(backupParentId);
+        } catch (error) {
+          if (backupParentId === parentFolderId) {
+            throw error;
+          }
+          // Nested folder was deleted since the backup, nothing to restore inside it
+          continue;
+        }
+
+        const currentFolderIds = new Set(currentSubfolders.map(f => f.id));
+        currentSubfolders.forEach(f => currentTitles.set(f.id, f.title));
+        snapshot.set(backupParentId, currentSubfolders);
+
+        // Folders moved into another folder are looked for there instead
+        const searchedFolderIds = new Set();
+        for (const f of folders) {
+          if (f.movedTo && !currentFolderIds.has(f.id) && !searchedFolderIds.has(f.movedTo)) {
+            searchedFolderIds.add(f.movedTo);
+            const movedToChildren = await this.getChildItems(f.movedTo).catch(() => []);
+            movedToChildren.forEach(child => {
+              currentFolderIds.add(child.id);
+              currentTitles.set(child.id, child.title);
+            });
+            snapshot.set(f.movedTo, movedToChildren);
+          }
+        }
+
+        // Filter backup to only include folders that still exist
+        folders
+          .filter(f => currentFolderIds.has(f.id))
+          .forEach(f => validBackupFolders.push({ ...f, parentId: backupParentId }));
+      }
+
+      if (validBackupFolders.length === 0) {
+        throw new Error('No folders from backup exist anymore');
+      }
+
+      // Sort backup folders by their original index to restore in correct order
+      const sortedBackup = [...validBackupFolders].sort((a, b) => a.index - b.index);
+
+      // All or nothing: if any move or rename fails, put everything back as it was before the revert
+      const rollBack = async (folderBackup, error) => {
+        console.error(`Error reverting ${folderBackup.id}, rolling back:`, error);
+        const rollback = await this._restoreSnapshot(snapshot);
+        const title = currentTitles.get(folderBackup.id);
+        const failure = new Error(this._describeFailure(`Could not revert "${title}"`, error, rollback));
+        failure.failedItems = [{ id: folderBackup.id, title, error: error.message }];
+        failure.rolledBack = rollback.restored;
+        failure.rollbackFailures = rollback.failedItems;
+        return failure;
+      };
+
+      // Restore folders to their original positions
+      for (const folderBackup of sortedBackup) {
+        try {
+          await browser.bookmarks.move(folderBackup.id, {
+            parentId: folderBackup.parentId,
+            index: folderBackup.index
+          });
+        } catch (error) {
+          throw await rollBack(folderBackup, error);
+        }
+      }
+
+      // Restore original titles recorded by title-rewriting operations
+      for (const folderBackup of sortedBackup) {
+        if (folderBackup.title === undefined || folderBackup.title === currentTitles.get(folderBackup.id)) {
+          continue;
+        }
+
+        try {
+          await browser.bookmarks.update(folderBackup.id, { title: folderBackup.title });
+        } catch (error) {
+          throw await rollBack(folderBackup, error);
+        }
+      }
+
+      // Remove folders the operation created, newest first so month folders go before their year
+      const createdFolderIds = Array.isArray(backup.createdFolderIds) ? backup.createdFolderIds : [];
+      for (const folderId of [...createdFolderIds].reverse()) {
+        try {
+          const remaining = await browser.bookmarks.getChildren(folderId);
+          if (remaining.length === 0) {
+            await browser.bookmarks.remove(folderId);
+          }
+        } catch (error) {
+          console.error(`Error removing created folder ${folderId}:`, error);
+          // Continue with other folders even if one fails
+        }
+      }
+
+      return true;
+
+    } catch (error) {
+      console.error('Error reverting folders:', error);
+      // Failures after changes were made carry the rollback details, pass them on as they are
+      if (error.failedItems) {
+        throw error;
+      }
       throw new Error(error.message || 'Failed to revert folders');
     }
   }
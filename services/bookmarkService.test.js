@@ -6,13 +6,39 @@
 const BookmarkService = require('./bookmarkService.js');
 const DateParser = require('./dateParser.js');
 
+/**
+ * Creates a mock browser event that records its listeners and can fire them
+ * @returns {{listeners: Function[], addListener: Function, removeListener: Function, fire: Function}}
+ */
+function mockEvent() {
+  return {
+    listeners: [],
+    addListener(listener) {
+      this.listeners.push(listener);
+    },
+    removeListener(listener) {
+      this.listeners = this.listeners.filter(existing => existing !== listener);
+    },
+    fire(...args) {
+      this.listeners.forEach(listener => listener(...args));
+    }
+  };
+}
+
 // Mock browser API
 global.browser = {
   bookmarks: {
     getTree: null,
     getChildren: null,
     get: null,
-    move: null
+    move: null,
+    update: null,
+    create: null,
+    remove: null,
+    onCreated: mockEvent(),
+    onRemoved: mockEvent(),
+    onChanged: mockEvent(),
+    onMoved: mockEvent()
   }
 };
 
@@ -83,6 +109,21 @@ class TestRunner {
 
 const runner = new TestRunner();
 
+/**
+ * Replays recorded moves on a list of IDs, treating each index as the final position
+ * @param {string[]} ids - Child IDs in their original order
+ * @param {Array<{id: string, index: number}>} moves - Moves passed to browser.bookmarks.move()
+ * @returns {string[]} Child IDs in their new order
+ */
+function applyMoves(ids, moves) {
+  const order = [...ids];
+  for (const move of moves) {
+    order.splice(order.indexOf(move.id), 1);
+    order.splice(move.index, 0, move.id);
+  }
+  return order;
+}
+
 // Helper function to create mock bookmark tree
 function createMockBookmarkTree() {
   return [
@@ -247,6 +288,84 @@ runner.test('Should return empty array when folder has no subfolders', async ()
   runner.assertEqual(subfolders.length, 0, 'Should return empty array');
 });
 
+runner.test('Should carry dateAdded and dateGroupModified through to subfolders', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'folder1', title: 'Folder', parentId: 'parent', index: 0, dateAdded: 1000, dateGroupModified: 2000 }
+  ];
+  
+  const subfolders = await service.getSubfolders('parent');
+  
+  runner.assertEqual(subfolders[0].dateAdded, 1000, 'Should keep dateAdded');
+  runner.assertEqual(subfolders[0].dateGroupModified, 2000, 'Should keep dateGroupModified');
+});
+
+// Test Suite: resolveFolderDate - Date Source Chain
+
+runner.test('Should prefer the title date over metadata', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  const folder = { id: 'f1', title: 'saved-2025-01-01T00:00:00Z', dateAdded: 5000 };
+  
+  const resolved = await service.resolveFolderDate(folder, dateParser, service.DATE_SOURCES);
+  
+  runner.assertEqual(resolved.source, 'title', 'Should use title first');
+  runner.assertEqual(resolved.date.toISOString(), '2025-01-01T00:00:00.000Z', 'Should use title date');
+});
+
+runner.test('Should fall back to folder dateAdded when title has no date', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  const folder = { id: 'f1', title: 'Inbox', dateAdded: 5000, dateGroupModified: 9000 };
+  
+  const resolved = await service.resolveFolderDate(folder, dateParser, service.DATE_SOURCES);
+  
+  runner.assertEqual(resolved.source, 'dateAdded', 'Should use dateAdded');
+  runner.assertEqual(resolved.date.getTime(), 5000, 'Should convert timestamp to Date');
+});
+
+runner.test('Should fall back to newest child bookmark dateAdded', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  const folder = { id: 'f1', title: 'Inbox', dateGroupModified: 9000 };
+  
+  browser.bookmarks.getChildren = async (folderId) => {
+    runner.assertEqual(folderId, 'f1', 'Should read children of the folder itself');
+    return [
+      { id: 'b1', url: 'https://a.example', dateAdded: 3000 },
+      { id: 'b2', url: 'https://b.example', dateAdded: 7000 },
+      { id: 'sub', title: 'Nested folder', dateAdded: 8000 }
+    ];
+  };
+  
+  const resolved = await service.resolveFolderDate(folder, dateParser, ['title', 'dateAdded', 'newestChild', 'dateGroupModified']);
+  
+  runner.assertEqual(resolved.source, 'newestChild', 'Should use newest child bookmark');
+  runner.assertEqual(resolved.date.getTime(), 7000, 'Should ignore nested folders');
+});
+
+runner.test('Should fall back to dateGroupModified last', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  const folder = { id: 'f1', title: 'Inbox', dateGroupModified: 9000 };
+  
+  browser.bookmarks.getChildren = async () => [];
+  
+  const resolved = await service.resolveFolderDate(folder, dateParser, service.DATE_SOURCES);
+  
+  runner.assertEqual(resolved.source, 'dateGroupModified', 'Should use dateGroupModified');
+});
+
+runner.test('Should only try the configured date sources', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  const folder = { id: 'f1', title: 'Inbox', dateAdded: 5000 };
+  
+  runner.assertNull(await service.resolveFolderDate(folder, dateParser), 'Should default to title only');
+  runner.assertNull(await service.resolveFolderDate(folder, dateParser, ['title', 'dateGroupModified']), 'Should skip disabled sources');
+});
+
 runner.test('Should throw error when getChildren fails', async () => {
   const service = new BookmarkService();
   
@@ -286,8 +405,7 @@ runner.test('Should sort dated folders in descending order (newest first)', asyn
   runner.assertGreaterThan(result.movedCount, 0, 'Should move at least one folder');
   
   // Verify newest is first (f2 with 2025-12-31)
-  const f2Move = moves.find(m => m.id === 'f2');
-  runner.assertEqual(f2Move.index, 0, 'Newest folder should be at index 0');
+  runner.assertEqual(applyMoves(['f1', 'f2', 'f3'], moves), ['f2', 'f3', 'f1'], 'Newest folder should be at index 0');
 });
 
 runner.test('Should place non-dated folders at bottom preserving order', async () => {
@@ -342,6 +460,176 @@ runner.test('Should handle mixed dated and non-dated folders', async () => {
   runner.assertGreaterThan(result.movedCount, 0, 'Should move folders');
 });
 
+runner.test('Should sort undated-title folders by metadata when fallbacks are enabled', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async (folderId) => {
+    if (folderId !== 'parent') {
+      return [];
+    }
+    return [
+      { id: 'f1', title: 'Inbox', parentId: 'parent', index: 0, dateAdded: Date.UTC(2025, 0, 10) },
+      { id: 'f2', title: 'saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 1 },
+      { id: 'f3', title: 'saved-2025-02-01T00:00:00Z', parentId: 'parent', index: 2 }
+    ];
+  };
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  const result = await service.rearrangeFolders('parent', dateParser, { dateSources: ['title', 'dateAdded'] });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.fallbackCount, 1, 'Should report folders dated from metadata');
+  runner.assertEqual(applyMoves(['f1', 'f2', 'f3'], moves), ['f3', 'f1', 'f2'], 'Should interleave metadata dates with title dates');
+});
+
+runner.test('Should parse ambiguous title dates with the given convention', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Saved 02/03/2025', parentId: 'parent', index: 0 },
+    { id: 'f2', title: 'Saved 03/02/2025', parentId: 'parent', index: 1 }
+  ];
+  
+  browser.bookmarks.move = async (id) => ({ id });
+  
+  const dayFirst = await service.rearrangeFolders('parent', dateParser, { convention: 'DMY' });
+  const monthFirst = await service.rearrangeFolders('parent', dateParser, { convention: 'MDY' });
+  
+  runner.assertEqual(dayFirst.movedCount, 0, 'Should read 02/03 as 2 March, already newest');
+  runner.assertGreaterThan(monthFirst.movedCount, 0, 'Should read 03/02 as March 2, needing a move');
+});
+
+runner.test('Should sort by the selected timestamp when titles contain several', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: '2025-01-02T00:00:00Z merged into 2025-06-01T00:00:00Z', parentId: 'parent', index: 0 },
+    { id: 'f2', title: '2025-03-04T00:00:00Z', parentId: 'parent', index: 1 }
+  ];
+  
+  browser.bookmarks.move = async (id) => ({ id });
+  
+  const first = await service.rearrangeFolders('parent', dateParser);
+  const latest = await service.rearrangeFolders('parent', dateParser, { selection: 'latest' });
+  
+  runner.assertGreaterThan(first.movedCount, 0, 'Should move f2 above f1 using first timestamps');
+  runner.assertEqual(latest.movedCount, 0, 'Should keep f1 first using latest timestamps');
+});
+
+runner.test('Should reformat the selected timestamp', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: '2025-01-02 merged into 2025-06-01', parentId: 'parent', index: 0 }
+  ];
+  
+  const updates = [];
+  browser.bookmarks.update = async (id, changes) => {
+    updates.push({ id, ...changes });
+    return { id };
+  };
+  
+  await service.reformatTitles('parent', dateParser, 'DD-MM-YY', { selection: 'last' });
+  
+  runner.assertEqual(updates, [{ id: 'f1', title: '2025-01-02 merged into 01-06-25' }], 'Should only rewrite the last date');
+});
+
+runner.test('Should sort oldest first when direction is asc', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'saved-2025-12-31T23:59:59Z', parentId: 'parent', index: 0 },
+    { id: 'f2', title: 'saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 1 },
+    { id: 'f3', title: 'Undated', parentId: 'parent', index: 2 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  const result = await service.rearrangeFolders('parent', dateParser, { direction: 'asc' });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(applyMoves(['f1', 'f2', 'f3'], moves), ['f2', 'f1', 'f3'], 'Should put oldest first and keep undated last');
+});
+
+runner.test('Should keep original order for equal dates by default', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'B saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 0 },
+    { id: 'f2', title: 'A saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 1 },
+    { id: 'f3', title: 'C saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 2 }
+  ];
+  
+  browser.bookmarks.move = async (id) => ({ id });
+  
+  const result = await service.rearrangeFolders('parent', dateParser);
+  
+  runner.assertEqual(result.movedCount, 0, 'Should fall back to original index');
+});
+
+runner.test('Should break date ties by natural title order', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Group 10 saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 0 },
+    { id: 'f2', title: 'Group 2 saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 1 },
+    { id: 'f3', title: 'group 1 saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 2 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  await service.rearrangeFolders('parent', dateParser, { tieBreakers: ['title'] });
+  
+  runner.assertEqual(applyMoves(['f1', 'f2', 'f3'], moves), ['f3', 'f2', 'f1'], 'Should order Group 1, 2, 10');
+});
+
+runner.test('Should break date ties by child count, most first', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const childCounts = { f1: 1, f2: 5, f3: 3 };
+  browser.bookmarks.getChildren = async (folderId) => {
+    if (folderId === 'parent') {
+      return [
+        { id: 'f1', title: 'saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 0 },
+        { id: 'f2', title: 'saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 1 },
+        { id: 'f3', title: 'saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 2 }
+      ];
+    }
+    return Array.from({ length: childCounts[folderId] }, (_, i) => ({ id: `${folderId}-b${i}`, url: 'https://example.com' }));
+  };
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  await service.rearrangeFolders('parent', dateParser, { tieBreakers: ['childCount'] });
+  
+  runner.assertEqual(applyMoves(['f1', 'f2', 'f3'], moves), ['f2', 'f3', 'f1'], 'Should order by child count descending');
+});
+
 runner.test('Should return error when no subfolders found', async () => {
   const service = new BookmarkService();
   const dateParser = new DateParser();
@@ -412,140 +700,1222 @@ runner.test('Should handle API errors during rearrangement', async () => {
   runner.assertTrue(result.error !== undefined, 'Should have error message');
 });
 
-// Test Suite: revertFolders - Revert Logic
-
-runner.test('Should restore folders to original positions', async () => {
+runner.test('Should move only the folders outside the longest ordered run', async () => {
   const service = new BookmarkService();
+  const dateParser = new DateParser();
   
-  const backup = {
-    timestamp: Date.now(),
-    folders: [
-      { id: 'f1', index: 0 },
-      { id: 'f2', index: 1 },
-      { id: 'f3', index: 2 }
-    ]
-  };
-  
-  browser.bookmarks.get = async () => [{ id: 'parent', title: 'Parent' }];
-  browser.bookmarks.getChildren = async () => [
-    { id: 'f1', title: 'Folder 1', parentId: 'parent', index: 2 },
-    { id: 'f2', title: 'Folder 2', parentId: 'parent', index: 0 },
-    { id: 'f3', title: 'Folder 3', parentId: 'parent', index: 1 }
-  ];
+  // Newest first, except the newest group sits at the bottom
+  const titles = [2, 3, 4, 5, 6, 7, 8, 9, 1].map(day => `saved-2025-01-${String(10 - day).padStart(2, '0')}T00:00:00Z`);
+  const folders = mockLiveBookmarks({ 'root': titles });
   
   const moves = [];
+  const move = browser.bookmarks.move;
   browser.bookmarks.move = async (id, details) => {
     moves.push({ id, ...details });
-    return { id };
+    return move(id, details);
   };
   
-  const result = await service.revertFolders('parent', backup);
-  
-  runner.assertTrue(result, 'Should succeed');
-  runner.assertEqual(moves.length, 3, 'Should move all folders');
+  const result = await service.rearrangeFolders('root', dateParser);
   
-  // Verify folders moved to original indices
-  const f1Move = moves.find(m => m.id === 'f1');
-  runner.assertEqual(f1Move.index, 0, 'f1 should be at index 0');
+  runner.assertEqual(result.plannedMoveCount, 1, 'Should plan a single move');
+  runner.assertEqual(result.movedCount, 1, 'Should make a single move');
+  runner.assertEqual(moves, [{ id: `root/${titles[8]}`, parentId: 'root', index: 0 }], 'Should move the newest group to the top');
+  runner.assertEqual(folders['root'].map(node => node.title), [titles[8], ...titles.slice(0, 8)], 'Should end up fully sorted');
 });
 
-runner.test('Should handle invalid backup data', async () => {
+runner.test('Should plan moves that reach the target order', async () => {
   const service = new BookmarkService();
   
-  try {
-    await service.revertFolders('parent', null);
-    throw new Error('Should have thrown an error');
-  } catch (error) {
-    runner.assertTrue(error.message.includes('Invalid backup'), 'Should throw invalid backup error');
-  }
+  const current = ['a', 'b', 'c', 'd', 'e'].map((id, index) => ({ id, index }));
+  const target = ['e', 'd', 'c', 'b', 'a'].map(id => ({ id }));
+  
+  const moves = service._planMoves(current, target);
+  
+  runner.assertEqual(moves.length, 4, 'Should keep one folder of a reversed list in place');
+  runner.assertEqual(applyMoves(['a', 'b', 'c', 'd', 'e'], moves), ['e', 'd', 'c', 'b', 'a'], 'Should reverse the list');
 });
 
-runner.test('Should handle missing folders array in backup', async () => {
+runner.test('Should restore the original order when a move fails part way', async () => {
   const service = new BookmarkService();
   
-  const backup = { timestamp: Date.now() };
+  const folders = mockLiveBookmarks({ 'root': ['c', 'b', 'a'] });
+  const move = browser.bookmarks.move;
+  let calls = 0;
+  browser.bookmarks.move = async (id, details) => {
+    calls++;
+    if (calls === 2) {
+      throw new Error('Sync conflict');
+    }
+    return move(id, details);
+  };
   
-  try {
-    await service.revertFolders('parent', backup);
-    throw new Error('Should have thrown an error');
-  } catch (error) {
-    runner.assertTrue(error.message.includes('Invalid backup'), 'Should throw invalid backup error');
-  }
+  const result = await service.sortFolders('root', 'title');
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertEqual(result.movedCount, 1, 'Should report the move made before the failure');
+  runner.assertEqual(result.failedItems.map(item => item.id), ['root/c'], 'Should report the folder that failed');
+  runner.assertTrue(result.rolledBack, 'Should report a complete rollback');
+  runner.assertEqual(folders['root'].map(node => node.title), ['c', 'b', 'a'], 'Should put the first move back');
 });
 
-runner.test('Should handle non-existent parent folder', async () => {
+runner.test('Should report an incomplete rollback', async () => {
   const service = new BookmarkService();
   
-  const backup = {
-    timestamp: Date.now(),
-    folders: [{ id: 'f1', index: 0 }]
+  const folders = mockLiveBookmarks({ 'root': ['c', 'b', 'a'] });
+  const move = browser.bookmarks.move;
+  let calls = 0;
+  browser.bookmarks.move = async (id, details) => {
+    calls++;
+    if (calls >= 2) {
+      throw new Error('Bookmarks locked');
+    }
+    return move(id, details);
   };
   
-  browser.bookmarks.get = async () => {
-    throw new Error('Folder not found');
-  };
+  const result = await service.sortFolders('root', 'title');
   
-  try {
-    await service.revertFolders('nonexistent', backup);
-    throw new Error('Should have thrown an error');
-  } catch (error) {
-    runner.assertTrue(error.message.includes('no longer exists'), 'Should throw folder not found error');
-  }
+  runner.assertFalse(result.rolledBack, 'Should report that the rollback failed');
+  runner.assertEqual(result.rollbackFailures.length, 1, 'Should list the item that could not be put back');
+  runner.assertTrue(result.error.includes('could not be undone'), 'Should say the folder was left changed');
+  runner.assertEqual(folders['root'].map(node => node.title), ['c', 'a', 'b'], 'Should leave the partial order');
 });
 
-runner.test('Should filter out folders that no longer exist', async () => {
+// Test Suite: planRearrange - Dry Run
+
+runner.test('Should plan the new order without moving anything', async () => {
   const service = new BookmarkService();
+  const dateParser = new DateParser();
   
-  const backup = {
-    timestamp: Date.now(),
-    folders: [
-      { id: 'f1', index: 0 },
-      { id: 'f2', index: 1 },
-      { id: 'deleted', index: 2 }
-    ]
-  };
-  
-  browser.bookmarks.get = async () => [{ id: 'parent', title: 'Parent' }];
   browser.bookmarks.getChildren = async () => [
-    { id: 'f1', title: 'Folder 1', parentId: 'parent', index: 0 },
-    { id: 'f2', title: 'Folder 2', parentId: 'parent', index: 1 }
+    { id: 'f1', title: 'saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 0 },
+    { id: 'f2', title: 'Work', parentId: 'parent', index: 1 },
+    { id: 'f3', title: 'saved-2025-12-31T23:59:59Z', parentId: 'parent', index: 2 }
   ];
   
-  const moves = [];
-  browser.bookmarks.move = async (id, details) => {
-    moves.push({ id, ...details });
+  let moveCalls = 0;
+  browser.bookmarks.move = async (id) => {
+    moveCalls++;
     return { id };
   };
   
-  const result = await service.revertFolders('parent', backup);
-  
-  runner.assertTrue(result, 'Should succeed');
-  runner.assertEqual(moves.length, 2, 'Should only move existing folders');
+  const plan = await service.planRearrange('parent', dateParser);
+  
+  runner.assertTrue(plan.success, 'Should succeed');
+  runner.assertEqual(moveCalls, 0, 'Should not move any bookmarks');
+  runner.assertEqual(plan.order.map(entry => entry.id), ['f3', 'f1', 'f2'], 'Should list the new order');
+  runner.assertEqual(plan.order.map(entry => entry.oldIndex), [2, 0, 1], 'Should record old indices');
+  runner.assertEqual(plan.order.map(entry => entry.newIndex), [0, 1, 2], 'Should record new indices');
+  runner.assertEqual(plan.order[0].date.toISOString(), '2025-12-31T23:59:59.000Z', 'Should include the parsed date');
+  runner.assertEqual(plan.order[2].date, null, 'Should have no date for undated folders');
+  runner.assertEqual(plan.unsorted.map(folder => folder.id), ['f2'], 'Should list the undated bucket');
+  runner.assertEqual(plan.plannedMoveCount, plan.moves.length, 'Should count the planned moves');
 });
 
-runner.test('Should throw error when no backup folders exist', async () => {
+runner.test('Should apply a plan and roll it back on failure', async () => {
   const service = new BookmarkService();
   
-  const backup = {
-    timestamp: Date.now(),
+  const folders = mockLiveBookmarks({ 'root': ['c', 'b', 'a'] });
+  const plan = await service.planSort('root', 'title');
+  
+  runner.assertEqual(folders['root'].map(node => node.title), ['c', 'b', 'a'], 'Planning should not change the order');
+  
+  const result = await service.applySortPlan(plan);
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.movedCount, plan.plannedMoveCount, 'Should make every planned move');
+  runner.assertEqual(folders['root'].map(node => node.title), ['a', 'b', 'c'], 'Should reach the planned order');
+  
+  const replan = await service.planSort('root', 'title', { direction: 'desc' });
+  browser.bookmarks.move = async () => {
+    throw new Error('Sync conflict');
+  };
+  const failed = await service.applySortPlan(replan);
+  
+  runner.assertFalse(failed.success, 'Should fail');
+  runner.assertTrue(failed.rolledBack, 'Should report a complete rollback');
+  runner.assertEqual(folders['root'].map(node => node.title), ['a', 'b', 'c'], 'Should keep the original order');
+});
+
+// Test Suite: sortFolders - Sort Strategies
+
+runner.test('Should sort by natural title order', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Project 10', parentId: 'parent', index: 0 },
+    { id: 'f2', title: 'project 2', parentId: 'parent', index: 1 },
+    { id: 'f3', title: 'Archive', parentId: 'parent', index: 2 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  const result = await service.sortFolders('parent', 'title');
+  
+  runner.assertTrue(result.success, 'Should succeed without dates in titles');
+  runner.assertEqual(applyMoves(['f1', 'f2', 'f3'], moves), ['f3', 'f2', 'f1'], 'Should order Archive, project 2, Project 10');
+});
+
+runner.test('Should sort by bookmark count, most first', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.getChildren = async (folderId) => {
+    if (folderId === 'parent') {
+      return [
+        { id: 'f1', title: 'Small', parentId: 'parent', index: 0 },
+        { id: 'f2', title: 'Large', parentId: 'parent', index: 1 }
+      ];
+    }
+    const children = [{ id: `${folderId}-sub`, title: 'Nested folder' }];
+    const count = folderId === 'f2' ? 3 : 1;
+    for (let i = 0; i < count; i++) {
+      children.push({ id: `${folderId}-b${i}`, url: 'https://example.com' });
+    }
+    return children;
+  };
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  await service.sortFolders('parent', 'childCount');
+  
+  runner.assertEqual(applyMoves(['f1', 'f2'], moves), ['f2', 'f1'], 'Should put the folder with more bookmarks first');
+});
+
+runner.test('Should sort by last modified date, falling back to date added', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Old', parentId: 'parent', index: 0, dateAdded: 1000, dateGroupModified: 2000 },
+    { id: 'f2', title: 'Never modified', parentId: 'parent', index: 1, dateAdded: 3000 },
+    { id: 'f3', title: 'Recent', parentId: 'parent', index: 2, dateAdded: 1000, dateGroupModified: 5000 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  await service.sortFolders('parent', 'modified');
+  
+  runner.assertEqual(applyMoves(['f1', 'f2', 'f3'], moves), ['f3', 'f2', 'f1'], 'Should order Recent, Never modified, Old');
+});
+
+runner.test('Should sort by dominant domain and leave folders without links at the bottom', async () => {
+  const service = new BookmarkService();
+  
+  const links = {
+    f1: [],
+    f2: ['https://www.youtube.com/a', 'https://youtube.com/b', 'https://github.com/c'],
+    f3: ['https://github.com/x']
+  };
+  browser.bookmarks.getChildren = async (folderId) => {
+    if (folderId === 'parent') {
+      return [
+        { id: 'f1', title: 'Empty', parentId: 'parent', index: 0 },
+        { id: 'f2', title: 'Videos', parentId: 'parent', index: 1 },
+        { id: 'f3', title: 'Code', parentId: 'parent', index: 2 }
+      ];
+    }
+    return links[folderId].map((url, i) => ({ id: `${folderId}-b${i}`, url }));
+  };
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  await service.sortFolders('parent', 'domain');
+  
+  runner.assertEqual(applyMoves(['f1', 'f2', 'f3'], moves), ['f3', 'f2', 'f1'], 'Should order github.com, youtube.com, then the empty folder');
+});
+
+runner.test('Should accept a custom strategy object', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'aaa', parentId: 'parent', index: 0 },
+    { id: 'f2', title: 'b', parentId: 'parent', index: 1 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  const titleLength = {
+    defaultDirection: 'asc',
+    getKey: (folder) => folder.title.length,
+    compare: (a, b) => a - b
+  };
+  const result = await service.sortFolders('parent', titleLength);
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(applyMoves(['f1', 'f2'], moves), ['f2', 'f1'], 'Should order by title length');
+});
+
+runner.test('Should return error for unknown sort strategy', async () => {
+  const service = new BookmarkService();
+  
+  const result = await service.sortFolders('parent', 'color');
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.error.includes('Unknown sort strategy'), 'Should have appropriate error message');
+});
+
+// Test Suite: sortFolders - Pin Rules
+
+runner.test('Should keep pinned folders in fixed slots around the dated block', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const folders = mockLiveBookmarks({
+    'root': ['saved-2025-01-01T00:00:00Z', 'Undated', 'Reading list', '📌 Today', 'Inbox', 'saved-2025-06-01T00:00:00Z', 'Old stuff']
+  });
+  
+  const result = await service.rearrangeFolders('root', dateParser, {
+    pinRules: [
+      { type: 'exact', pattern: 'Inbox', position: 'top' },
+      { type: 'regex', pattern: '^reading', position: 'top' },
+      { type: 'marker', pattern: '', position: 'top' },
+      { type: 'exact', pattern: 'Old stuff', position: 'bottom' }
+    ]
+  });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(folders['root'].map(node => node.title), [
+    'Inbox',
+    'Reading list',
+    '📌 Today',
+    'saved-2025-06-01T00:00:00Z',
+    'saved-2025-01-01T00:00:00Z',
+    'Undated',
+    'Old stuff'
+  ], 'Should order pins by rule, above the dated and undated folders');
+});
+
+runner.test('Should match pin rules by exact title, regex and marker', async () => {
+  const service = new BookmarkService();
+  const rules = [
+    { type: 'exact', pattern: 'Inbox', position: 'top' },
+    { type: 'regex', pattern: 'read(ing)? list', position: 'bottom' },
+    { type: 'marker', pattern: '★', position: 'top' },
+    { type: 'regex', pattern: '(', position: 'top' }
+  ];
+  
+  runner.assertEqual(service.matchPinRule(' Inbox ', rules), rules[0], 'Should ignore surrounding spaces');
+  runner.assertEqual(service.matchPinRule('Inbox 2', rules), null, 'Should match exact titles only');
+  runner.assertEqual(service.matchPinRule('My Reading List', rules), rules[1], 'Should test regexes case-insensitively');
+  runner.assertEqual(service.matchPinRule('★ Starred', rules), rules[2], 'Should match a leading marker');
+  runner.assertEqual(service.matchPinRule('Starred ★', rules), null, 'Should only match the marker at the start');
+  runner.assertEqual(service.matchPinRule('(', rules), null, 'Should skip rules with an invalid regex');
+  
+  runner.assertEqual(service.validatePinRule({ type: 'marker', pattern: '', position: 'top' }), null, 'Should accept the default marker');
+  runner.assertTrue(service.validatePinRule({ type: 'regex', pattern: '(', position: 'top' }).includes('Invalid pattern'), 'Should reject an invalid regex');
+  runner.assertTrue(service.validatePinRule({ type: 'exact', pattern: ' ', position: 'top' }) !== null, 'Should reject an empty title');
+  runner.assertTrue(service.validatePinRule({ type: 'exact', pattern: 'Inbox', position: 'middle' }) !== null, 'Should reject an unknown position');
+});
+
+runner.test('Should never archive or group pinned folders', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  const pinRules = [{ type: 'marker', pattern: '', position: 'top' }];
+  
+  const folders = mockLiveBookmarks({ 'root': ['📌 saved-2020-01-01T00:00:00Z', 'saved-2020-02-01T00:00:00Z'] });
+  
+  const archived = await service.archiveOldFolders('root', null, dateParser, {
+    maxAgeDays: 30,
+    now: Date.UTC(2025, 9, 31),
+    pinRules
+  });
+  
+  runner.assertEqual(archived.archivedCount, 1, 'Should archive the unpinned group only');
+  runner.assertEqual(folders['root'][0].title, '📌 saved-2020-01-01T00:00:00Z', 'Should keep the pinned group in the parent');
+  
+  await service.revertFolders('root', archived.backup);
+  const grouped = await service.groupByPeriod('root', dateParser, { pinRules });
+  
+  runner.assertEqual(grouped.movedCount, 1, 'Should group the unpinned group only');
+  runner.assertEqual(folders['root'].map(node => node.title), ['📌 saved-2020-01-01T00:00:00Z', '2020'], 'Should keep the pinned group above the year folders');
+});
+
+// Test Suite: sortFolders - Undated Placement
+
+runner.test('Should place undated folders at the top when requested', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const folders = mockLiveBookmarks({
+    'root': ['saved-2025-01-01T00:00:00Z', 'Work', 'saved-2025-06-01T00:00:00Z', 'Personal']
+  });
+  
+  const result = await service.rearrangeFolders('root', dateParser, { undatedPlacement: 'top' });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.keyedCount, 2, 'Should count the dated folders');
+  runner.assertEqual(result.unkeyedCount, 2, 'Should count the undated folders');
+  runner.assertEqual(folders['root'].map(node => node.title), [
+    'Work',
+    'Personal',
+    'saved-2025-06-01T00:00:00Z',
+    'saved-2025-01-01T00:00:00Z'
+  ], 'Should keep undated folders in original order above the dated ones');
+});
+
+runner.test('Should interleave undated folders by their creation date', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const folders = mockLiveBookmarks({
+    'root': ['saved-2025-01-01T00:00:00Z', 'Work', 'saved-2025-06-01T00:00:00Z', 'No metadata']
+  });
+  folders['root'][1].dateAdded = Date.UTC(2025, 2, 1);
+  
+  const result = await service.rearrangeFolders('root', dateParser, { undatedPlacement: 'interleave' });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.interleavedCount, 1, 'Should interleave the folder with a creation date');
+  runner.assertEqual(result.fallbackCount, 1, 'Should count it as dated from metadata');
+  runner.assertEqual(folders['root'].map(node => node.title), [
+    'saved-2025-06-01T00:00:00Z',
+    'Work',
+    'saved-2025-01-01T00:00:00Z',
+    'No metadata'
+  ], 'Should sort it among the dated folders and leave folders without any date at the bottom');
+});
+
+runner.test('Should file undated folders into an Undated subfolder and revert it', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const titles = ['Work', 'saved-2025-01-01T00:00:00Z', 'Personal', 'saved-2025-06-01T00:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  
+  const plan = await service.planRearrange('root', dateParser, { undatedPlacement: 'subfolder' });
+  
+  runner.assertEqual(plan.filed.map(folder => folder.title), ['Work', 'Personal'], 'Should plan to file both undated folders');
+  runner.assertEqual(plan.undatedFolder.id, null, 'Should plan to create the Undated folder');
+  runner.assertEqual(plan.order.map(entry => entry.title), ['saved-2025-06-01T00:00:00Z', 'saved-2025-01-01T00:00:00Z', 'Undated'], 'Should list the new order');
+  
+  const result = await service.applySortPlan(plan);
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(folders['root'].map(node => node.title), ['saved-2025-06-01T00:00:00Z', 'saved-2025-01-01T00:00:00Z', 'Undated'], 'Should keep the Undated folder below the dated ones');
+  runner.assertEqual(folders[result.backup.createdFolderIds[0]].map(node => node.title), ['Work', 'Personal'], 'Should file undated folders in original order');
+  
+  await service.revertFolders('root', result.backup);
+  
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should move them back and remove the created folder');
+});
+
+runner.test('Should reuse the Undated folder and undo filing that fails part way', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const titles = ['Undated', 'Work', 'saved-2025-01-01T00:00:00Z', 'Personal'];
+  const folders = mockLiveBookmarks({ 'root': titles, 'root/Undated': ['Old'] });
+  const move = browser.bookmarks.move;
+  let failed = false;
+  browser.bookmarks.move = async (id, details) => {
+    if (id === 'root/Personal' && !failed) {
+      failed = true;
+      throw new Error('Sync conflict');
+    }
+    return move(id, details);
+  };
+  
+  const result = await service.rearrangeFolders('root', dateParser, { undatedPlacement: 'subfolder' });
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.rolledBack, 'Should report a complete rollback');
+  runner.assertEqual(result.failedItems.map(item => item.id), ['root/Personal'], 'Should report the folder that failed');
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should put the filed folder back');
+  runner.assertEqual(folders['root/Undated'].map(node => node.title), ['Old'], 'Should leave the Undated folder as it was');
+});
+
+// Test Suite: applySortPlan - Concurrent Changes
+
+runner.test('Should re-plan when a group is added during the sort', async () => {
+  const service = new BookmarkService();
+  
+  const folders = mockLiveBookmarks({ 'root': ['c', 'b', 'a'] });
+  const move = browser.bookmarks.move;
+  let calls = 0;
+  browser.bookmarks.move = async (id, details) => {
+    const node = await move(id, details);
+    if (++calls === 1) {
+      await browser.bookmarks.create({ parentId: 'root', title: 'ab' });
+    }
+    return node;
+  };
+  
+  const result = await service.sortFolders('root', 'title');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.replanCount, 1, 'Should re-plan once, not for its own moves');
+  runner.assertEqual(folders['root'].map(node => node.title), ['a', 'ab', 'b', 'c'], 'Should sort the new group in');
+  runner.assertEqual(browser.bookmarks.onMoved.listeners.length, 0, 'Should stop listening afterwards');
+});
+
+runner.test('Should roll back when a group is added and the policy is abort', async () => {
+  const service = new BookmarkService();
+  
+  const folders = mockLiveBookmarks({ 'root': ['c', 'b', 'a'] });
+  const move = browser.bookmarks.move;
+  let calls = 0;
+  browser.bookmarks.move = async (id, details) => {
+    const node = await move(id, details);
+    if (++calls === 1) {
+      await browser.bookmarks.create({ parentId: 'root', title: 'ab' });
+    }
+    return node;
+  };
+  
+  const result = await service.sortFolders('root', 'title', { onConflict: 'abort' });
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertEqual(result.conflict, { type: 'created', id: 'new-1', title: 'ab' }, 'Should report the change');
+  runner.assertTrue(result.rolledBack, 'Should report a complete rollback');
+  runner.assertTrue(result.error.includes('"ab" was added'), 'Should say what changed');
+  runner.assertEqual(folders['root'].map(node => node.title), ['c', 'b', 'a', 'ab'], 'Should put the moved group back');
+});
+
+runner.test('Should check a previewed plan still fits before applying it', async () => {
+  const service = new BookmarkService();
+  
+  const folders = mockLiveBookmarks({ 'root': ['c', 'b', 'a'] });
+  const plan = await service.planSort('root', 'title');
+  folders['root'][1].title = 'z';
+  
+  const aborted = await service.applySortPlan({ ...plan, options: { onConflict: 'abort' } });
+  
+  runner.assertEqual(aborted.conflict, { type: 'changed', id: 'root/b', title: 'b' }, 'Should notice the rename');
+  runner.assertEqual(aborted.movedCount, 0, 'Should not move anything');
+  runner.assertEqual(folders['root'].map(node => node.title), ['c', 'z', 'a'], 'Should leave the folder as it is');
+  
+  const result = await service.applySortPlan(plan);
+  
+  runner.assertEqual(result.replanCount, 1, 'Should re-plan by default');
+  runner.assertEqual(folders['root'].map(node => node.title), ['a', 'c', 'z'], 'Should sort by the new title');
+});
+
+runner.test('Should fail cleanly when the folder disappears before the first move', async () => {
+  const service = new BookmarkService();
+  
+  mockLiveBookmarks({ 'root': ['c', 'b', 'a'] });
+  const getChildren = browser.bookmarks.getChildren;
+  let calls = 0;
+  browser.bookmarks.getChildren = async (id) => {
+    if (++calls === 2) {
+      throw new Error('Bookmark not found');
+    }
+    return getChildren(id);
+  };
+  
+  const result = await service.sortFolders('root', 'title');
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertEqual(result.movedCount, 0, 'Should not move anything');
+  runner.assertEqual(result.failedItems, [], 'Should not name an item');
+  runner.assertTrue(result.error.startsWith('Failed to rearrange folders: Failed to retrieve'), 'Should say what failed');
+  runner.assertEqual(browser.bookmarks.onMoved.listeners.length, 0, 'Should stop listening');
+  runner.assertEqual(browser.bookmarks.onCreated.listeners.length, 0, 'Should remove every listener');
+});
+
+// Test Suite: sortFolders - Mixed Parents
+
+runner.test('Should not treat separators as folders', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', type: 'folder', title: 'Folder', parentId: 'parent', index: 0 },
+    { id: 's1', type: 'separator', title: '', parentId: 'parent', index: 1 },
+    { id: 'b1', type: 'bookmark', title: 'Link', url: 'https://example.com', parentId: 'parent', index: 2 }
+  ];
+  
+  const subfolders = await service.getSubfolders('parent');
+  
+  runner.assertEqual(subfolders.map(f => f.id), ['f1'], 'Should only return the folder');
+});
+
+runner.test('Should keep loose bookmarks and separators in place by default', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'b1', type: 'bookmark', title: 'Link', url: 'https://example.com', parentId: 'parent', index: 0 },
+    { id: 'old', type: 'folder', title: 'saved-2025-01-01T00:00:00Z', parentId: 'parent', index: 1 },
+    { id: 's1', type: 'separator', title: '', parentId: 'parent', index: 2 },
+    { id: 'new', type: 'folder', title: 'saved-2025-06-01T00:00:00Z', parentId: 'parent', index: 3 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  await service.rearrangeFolders('parent', dateParser);
+  
+  runner.assertEqual(applyMoves(['b1', 'old', 's1', 'new'], moves), ['b1', 'new', 's1', 'old'], 'Should swap the folders around the anchored items');
+});
+
+runner.test('Should gather loose items at the top when requested', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'fa', type: 'folder', title: 'A', parentId: 'parent', index: 0 },
+    { id: 'b1', type: 'bookmark', title: 'Link', url: 'https://example.com', parentId: 'parent', index: 1 },
+    { id: 'fb', type: 'folder', title: 'B', parentId: 'parent', index: 2 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  await service.sortFolders('parent', 'title', { otherItems: 'top' });
+  
+  runner.assertEqual(applyMoves(['fa', 'b1', 'fb'], moves), ['b1', 'fa', 'fb'], 'Should put the bookmark above the folders');
+});
+
+runner.test('Should sort loose bookmarks when requested', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'bb', type: 'bookmark', title: 'Beta', url: 'https://b.example.com', parentId: 'parent', index: 0 },
+    { id: 'f1', type: 'folder', title: 'Folder', parentId: 'parent', index: 1 },
+    { id: 'ba', type: 'bookmark', title: 'Alpha', url: 'https://a.example.com', parentId: 'parent', index: 2 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  await service.sortFolders('parent', 'title', { sortBookmarks: true });
+  
+  runner.assertEqual(applyMoves(['bb', 'f1', 'ba'], moves), ['ba', 'f1', 'bb'], 'Should sort bookmarks into the bookmark slots');
+});
+
+// Test Suite: sortFolderTree - Recursive Rearrangement
+
+/**
+ * Mocks a nested folder tree; each key lists the subfolder titles of that folder
+ */
+function mockFolderTree(tree) {
+  browser.bookmarks.getChildren = async (folderId) =>
+    (tree[folderId] || []).map((title, index) => ({
+      id: `${folderId}/${index}`,
+      title,
+      parentId: folderId,
+      index
+    }));
+}
+
+runner.test('Should sort every nested level', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  mockFolderTree({
+    'root': ['2024', '2025'],
+    'root/0': ['saved-2024-01-01T00:00:00Z', 'saved-2024-06-01T00:00:00Z'],
+    'root/1': ['saved-2025-01-01T00:00:00Z', 'saved-2025-06-01T00:00:00Z']
+  });
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  const result = await service.sortFolderTree('root', 'date', { dateParser });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.sortedCount, 2, 'Should sort both year folders');
+  runner.assertEqual(result.skippedCount, 1, 'Should skip the undated top level');
+  runner.assertEqual(moves.map(m => [m.id, m.parentId, m.index]), [
+    ['root/0/0', 'root/0', 1],
+    ['root/1/0', 'root/1', 1]
+  ], 'Should sort inside each nested folder');
+});
+
+runner.test('Should stop at the depth limit', async () => {
+  const service = new BookmarkService();
+  
+  mockFolderTree({
+    'root': ['b', 'a'],
+    'root/0': ['d', 'c']
+  });
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  const result = await service.sortFolderTree('root', 'title', { maxDepth: 1 });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertTrue(moves.every(m => m.parentId === 'root'), 'Should not sort below the depth limit');
+});
+
+runner.test('Should fail when no level can be sorted', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  mockFolderTree({
+    'root': ['Plain'],
+    'root/0': ['Also plain']
+  });
+  
+  const result = await service.sortFolderTree('root', 'date', { dateParser });
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.error.includes('No subfolders with valid dates'), 'Should report why nothing was sorted');
+});
+
+runner.test('Should stop sorting the tree when a move fails', async () => {
+  const service = new BookmarkService();
+  
+  mockFolderTree({
+    'root': ['b', 'a'],
+    'root/0': ['d', 'c']
+  });
+  
+  browser.bookmarks.move = async () => {
+    throw new Error('Move failed');
+  };
+  
+  const result = await service.sortFolderTree('root', 'title');
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertEqual(result.sortedCount, 0, 'Should not continue to nested levels');
+});
+
+runner.test('Should roll back sorted levels when a deeper level fails', async () => {
+  const service = new BookmarkService();
+  
+  const folders = mockLiveBookmarks({
+    'root': ['b', 'a'],
+    'root/a': ['d', 'c']
+  });
+  const move = browser.bookmarks.move;
+  browser.bookmarks.move = async (id, details) => {
+    if (id.startsWith('root/a/')) {
+      throw new Error('Move failed');
+    }
+    return move(id, details);
+  };
+  
+  const result = await service.sortFolderTree('root', 'title');
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.rolledBack, 'Should report a complete rollback');
+  runner.assertEqual(folders['root'].map(node => node.title), ['b', 'a'], 'Should undo the top level too');
+});
+
+runner.test('Should record folder positions for every level', async () => {
+  const service = new BookmarkService();
+  
+  mockFolderTree({
+    'root': ['2024', '2025'],
+    'root/0': ['Jan'],
+    'root/0/0': ['Deep']
+  });
+  
+  const positions = await service.getFolderTreePositions('root', 2);
+  
+  runner.assertEqual(positions, [
+    { id: 'root/0', parentId: 'root', index: 0 },
+    { id: 'root/1', parentId: 'root', index: 1 },
+    { id: 'root/0/0', parentId: 'root/0', index: 0 }
+  ], 'Should list folders down to the depth limit');
+});
+
+// Test Suite: groupByPeriod - Year / Month Filing
+
+/**
+ * Mocks the bookmarks API with an in-memory tree so moves, creates and removes take effect
+ * @param {Object<string, string[]>} tree - Subfolder titles of each folder, keyed by folder ID
+ * @returns {Object<string, Object[]>} Live child lists keyed by folder ID
+ */
+function mockLiveBookmarks(tree) {
+  const folders = {};
+  let nextId = 1;
+  const reindex = (parentId) => folders[parentId].forEach((node, index) => { node.index = index; });
+
+  for (const [parentId, titles] of Object.entries(tree)) {
+    folders[parentId] = titles.map(title => ({ id: `${parentId}/${title}`, title, parentId }));
+    reindex(parentId);
+  }
+
+  browser.bookmarks.getChildren = async (id) => (folders[id] || []).map(node => ({ ...node }));
+  browser.bookmarks.get = async (id) => [{ id }];
+  // Changes fire bookmark events like Firefox does
+  browser.bookmarks.create = async ({ parentId, title }) => {
+    const node = { id: `new-${nextId++}`, title, parentId };
+    folders[node.id] = [];
+    (folders[parentId] = folders[parentId] || []).push(node);
+    reindex(parentId);
+    browser.bookmarks.onCreated.fire(node.id, { ...node });
+    return { ...node };
+  };
+  browser.bookmarks.move = async (id, { parentId, index }) => {
+    const oldParentId = Object.keys(folders).find(key => folders[key].some(node => node.id === id));
+    const node = folders[oldParentId].find(child => child.id === id);
+    const oldIndex = node.index;
+    folders[oldParentId] = folders[oldParentId].filter(child => child.id !== id);
+    reindex(oldParentId);
+    node.parentId = parentId;
+    const siblings = folders[parentId] = folders[parentId] || [];
+    siblings.splice(index === undefined ? siblings.length : Math.min(index, siblings.length), 0, node);
+    reindex(parentId);
+    browser.bookmarks.onMoved.fire(id, { parentId, index: node.index, oldParentId, oldIndex });
+    return { ...node };
+  };
+  browser.bookmarks.remove = async (id) => {
+    const parentId = Object.keys(folders).find(key => folders[key].some(node => node.id === id));
+    const node = folders[parentId].find(child => child.id === id);
+    folders[parentId] = folders[parentId].filter(child => child.id !== id);
+    reindex(parentId);
+    delete folders[id];
+    browser.bookmarks.onRemoved.fire(id, { parentId, index: node.index, node: { ...node } });
+  };
+
+  return folders;
+}
+
+runner.test('Should file dated groups into year and month folders', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const folders = mockLiveBookmarks({
+    'root': ['2024', 'saved-2025-10-15T12:00:00Z', 'Undated', 'saved-2024-03-15T12:00:00Z', 'saved-2025-10-20T12:00:00Z']
+  });
+  
+  const result = await service.groupByPeriod('root', dateParser);
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.movedCount, 3, 'Should move every dated group');
+  runner.assertEqual(result.undatedCount, 1, 'Should leave the undated group');
+  runner.assertEqual(result.createdCount, 3, 'Should create 2025, 10 - … and 03 - … but reuse 2024');
+  runner.assertEqual(folders['root'].map(node => node.title), ['2025', '2024', 'Undated'], 'Should order years newest first above other folders');
+  
+  const month = folders['new-1'][0];
+  runner.assertTrue(month.title.startsWith('10 - '), 'Should name month folders "MM - Month"');
+  runner.assertEqual(folders[month.id].map(node => node.title), ['saved-2025-10-20T12:00:00Z', 'saved-2025-10-15T12:00:00Z'], 'Should sort inside the bucket');
+});
+
+runner.test('Should revert grouping and remove created folders', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const titles = ['2024', 'saved-2025-10-15T12:00:00Z', 'Undated', 'saved-2024-03-15T12:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  
+  const result = await service.groupByPeriod('root', dateParser);
+  await service.revertFolders('root', result.backup);
+  
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should restore the original flat list');
+  runner.assertEqual(folders['root/2024'].length, 0, 'Should empty the reused year folder');
+  runner.assertEqual(Object.keys(folders).filter(id => id.startsWith('new-')), [], 'Should remove every created folder');
+});
+
+runner.test('Should undo a grouping that fails part way', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const titles = ['saved-2025-10-15T12:00:00Z', 'saved-2024-03-15T12:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  const move = browser.bookmarks.move;
+  browser.bookmarks.move = async (id, details) => {
+    if (id === `root/${titles[1]}` && details.parentId !== 'root') {
+      throw new Error('Move failed');
+    }
+    return move(id, details);
+  };
+  
+  const result = await service.groupByPeriod('root', dateParser);
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.rolledBack, 'Should report a complete rollback');
+  runner.assertNull(result.backup, 'Should not leave anything to revert');
+  runner.assertEqual(result.failedItems.map(item => item.title), [titles[1]], 'Should report the group that failed');
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should restore the flat list and remove created folders');
+});
+
+runner.test('Should undo the grouping when sorting a month folder fails', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const titles = ['saved-2025-10-15T12:00:00Z', 'saved-2025-10-20T12:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  const move = browser.bookmarks.move;
+  browser.bookmarks.move = async (id, details) => {
+    // Filing moves have no index; the sort inside the month folder fails
+    if (details.index !== undefined && details.parentId !== 'root') {
+      throw new Error('Move failed');
+    }
+    return move(id, details);
+  };
+  
+  const result = await service.groupByPeriod('root', dateParser);
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.rolledBack, 'Should report a complete rollback');
+  runner.assertNull(result.backup, 'Should not leave anything to revert');
+  runner.assertEqual(result.failedItems.length, 1, 'Should report the group that failed');
+  runner.assertTrue(result.error.startsWith('Failed to group folders by period: Could not sort'), 'Should say the sort failed');
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should restore the flat list and remove created folders');
+});
+
+runner.test('Should return error when no dated groups to file', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  mockLiveBookmarks({ 'root': ['Plain', '2025'] });
+  
+  const result = await service.groupByPeriod('root', dateParser);
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertNull(result.backup, 'Should have nothing to revert');
+  runner.assertTrue(result.error.includes('No subfolders with valid dates'), 'Should have appropriate error message');
+});
+
+// Test Suite: archiveOldFolders - Archiving by Age
+
+runner.test('Should archive groups older than the age limit into the Archive folder', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const titles = ['saved-2025-10-30T12:00:00Z', 'saved-2025-01-15T12:00:00Z', 'Archive', 'Undated', 'saved-2025-06-15T12:00:00Z'];
+  const folders = mockLiveBookmarks({
+    'root': titles,
+    'root/Archive': ['saved-2024-12-01T12:00:00Z']
+  });
+  
+  const result = await service.archiveOldFolders('root', null, dateParser, {
+    maxAgeDays: 30,
+    now: Date.UTC(2025, 9, 31)
+  });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.archivedCount, 2, 'Should archive the two old groups');
+  runner.assertEqual(folders['root'].map(node => node.title), ['saved-2025-10-30T12:00:00Z', 'Archive', 'Undated'], 'Should keep recent and undated groups');
+  runner.assertEqual(folders['root/Archive'].map(node => node.title), [
+    'saved-2025-06-15T12:00:00Z',
+    'saved-2025-01-15T12:00:00Z',
+    'saved-2024-12-01T12:00:00Z'
+  ], 'Should sort the archive by date');
+  
+  await service.revertFolders('root', result.backup);
+  
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should move archived groups back on revert');
+  runner.assertEqual(folders['root/Archive'].map(node => node.title), ['saved-2024-12-01T12:00:00Z'], 'Should leave earlier archive contents alone');
+});
+
+runner.test('Should create an Archive folder when none is designated and remove it on revert', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const folders = mockLiveBookmarks({ 'root': ['saved-2020-01-01T00:00:00Z', 'saved-2025-10-30T12:00:00Z'] });
+  
+  const result = await service.archiveOldFolders('root', null, dateParser, {
+    maxAgeDays: 30,
+    now: Date.UTC(2025, 9, 31)
+  });
+  
+  runner.assertEqual(result.backup.createdFolderIds, [result.archiveFolderId], 'Should record the created folder');
+  runner.assertEqual(folders[result.archiveFolderId].length, 1, 'Should move the old group into it');
+  
+  await service.revertFolders('root', result.backup);
+  
+  runner.assertEqual(folders['root'].map(node => node.title), ['saved-2020-01-01T00:00:00Z', 'saved-2025-10-30T12:00:00Z'], 'Should restore the parent');
+  runner.assertTrue(folders[result.archiveFolderId] === undefined, 'Should remove the created Archive folder');
+});
+
+runner.test('Should undo archiving when sorting the archive folder fails', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const titles = ['saved-2025-10-30T12:00:00Z', 'Archive', 'saved-2025-01-15T12:00:00Z'];
+  const folders = mockLiveBookmarks({
+    'root': titles,
+    'root/Archive': ['saved-2024-12-01T12:00:00Z']
+  });
+  const move = browser.bookmarks.move;
+  let failed = false;
+  browser.bookmarks.move = async (id, details) => {
+    // Archiving moves have no index; the first move of the sort inside the archive fails
+    if (!failed && details.index !== undefined && details.parentId === 'root/Archive') {
+      failed = true;
+      throw new Error('Move failed');
+    }
+    return move(id, details);
+  };
+  
+  const result = await service.archiveOldFolders('root', null, dateParser, {
+    maxAgeDays: 30,
+    now: Date.UTC(2025, 9, 31)
+  });
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.rolledBack, 'Should report a complete rollback');
+  runner.assertNull(result.backup, 'Should not leave anything to revert');
+  runner.assertEqual(result.failedItems.length, 1, 'Should report the group that failed');
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should move the archived group back');
+  runner.assertEqual(folders['root/Archive'].map(node => node.title), ['saved-2024-12-01T12:00:00Z'], 'Should leave the archive as it was');
+});
+
+runner.test('Should not create an Undated folder inside the archive', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const folders = mockLiveBookmarks({
+    'root': ['saved-2025-01-15T12:00:00Z', 'Archive'],
+    'root/Archive': ['Old notes', 'saved-2024-12-01T12:00:00Z']
+  });
+  
+  const result = await service.archiveOldFolders('root', null, dateParser, {
+    maxAgeDays: 30,
+    now: Date.UTC(2025, 9, 31),
+    undatedPlacement: 'subfolder'
+  });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.backup.createdFolderIds, [], 'Should not create any folder');
+  runner.assertEqual(folders['root/Archive'].map(node => node.title), [
+    'saved-2025-01-15T12:00:00Z',
+    'saved-2024-12-01T12:00:00Z',
+    'Old notes'
+  ], 'Should keep undated groups at the bottom of the archive');
+});
+
+runner.test('Should report nothing archived when no group is old enough', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  mockLiveBookmarks({ 'root': ['saved-2025-10-30T12:00:00Z'] });
+  
+  const result = await service.archiveOldFolders('root', 'elsewhere', dateParser, {
+    maxAgeDays: 30,
+    now: Date.UTC(2025, 9, 31)
+  });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.archivedCount, 0, 'Should archive nothing');
+  runner.assertNull(result.backup, 'Should not need a backup');
+});
+
+runner.test('Should reject an invalid archive age or archive folder', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const noAge = await service.archiveOldFolders('root', null, dateParser, { maxAgeDays: 0 });
+  const sameFolder = await service.archiveOldFolders('root', 'root', dateParser, { maxAgeDays: 30 });
+  
+  runner.assertTrue(noAge.error.includes('positive number of days'), 'Should reject a zero age');
+  runner.assertTrue(sameFolder.error.includes('must be different'), 'Should reject archiving into the parent');
+});
+
+// Test Suite: reformatTitles - Title Rewriting
+
+runner.test('Should rewrite only the date portion of each title', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Saved 10/12/2025, 3:45:00 PM', parentId: 'parent', index: 0 },
+    { id: 'f2', title: 'backup-2024-03-15T10:30:00 (work)', parentId: 'parent', index: 1 },
+    { id: 'f3', title: 'Regular Folder', parentId: 'parent', index: 2 }
+  ];
+  
+  const updates = [];
+  browser.bookmarks.update = async (id, changes) => {
+    updates.push({ id, ...changes });
+    return { id };
+  };
+  
+  const result = await service.reformatTitles('parent', dateParser, 'DD-MM-YY');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.renamedCount, 2, 'Should rename dated folders only');
+  runner.assertEqual(updates, [
+    { id: 'f1', title: 'Saved 12-10-25' },
+    { id: 'f2', title: 'backup-15-03-24 (work)' }
+  ], 'Should replace the matched date text in place');
+});
+
+runner.test('Should skip titles already in the selected format', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Saved 2025-10-12', parentId: 'parent', index: 0 }
+  ];
+  
+  let updateCount = 0;
+  browser.bookmarks.update = async (id) => {
+    updateCount++;
+    return { id };
+  };
+  
+  const result = await service.reformatTitles('parent', dateParser, 'YYYY-MM-DD');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.renamedCount, 0, 'Should report no renames');
+  runner.assertEqual(updateCount, 0, 'Should not call update for unchanged titles');
+});
+
+runner.test('Should return error when no dated titles to reformat', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Regular Folder', parentId: 'parent', index: 0 }
+  ];
+  
+  const result = await service.reformatTitles('parent', dateParser, 'DD-MM-YY');
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.error.includes('No subfolders with valid dates'), 'Should have appropriate error message');
+});
+
+runner.test('Should handle API errors during reformat', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Saved 10/12/2025', parentId: 'parent', index: 0 }
+  ];
+  browser.bookmarks.update = async () => {
+    throw new Error('Update failed');
+  };
+  
+  const result = await service.reformatTitles('parent', dateParser, 'DD-MM-YY');
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.error.startsWith('Could not rename "Saved 10/12/2025": Update failed.'), 'Should surface error message');
+});
+
+runner.test('Should restore titles already rewritten when a rename fails', async () => {
+  const service = new BookmarkService();
+  const dateParser = new DateParser();
+  
+  const titles = { f1: 'Saved 10/12/2025', f2: 'Saved 10/13/2025', f3: 'Saved 10/14/2025' };
+  browser.bookmarks.getChildren = async () => Object.keys(titles).map((id, index) => (
+    { id, title: titles[id], parentId: 'parent', index }
+  ));
+  browser.bookmarks.update = async (id, { title }) => {
+    if (id === 'f3') {
+      throw new Error('Update failed');
+    }
+    titles[id] = title;
+  };
+  
+  const result = await service.reformatTitles('parent', dateParser, 'DD-MM-YY');
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.rolledBack, 'Should report a complete rollback');
+  runner.assertEqual(result.renamedCount, 0, 'Should keep no renames');
+  runner.assertEqual(result.failedItems.map(item => item.id), ['f3'], 'Should report the folder that failed');
+  runner.assertEqual(Object.values(titles), ['Saved 10/12/2025', 'Saved 10/13/2025', 'Saved 10/14/2025'], 'Should restore the original titles');
+});
+
+// Test Suite: revertFolders - Revert Logic
+
+runner.test('Should restore folders to original positions', async () => {
+  const service = new BookmarkService();
+  
+  const backup = {
+    timestamp: Date.now(),
     folders: [
-      { id: 'deleted1', index: 0 },
-      { id: 'deleted2', index: 1 }
+      { id: 'f1', index: 0 },
+      { id: 'f2', index: 1 },
+      { id: 'f3', index: 2 }
     ]
   };
   
   browser.bookmarks.get = async () => [{ id: 'parent', title: 'Parent' }];
-  browser.bookmarks.getChildren = async () => [];
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Folder 1', parentId: 'parent', index: 2 },
+    { id: 'f2', title: 'Folder 2', parentId: 'parent', index: 0 },
+    { id: 'f3', title: 'Folder 3', parentId: 'parent', index: 1 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  const result = await service.revertFolders('parent', backup);
+  
+  runner.assertTrue(result, 'Should succeed');
+  runner.assertEqual(moves.length, 3, 'Should move all folders');
+  
+  // Verify folders moved to original indices
+  const f1Move = moves.find(m => m.id === 'f1');
+  runner.assertEqual(f1Move.index, 0, 'f1 should be at index 0');
+});
+
+runner.test('Should handle invalid backup data', async () => {
+  const service = new BookmarkService();
+  
+  try {
+    await service.revertFolders('parent', null);
+    throw new Error('Should have thrown an error');
+  } catch (error) {
+    runner.assertTrue(error.message.includes('Invalid backup'), 'Should throw invalid backup error');
+  }
+});
+
+runner.test('Should handle missing folders array in backup', async () => {
+  const service = new BookmarkService();
+  
+  const backup = { timestamp: Date.now() };
   
   try {
     await service.revertFolders('parent', backup);
     throw new Error('Should have thrown an error');
   } catch (error) {
-    runner.assertTrue(error.message.includes('No folders from backup'), 'Should throw appropriate error');
+    runner.assertTrue(error.message.includes('Invalid backup'), 'Should throw invalid backup error');
+  }
+});
+
+runner.test('Should handle non-existent parent folder', async () => {
+  const service = new BookmarkService();
+  
+  const backup = {
+    timestamp: Date.now(),
+    folders: [{ id: 'f1', index: 0 }]
+  };
+  
+  browser.bookmarks.get = async () => {
+    throw new Error('Folder not found');
+  };
+  
+  try {
+    await service.revertFolders('nonexistent', backup);
+    throw new Error('Should have thrown an error');
+  } catch (error) {
+    runner.assertTrue(error.message.includes('no longer exists'), 'Should throw folder not found error');
   }
 });
 
-runner.test('Should continue reverting even if one folder move fails', async () => {
+runner.test('Should filter out folders that no longer exist', async () => {
   const service = new BookmarkService();
   
   const backup = {
@@ -553,30 +1923,175 @@ runner.test('Should continue reverting even if one folder move fails', async ()
     folders: [
       { id: 'f1', index: 0 },
       { id: 'f2', index: 1 },
-      { id: 'f3', index: 2 }
+      { id: 'deleted', index: 2 }
     ]
   };
   
   browser.bookmarks.get = async () => [{ id: 'parent', title: 'Parent' }];
   browser.bookmarks.getChildren = async () => [
     { id: 'f1', title: 'Folder 1', parentId: 'parent', index: 0 },
-    { id: 'f2', title: 'Folder 2', parentId: 'parent', index: 1 },
-    { id: 'f3', title: 'Folder 3', parentId: 'parent', index: 2 }
+    { id: 'f2', title: 'Folder 2', parentId: 'parent', index: 1 }
   ];
   
-  let moveCount = 0;
+  const moves = [];
   browser.bookmarks.move = async (id, details) => {
-    moveCount++;
-    if (id === 'f2') {
-      throw new Error('Move failed for f2');
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  const result = await service.revertFolders('parent', backup);
+  
+  runner.assertTrue(result, 'Should succeed');
+  runner.assertEqual(moves.length, 2, 'Should only move existing folders');
+});
+
+runner.test('Should throw error when no backup folders exist', async () => {
+  const service = new BookmarkService();
+  
+  const backup = {
+    timestamp: Date.now(),
+    folders: [
+      { id: 'deleted1', index: 0 },
+      { id: 'deleted2', index: 1 }
+    ]
+  };
+  
+  browser.bookmarks.get = async () => [{ id: 'parent', title: 'Parent' }];
+  browser.bookmarks.getChildren = async () => [];
+  
+  try {
+    await service.revertFolders('parent', backup);
+    throw new Error('Should have thrown an error');
+  } catch (error) {
+    runner.assertTrue(error.message.includes('No folders from backup'), 'Should throw appropriate error');
+  }
+});
+
+runner.test('Should roll back the whole revert if one folder move fails', async () => {
+  const service = new BookmarkService();
+  
+  const folders = mockLiveBookmarks({ 'root': ['c', 'a', 'b'] });
+  const move = browser.bookmarks.move;
+  browser.bookmarks.move = async (id, details) => {
+    if (id === 'root/b' && details.index === 1) {
+      throw new Error('Move failed for b');
     }
+    return move(id, details);
+  };
+  
+  const backup = {
+    timestamp: Date.now(),
+    folders: [
+      { id: 'root/a', index: 0 },
+      { id: 'root/b', index: 1 },
+      { id: 'root/c', index: 2 }
+    ]
+  };
+  
+  try {
+    await service.revertFolders('root', backup);
+    throw new Error('Should have thrown an error');
+  } catch (error) {
+    runner.assertEqual(error.failedItems.map(item => item.id), ['root/b'], 'Should report the folder that failed');
+    runner.assertTrue(error.rolledBack, 'Should report a complete rollback');
+    runner.assertTrue(error.message.includes('No changes were kept'), 'Should say nothing was changed');
+  }
+  
+  runner.assertEqual(folders['root'].map(node => node.title), ['c', 'a', 'b'], 'Should leave the folder as it was before the revert');
+});
+
+runner.test('Should restore original titles recorded in backup', async () => {
+  const service = new BookmarkService();
+  
+  const backup = {
+    timestamp: Date.now(),
+    operation: 'reformat',
+    folders: [
+      { id: 'f1', index: 0, title: 'Saved 10/12/2025, 3:45:00 PM' },
+      { id: 'f2', index: 1, title: 'Unchanged' }
+    ]
+  };
+  
+  browser.bookmarks.get = async () => [{ id: 'parent', title: 'Parent' }];
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', title: 'Saved 12-10-25', parentId: 'parent', index: 0 },
+    { id: 'f2', title: 'Unchanged', parentId: 'parent', index: 1 }
+  ];
+  browser.bookmarks.move = async (id) => ({ id });
+  
+  const updates = [];
+  browser.bookmarks.update = async (id, changes) => {
+    updates.push({ id, ...changes });
     return { id };
   };
   
   const result = await service.revertFolders('parent', backup);
   
-  runner.assertTrue(result, 'Should succeed despite one failure');
-  runner.assertEqual(moveCount, 3, 'Should attempt to move all folders');
+  runner.assertTrue(result, 'Should succeed');
+  runner.assertEqual(updates, [{ id: 'f1', title: 'Saved 10/12/2025, 3:45:00 PM' }], 'Should only rename changed titles');
+});
+
+runner.test('Should restore nested folders inside their own parents', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.get = async (id) => [{ id, title: 'Parent' }];
+  browser.bookmarks.getChildren = async (folderId) => ({
+    'root': [{ id: 'y1', title: '2024', parentId: 'root', index: 0 }],
+    'y1': [
+      { id: 'a', title: 'A', parentId: 'y1', index: 0 },
+      { id: 'b', title: 'B', parentId: 'y1', index: 1 }
+    ]
+  })[folderId] || [];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  const backup = {
+    timestamp: Date.now(),
+    folders: [
+      { id: 'y1', parentId: 'root', index: 0 },
+      { id: 'a', parentId: 'y1', index: 1 },
+      { id: 'b', parentId: 'y1', index: 0 },
+      { id: 'gone', parentId: 'deleted-folder', index: 0 }
+    ]
+  };
+  
+  await service.revertFolders('root', backup);
+  
+  runner.assertEqual(moves.map(m => [m.id, m.parentId, m.index]), [
+    ['y1', 'root', 0],
+    ['b', 'y1', 0],
+    ['a', 'y1', 1]
+  ], 'Should move each folder within its recorded parent');
+});
+
+runner.test('Should restore loose bookmarks recorded in backup', async () => {
+  const service = new BookmarkService();
+  
+  browser.bookmarks.get = async (id) => [{ id, title: 'Parent' }];
+  browser.bookmarks.getChildren = async () => [
+    { id: 'f1', type: 'folder', title: 'Folder', parentId: 'parent', index: 0 },
+    { id: 'b1', type: 'bookmark', title: 'Link', url: 'https://example.com', parentId: 'parent', index: 1 }
+  ];
+  
+  const moves = [];
+  browser.bookmarks.move = async (id, details) => {
+    moves.push({ id, ...details });
+    return { id };
+  };
+  
+  await service.revertFolders('parent', {
+    timestamp: Date.now(),
+    folders: [
+      { id: 'b1', index: 0 },
+      { id: 'f1', index: 1 }
+    ]
+  });
+  
+  runner.assertEqual(moves.map(m => [m.id, m.index]), [['b1', 0], ['f1', 1]], 'Should move the bookmark back as well');
 });
 
 // Test Suite: hasPermissions - Permission Checking
@@ -1,90 +1,670 @@
 /**
  * Date Parser Service
- * Extracts and parses ISO 8601 timestamps from bookmark folder names
+ * Extracts and parses timestamps from bookmark folder names
+ * Understands the ISO 8601 family plus the locale-style titles Tab Stash produces
  */
 
 class DateParser {
   constructor() {
-    // ISO 8601 regex pattern: matches YYYY-MM-DDTHH:MM:SS.sssZ or YYYY-MM-DDTHH:MM:SSZ
-    this.iso8601Pattern = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z/;
+    // ISO 8601 regex pattern: calendar dates (YYYY-MM-DD) or week dates (YYYY-Www[-D]),
+    // optionally followed by THH:MM[:SS[.sss]] and a Z or ±HH[:MM] offset
+    this.iso8601Pattern = /(?<!\d)(\d{4})-(?:(\d{2})-(\d{2})|W(\d{2})(?:-([1-7]))?)(?:T(\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?(Z|[+-]\d{2}(?::?\d{2})?)?)?(?!\d)/;
+
+    // Tokens understood by formatDate(), longest first; [text] is an escaped literal
+    this.templateTokenPattern = /YYYY|YY|GGGG|MMMM|MMM|MM|M|DD|D|dddd|ddd|WW|W|HH|H|hh|h|mm|ss|A|a/g;
+    this.templateTokenWordPattern = new RegExp(`^(?:${this.templateTokenPattern.source})+$`);
+    this.templateDateTokenPattern = /^(?:YYYY|YY|GGGG|MMMM|MMM|MM|M|DD|D|dddd|ddd|WW|W)$/;
+    this.MAX_TEMPLATE_LENGTH = 64;
+
+    // Weekday names typed into parseDateRange(), in Date.getDay() order
+    this.WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+    // Optional time part shared by the locale formats: ", 3:45:00 PM", " 15:45", ...
+    const timePart = '(?:,?\\s+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?(?:\\s*([AaPp])\\.?[Mm]\\.?)?)?';
+
+    // Built-in title formats, in priority order when two matches start at the same position
+    this.formats = [
+      {
+        name: 'iso8601',
+        pattern: new RegExp(this.iso8601Pattern.source, 'g'),
+        parse: (match) => this._parseIso8601(match)
+      },
+      {
+        // Tab Stash default: "Saved 10/12/2025, 3:45:00 PM" (M/D/YYYY unless told otherwise)
+        name: 'slash',
+        pattern: new RegExp(`(?<!\\d)(\\d{1,2})/(\\d{1,2})/(\\d{4})(?!\\d)${timePart}`, 'g'),
+        defaultConvention: 'MDY',
+        parse: (match, convention) => this._buildDate({
+          year: match[3], ...this._orderDayMonth(match[1], match[2], convention),
+          hour: match[4], minute: match[5], second: match[6], meridiem: match[7]
+        })
+      },
+      {
+        // European dotted dates: "12.10.2025 15:45" (D.M.YYYY unless told otherwise)
+        name: 'dotted',
+        pattern: new RegExp(`(?<!\\d)(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})(?!\\d)${timePart}`, 'g'),
+        defaultConvention: 'DMY',
+        parse: (match, convention) => this._buildDate({
+          year: match[3], ...this._orderDayMonth(match[1], match[2], convention),
+          hour: match[4], minute: match[5], second: match[6], meridiem: match[7]
+        })
+      },
+      {
+        // Short dashed dates as written by the DD-MM-YY and MM-DD-YY formats: "12-10-25"
+        // (day first unless told otherwise, years 2000-2099)
+        name: 'short-dashed',
+        pattern: /(?<![\d-])(\d{2})-(\d{2})-(\d{2})(?![\d-])/g,
+        defaultConvention: 'DMY',
+        parse: (match, convention) => this._buildDate({
+          year: 2000 + parseInt(match[3], 10), ...this._orderDayMonth(match[1], match[2], convention)
+        })
+      },
+      {
+        // Year-first slash dates: "2025/10/12 15:45"
+        // A trailing "T" means a malformed ISO timestamp, which we don't guess at
+        name: 'year-first-slash',
+        pattern: new RegExp(`(?<!\\d)(\\d{4})/(\\d{1,2})/(\\d{1,2})(?![\\dT])${timePart}`, 'g'),
+        parse: (match) => this._buildDate({
+          year: match[1], month: match[2], day: match[3],
+          hour: match[4], minute: match[5], second: match[6], meridiem: match[7]
+        })
+      }
+    ];
   }
 
   /**
-   * Extracts ISO 8601 timestamp from folder name and returns a Date object
+   * Extracts a recognised timestamp from folder name and returns a Date object
+   * Uses the first timestamp unless options.selection says otherwise
    * @param {string} folderName - The folder name to parse
+   * @param {Object} [options] - Parse options, see findDates() and selectDate()
    * @returns {Date | null} - Parsed date or null if no valid date found
    */
-  extractDate(folderName) {
-    if (!folderName || typeof folderName !== 'string') {
+  extractDate(folderName, options = {}) {
+    const match = this.selectDate(folderName, options);
+    return match ? match.date : null;
+  }
+
+  /**
+   * Picks one timestamp from a title that may contain several
+   * @param {string} text - Text to scan
+   * @param {Object} [options] - Parse options, see findDates()
+   * @param {string|number} [options.selection='first'] - 'first', 'last', 'earliest', 'latest',
+   *   or a 1-based position such as 2 for the second timestamp in the title
+   * @returns {{date: Date, text: string, index: number, format: string} | null} - Selected match,
+   *   or null if there is none (including a position past the last timestamp)
+   */
+  selectDate(text, options = {}) {
+    const matches = this.findDates(text, options);
+
+    if (matches.length === 0) {
       return null;
     }
 
-    // Find the first ISO 8601 timestamp in the folder name
-    const match = folderName.match(this.iso8601Pattern);
-    
-    if (!match) {
-      return null;
+    const selection = options.selection === undefined ? 'first' : options.selection;
+
+    switch (selection) {
+      case 'first':
+        return matches[0];
+
+      case 'last':
+        return matches[matches.length - 1];
+
+      case 'earliest':
+        return matches.reduce((best, match) => (match.date.getTime() < best.date.getTime() ? match : best));
+
+      case 'latest':
+        return matches.reduce((best, match) => (match.date.getTime() > best.date.getTime() ? match : best));
+
+      default: {
+        const position = Number(selection);
+
+        if (!Number.isInteger(position) || position < 1) {
+          console.warn(`Unknown date selection: ${selection}`);
+          return matches[0];
+        }
+
+        return matches[position - 1] || null;
+      }
     }
+  }
 
-    // Parse the matched timestamp
-    const timestamp = match[0];
-    const date = new Date(timestamp);
+  /**
+   * Finds every recognised timestamp in a string, in order of appearance
+   * Overlapping matches are resolved in favour of the one starting first
+   * (or the earlier entry in this.formats when both start at the same position)
+   * @param {string} text - Text to scan
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.convention] - 'DMY' or 'MDY' for day/month-ambiguous formats;
+   *   each format's own default is used when omitted
+   * @returns {Array<{date: Date, text: string, index: number, format: string}>}
+   */
+  findDates(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
 
-    // Validate that the date is valid
-    if (isNaN(date.getTime())) {
-      return null;
+    const candidates = [];
+
+    this.formats.forEach((format, priority) => {
+      format.pattern.lastIndex = 0;
+
+      for (const match of text.matchAll(format.pattern)) {
+        const date = format.parse(match, options.convention || format.defaultConvention);
+
+        // Skip matches that don't describe a real calendar date
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+          continue;
+        }
+
+        candidates.push({
+          date,
+          text: match[0],
+          index: match.index,
+          format: format.name,
+          priority
+        });
+      }
+    });
+
+    candidates.sort((a, b) => a.index - b.index || a.priority - b.priority);
+
+    // Drop candidates overlapping an earlier match
+    const results = [];
+    let consumedUntil = 0;
+
+    for (const candidate of candidates) {
+      if (candidate.index < consumedUntil) {
+        continue;
+      }
+
+      consumedUntil = candidate.index + candidate.text.length;
+      results.push({
+        date: candidate.date,
+        text: candidate.text,
+        index: candidate.index,
+        format: candidate.format
+      });
     }
 
-    return date;
+    return results;
   }
 
   /**
    * Formats a date according to user preference
+   * The preset formats ('DD-MM-YY', 'MM-DD-YY', 'YYYY-MM-DD') are themselves templates,
+   * so any token template such as 'ddd D MMM YYYY HH:mm' is accepted
+   *
+   * Tokens: YYYY YY (year), GGGG (ISO week year), MMMM MMM MM M (month), DD D (day),
+   * dddd ddd (weekday), WW W (ISO week), HH H hh h (hour), mm (minute), ss (second),
+   * A a (AM/PM). Text in [brackets] is copied literally, and so is any word that isn't made up
+   * entirely of tokens, so "Saved D MMM" keeps "Saved" while "YYYYMMDD" is still three tokens.
    * @param {Date} date - The date to format
-   * @param {string} format - Format preference ('DD-MM-YY', 'MM-DD-YY', 'YYYY-MM-DD')
+   * @param {string} format - Preset or token template
+   * @param {string} [locale] - BCP 47 locale for month and weekday names, defaults to the browser locale
    * @returns {string} - Formatted date string
    */
-  formatDate(date, format = 'YYYY-MM-DD') {
+  formatDate(date, format = 'YYYY-MM-DD', locale = undefined) {
     if (!(date instanceof Date) || isNaN(date.getTime())) {
       return '';
     }
 
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
+    const template = format || 'YYYY-MM-DD';
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours12 = date.getHours() % 12 || 12;
+    let isoWeek = null;
+    const getIsoWeek = () => {
+      if (!isoWeek) {
+        isoWeek = this._getIsoWeekParts(new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())));
+      }
+      return isoWeek;
+    };
+
+    const tokens = {
+      YYYY: () => String(date.getFullYear()),
+      YY: () => String(date.getFullYear()).slice(-2),
+      GGGG: () => String(getIsoWeek().year),
+      MMMM: () => this._formatName(date, { month: 'long' }, locale),
+      MMM: () => this._formatName(date, { month: 'short' }, locale),
+      MM: () => pad(date.getMonth() + 1),
+      M: () => String(date.getMonth() + 1),
+      DD: () => pad(date.getDate()),
+      D: () => String(date.getDate()),
+      dddd: () => this._formatName(date, { weekday: 'long' }, locale),
+      ddd: () => this._formatName(date, { weekday: 'short' }, locale),
+      WW: () => pad(getIsoWeek().week),
+      W: () => String(getIsoWeek().week),
+      HH: () => pad(date.getHours()),
+      H: () => String(date.getHours()),
+      hh: () => pad(hours12),
+      h: () => String(hours12),
+      mm: () => pad(date.getMinutes()),
+      ss: () => pad(date.getSeconds()),
+      A: () => (date.getHours() < 12 ? 'AM' : 'PM'),
+      a: () => (date.getHours() < 12 ? 'am' : 'pm')
+    };
+
+    return this._splitTemplate(template)
+      .map(part => (part.token ? tokens[part.token]() : part.text))
+      .join('');
+  }
+
+  /**
+   * Checks whether a template is usable as a date display format
+   * @param {string} template - Token template
+   * @returns {boolean} - True if the template contains at least one date token
+   */
+  isValidTemplate(template) {
+    if (!template || typeof template !== 'string' || template.length > this.MAX_TEMPLATE_LENGTH) {
+      return false;
+    }
+
+    // Require a year, month, day, weekday or week token outside literals and plain words
+    return this._splitTemplate(template).some(part => part.token && this.templateDateTokenPattern.test(part.token));
+  }
+
+  /**
+   * Splits a template into tokens and literal text
+   * Bracketed text is literal. Every other run of letters is either split into tokens, when it is made
+   * up of tokens alone, or kept as a literal word.
+   * @param {string} template - Token template
+   * @returns {Array<{token: string} | {text: string}>} Parts in order
+   * @private
+   */
+  _splitTemplate(template) {
+    const parts = [];
+    let lastIndex = 0;
+
+    for (const match of template.matchAll(/\[([^\]]*)\]|[A-Za-z]+/g)) {
+      if (match.index > lastIndex) {
+        parts.push({ text: template.slice(lastIndex, match.index) });
+      }
+      lastIndex = match.index + match[0].length;
+
+      if (match[1] !== undefined) {
+        parts.push({ text: match[1] });
+      } else if (this.templateTokenWordPattern.test(match[0])) {
+        parts.push(...Array.from(match[0].match(this.templateTokenPattern), token => ({ token })));
+      } else {
+        parts.push({ text: match[0] });
+      }
+    }
 
-    switch (format) {
-      case 'DD-MM-YY':
-        return `${day}-${month}-${String(year).slice(-2)}`;
-      
-      case 'MM-DD-YY':
-        return `${month}-${day}-${String(year).slice(-2)}`;
-      
-      case 'YYYY-MM-DD':
-      default:
-        return `${year}-${month}-${day}`;
+    if (lastIndex < template.length) {
+      parts.push({ text: template.slice(lastIndex) });
     }
+
+    return parts;
   }
 
   /**
-   * Validates if a string contains a valid ISO 8601 timestamp
+   * Infers whether a batch of sibling titles writes numeric dates day-first or month-first
+   * A component above 12 settles the order for that title; titles where both components
+   * are 12 or less (and differ) can be read either way and are reported as ambiguous
+   * @param {string[]} titles - Titles of every folder under one parent
+   * @returns {{convention: string | null, dmyCount: number, mdyCount: number, conflicting: boolean, ambiguous: string[]}}
+   *   convention is null when no title settles the order
+   */
+  analyzeConvention(titles) {
+    let dmyCount = 0;
+    let mdyCount = 0;
+    const ambiguous = [];
+
+    for (const title of titles) {
+      if (!title || typeof title !== 'string') {
+        continue;
+      }
+
+      let isAmbiguous = false;
+
+      for (const format of this.formats) {
+        if (!format.defaultConvention) {
+          continue;
+        }
+
+        format.pattern.lastIndex = 0;
+
+        for (const match of title.matchAll(format.pattern)) {
+          const first = parseInt(match[1], 10);
+          const second = parseInt(match[2], 10);
+
+          if (first > 12 && second <= 12) {
+            dmyCount++;
+          } else if (second > 12 && first <= 12) {
+            mdyCount++;
+          } else if (first <= 12 && second <= 12 && first !== second) {
+            isAmbiguous = true;
+          }
+        }
+      }
+
+      if (isAmbiguous) {
+        ambiguous.push(title);
+      }
+    }
+
+    let convention = null;
+    if (dmyCount > 0 || mdyCount > 0) {
+      convention = dmyCount >= mdyCount ? 'DMY' : 'MDY';
+    }
+
+    return {
+      convention,
+      dmyCount,
+      mdyCount,
+      conflicting: dmyCount > 0 && mdyCount > 0,
+      ambiguous
+    };
+  }
+
+  /**
+   * Validates if a string contains a timestamp in any recognised format
    * @param {string} text - Text to validate
-   * @returns {boolean} - True if valid ISO 8601 timestamp found
+   * @param {Object} [options] - Parse options, see findDates()
+   * @returns {boolean} - True if a valid timestamp was found
    */
-  hasValidDate(text) {
-    if (!text || typeof text !== 'string') {
-      return false;
+  hasValidDate(text, options = {}) {
+    return this.findDates(text, options).length > 0;
+  }
+
+  /**
+   * Reads a date or date range typed by the user, e.g. after the "stash" keyword in the address bar
+   * Understands a year ("2025"), a month ("2025-10" or "2025/10"), an ISO week ("2025-W41"), any
+   * date findDates() recognises, short dashed dates as written by the DD-MM-YY and MM-DD-YY
+   * formats ("12-10-25"), relative days and periods ("today", "yesterday", "last tuesday",
+   * "this week", "last month", "3 days ago") and two of these joined by "to" or ".."
+   * Everything is local time and weeks start on Monday.
+   * @param {string} text - Text to read
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.convention] - 'DMY' or 'MDY' for day/month-ambiguous dates; short
+   *   dashed dates are read day first when omitted
+   * @param {number} [options.now] - Current time in milliseconds for relative dates (defaults to Date.now())
+   * @returns {{start: Date, end: Date} | null} - Range from the start of its first day up to (not
+   *   including) the start of the day after its last, or null if the text isn't a date
+   */
+  parseDateRange(text, options = {}) {
+    const query = typeof text === 'string' ? text.trim() : '';
+    const parts = query.split(/\s+(?:to|until)\s+|\s*\.\.\s*/i);
+
+    if (!query || parts.length > 2) {
+      return null;
     }
 
-    const match = text.match(this.iso8601Pattern);
-    
-    if (!match) {
-      return false;
+    const ranges = parts.map(part => this._parseRangePart(part, options));
+    if (ranges.some(range => range === null)) {
+      return null;
+    }
+
+    // Ranges typed backwards ("today to last week") are read the right way round
+    const [first, last] = ranges.length === 2 && ranges[1].start < ranges[0].start
+      ? [ranges[1], ranges[0]]
+      : [ranges[0], ranges[ranges.length - 1]];
+
+    return { start: first.start, end: last.end };
+  }
+
+  /**
+   * Formats a locale-aware month or weekday name
+   * @param {Date} date - Date to format
+   * @param {Object} options - Intl.DateTimeFormat options, e.g. { month: 'long' }
+   * @param {string} [locale] - BCP 47 locale, defaults to the browser locale
+   * @returns {string}
+   * @private
+   */
+  _formatName(date, options, locale) {
+    try {
+      return new Intl.DateTimeFormat(locale, options).format(date);
+    } catch (error) {
+      // Unknown locale tags fall back to the browser locale
+      return new Intl.DateTimeFormat(undefined, options).format(date);
+    }
+  }
+
+  /**
+   * Reads one side of a range typed into parseDateRange()
+   * @param {string} text - A single date, period or relative date
+   * @param {Object} options - Parse options, see parseDateRange()
+   * @returns {{start: Date, end: Date} | null}
+   * @private
+   */
+  _parseRangePart(text, options) {
+    const query = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    const now = new Date(options.now === undefined ? Date.now() : options.now);
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    const days = (start, count) => ({ start, end: addDays(start, count) });
+    const month = (year, monthIndex) => ({ start: new Date(year, monthIndex, 1), end: new Date(year, monthIndex + 1, 1) });
+    const thisMonday = addDays(today, -((today.getDay() + 6) % 7));
+
+    if (query === 'today' || query === 'yesterday') {
+      return days(addDays(today, query === 'today' ? 0 : -1), 1);
+    }
+
+    let match = /^(this|last) (week|month|year)$/.exec(query);
+    if (match) {
+      const back = match[1] === 'last' ? 1 : 0;
+      if (match[2] === 'week') {
+        return days(addDays(thisMonday, -7 * back), 7);
+      }
+      if (match[2] === 'month') {
+        return month(today.getFullYear(), today.getMonth() - back);
+      }
+      return { start: new Date(today.getFullYear() - back, 0, 1), end: new Date(today.getFullYear() - back + 1, 0, 1) };
+    }
+
+    match = /^(\d+) (day|week|month)s? ago$/.exec(query);
+    if (match) {
+      const count = parseInt(match[1], 10);
+      if (match[2] === 'day') {
+        return days(addDays(today, -count), 1);
+      }
+      if (match[2] === 'week') {
+        return days(addDays(thisMonday, -7 * count), 7);
+      }
+      return month(today.getFullYear(), today.getMonth() - count);
+    }
+
+    // "tuesday" and "last tuesday" both mean the most recent Tuesday before today
+    match = /^(?:last )?([a-z]{3,})$/.exec(query);
+    const weekday = match ? this.WEEKDAY_NAMES.findIndex(name => name.startsWith(match[1])) : -1;
+    if (weekday !== -1) {
+      return days(addDays(today, -((today.getDay() - weekday + 7) % 7 || 7)), 1);
+    }
+
+    if (/^\d{4}$/.test(query)) {
+      const year = parseInt(query, 10);
+      return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+    }
+
+    match = /^(\d{4})[-/](\d{1,2})$/.exec(query);
+    if (match) {
+      const monthNumber = parseInt(match[2], 10);
+      return monthNumber >= 1 && monthNumber <= 12 ? month(parseInt(match[1], 10), monthNumber - 1) : null;
+    }
+
+    match = /^(\d{4})-w(\d{2})$/.exec(query);
+    if (match) {
+      const monday = this._resolveIsoWeek(parseInt(match[1], 10), parseInt(match[2], 10), 1);
+      return monday ? days(new Date(monday.year, monday.month - 1, monday.day), 7) : null;
+    }
+
+    match = /^(\d{1,2})-(\d{1,2})-(\d{2}|\d{4})$/.exec(query);
+    if (match) {
+      const year = match[3].length === 2 ? 2000 + parseInt(match[3], 10) : match[3];
+      const date = this._buildDate({ year, ...this._orderDayMonth(match[1], match[2], options.convention || 'DMY') });
+      return date ? days(date, 1) : null;
+    }
+
+    // Anything else must be a single date in a title format, with nothing but spaces around it
+    const dates = this.findDates(text.trim(), options);
+    if (dates.length === 1 && dates[0].text === text.trim()) {
+      const date = dates[0].date;
+      return days(new Date(date.getFullYear(), date.getMonth(), date.getDate()), 1);
+    }
+
+    return null;
+  }
+
+  /**
+   * Assigns the first two numeric components of a date to day and month
+   * @param {string} first - First component as written
+   * @param {string} second - Second component as written
+   * @param {string} convention - 'DMY' for day first, anything else for month first
+   * @returns {{day: string, month: string}}
+   * @private
+   */
+  _orderDayMonth(first, second, convention) {
+    return convention === 'DMY'
+      ? { day: first, month: second }
+      : { month: first, day: second };
+  }
+
+  /**
+   * Converts an ISO 8601 match into a Date
+   * Offsets are honoured; timestamps without one (and date-only forms) are read as local time
+   * so they line up with the locale formats Tab Stash writes
+   * @param {RegExpMatchArray} match - Match of this.iso8601Pattern
+   * @returns {Date | null} - Date or null if the components don't form a real date
+   * @private
+   */
+  _parseIso8601(match) {
+    const [, year, month, day, week, weekday, hour, minute, second, fraction, zone] = match;
+    let calendar = { year, month, day };
+
+    // Week dates (2025-W41-3) are resolved to their calendar day first
+    if (week !== undefined) {
+      calendar = this._resolveIsoWeek(parseInt(year, 10), parseInt(week, 10), weekday ? parseInt(weekday, 10) : 1);
+      if (!calendar) {
+        return null;
+      }
+    }
+
+    const offsetMinutes = zone !== undefined ? this._parseOffset(zone) : null;
+    if (zone !== undefined && offsetMinutes === null) {
+      return null;
+    }
+
+    return this._buildDate({
+      ...calendar,
+      hour,
+      minute,
+      second,
+      millisecond: fraction !== undefined ? fraction.slice(0, 3).padEnd(3, '0') : undefined,
+      offsetMinutes
+    });
+  }
+
+  /**
+   * Resolves an ISO week date to a calendar month and day
+   * Week 1 is the week containing January 4th; weeks start on Monday
+   * @param {number} year - ISO week-numbering year
+   * @param {number} week - ISO week number (1-53)
+   * @param {number} weekday - ISO weekday (1 = Monday ... 7 = Sunday)
+   * @returns {{year: number, month: number, day: number} | null} - Calendar date or null if the week doesn't exist
+   * @private
+   */
+  _resolveIsoWeek(year, week, weekday) {
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    const jan4Weekday = jan4.getUTCDay() || 7;
+    const week1Monday = Date.UTC(year, 0, 4 - (jan4Weekday - 1));
+    const result = new Date(week1Monday + ((week - 1) * 7 + (weekday - 1)) * 86400000);
+
+    // Reject week 0 and week 53 in years that only have 52 weeks
+    if (week < 1 || this._getIsoWeekParts(result).year !== year) {
+      return null;
+    }
+
+    return {
+      year: result.getUTCFullYear(),
+      month: result.getUTCMonth() + 1,
+      day: result.getUTCDate()
+    };
+  }
+
+  /**
+   * Computes the ISO week-numbering year and week of a UTC-based date
+   * @param {Date} date - Date whose UTC fields are used
+   * @returns {{year: number, week: number}}
+   * @private
+   */
+  _getIsoWeekParts(date) {
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const weekday = target.getUTCDay() || 7;
+
+    // The Thursday of the same week decides which year the week belongs to
+    target.setUTCDate(target.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(target.getUTCFullYear(), 0, 1);
+
+    return {
+      year: target.getUTCFullYear(),
+      week: Math.ceil(((target.getTime() - yearStart) / 86400000 + 1) / 7)
+    };
+  }
+
+  /**
+   * Converts an ISO 8601 zone designator into minutes east of UTC
+   * @param {string} zone - "Z", "+05:30", "-0800", "+01", ...
+   * @returns {number | null} - Offset in minutes or null if out of range
+   * @private
+   */
+  _parseOffset(zone) {
+    if (zone === 'Z') {
+      return 0;
+    }
+
+    const sign = zone[0] === '-' ? -1 : 1;
+    const digits = zone.slice(1).replace(':', '');
+    const hours = parseInt(digits.slice(0, 2), 10);
+    const minutes = digits.length > 2 ? parseInt(digits.slice(2), 10) : 0;
+
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
+
+    return sign * (hours * 60 + minutes);
+  }
+
+  /**
+   * Builds a Date from string components, rejecting out-of-range values
+   * Components are local time unless offsetMinutes is given
+   * @param {Object} parts - year, month, day and optional hour, minute, second, millisecond, meridiem, offsetMinutes
+   * @returns {Date | null} - Date or null if the components don't form a real date
+   * @private
+   */
+  _buildDate({ year, month, day, hour, minute, second, millisecond, meridiem, offsetMinutes = null }) {
+    const y = parseInt(year, 10);
+    const mo = parseInt(month, 10);
+    const d = parseInt(day, 10);
+    let h = hour !== undefined ? parseInt(hour, 10) : 0;
+    const mi = minute !== undefined ? parseInt(minute, 10) : 0;
+    const s = second !== undefined ? parseInt(second, 10) : 0;
+    const ms = millisecond !== undefined ? parseInt(millisecond, 10) : 0;
+
+    if (mo < 1 || mo > 12 || d < 1 || mi > 59 || s > 59) {
+      return null;
+    }
+
+    // Convert 12-hour clock to 24-hour clock
+    if (meridiem) {
+      if (h < 1 || h > 12) {
+        return null;
+      }
+      const isPm = meridiem.toLowerCase() === 'p';
+      h = (h % 12) + (isPm ? 12 : 0);
+    } else if (h > 23) {
+      return null;
+    }
+
+    // Reject rollovers such as February 30th
+    const calendarCheck = new Date(Date.UTC(y, mo - 1, d));
+    if (calendarCheck.getUTCFullYear() !== y || calendarCheck.getUTCMonth() !== mo - 1 || calendarCheck.getUTCDate() !== d) {
+      return null;
+    }
+
+    if (offsetMinutes !== null) {
+      return new Date(Date.UTC(y, mo - 1, d, h, mi, s, ms) - offsetMinutes * 60000);
     }
 
-    // Verify the matched timestamp is actually valid
-    const date = new Date(match[0]);
-    return !isNaN(date.getTime());
+    return new Date(y, mo - 1, d, h, mi, s, ms);
   }
 }
 
@@ -1,6 +1,6 @@
 /**
  * Unit Tests for Date Parser Service
- * Tests ISO 8601 pattern matching, date extraction, formatting, and validation
+ * Tests ISO 8601 pattern matching, date extraction, formatting, validation and typed date ranges
  */
 
 const DateParser = require('./dateParser.js');
@@ -101,6 +101,34 @@ runner.test('Should extract first timestamp when multiple exist', () => {
   runner.assertEqual(result.toISOString(), '2023-01-01T00:00:00.000Z', 'Should use first timestamp');
 });
 
+// Test Suite: Multiple Timestamp Selection
+
+runner.test('Should select last, earliest and latest timestamps on request', () => {
+  const parser = new DateParser();
+  const folderName = '2025-03-04T00:00:00Z merged into 2025-01-02T00:00:00Z';
+  
+  runner.assertEqual(parser.extractDate(folderName, { selection: 'last' }).toISOString(), '2025-01-02T00:00:00.000Z', 'Should use last timestamp');
+  runner.assertEqual(parser.extractDate(folderName, { selection: 'earliest' }).toISOString(), '2025-01-02T00:00:00.000Z', 'Should use earliest timestamp');
+  runner.assertEqual(parser.extractDate(folderName, { selection: 'latest' }).toISOString(), '2025-03-04T00:00:00.000Z', 'Should use latest timestamp');
+  runner.assertEqual(parser.extractDate(folderName, { selection: 'first' }).toISOString(), '2025-03-04T00:00:00.000Z', 'Should use first timestamp');
+});
+
+runner.test('Should select timestamp by 1-based position', () => {
+  const parser = new DateParser();
+  const folderName = 'a 2025-01-01 b 2025-02-01 c 2025-03-01';
+  
+  runner.assertEqual(parser.extractDate(folderName, { selection: 2 }).getTime(), new Date(2025, 1, 1).getTime(), 'Should use second timestamp');
+  runner.assertNull(parser.extractDate(folderName, { selection: 4 }), 'Should return null past the last timestamp');
+});
+
+runner.test('Should select across mixed formats', () => {
+  const parser = new DateParser();
+  const match = parser.selectDate('Saved 10/12/2025 (from 2024-01-01)', { selection: 'earliest' });
+  
+  runner.assertEqual(match.format, 'iso8601', 'Should report the selected match format');
+  runner.assertEqual(match.text, '2024-01-01', 'Should report the selected match text');
+});
+
 // Test Suite: Extraction from Various Folder Name Formats
 
 runner.test('Should extract date from folder name with prefix', () => {
@@ -163,6 +191,66 @@ runner.test('Should return null for non-string input', () => {
   runner.assertNull(result, 'Should return null for non-string input');
 });
 
+// Test Suite: Day/Month Convention
+
+runner.test('Should parse slash dates day first when convention is DMY', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('Saved 03/04/2025, 10:00:00 AM', { convention: 'DMY' });
+  
+  runner.assertEqual(result.getTime(), new Date(2025, 3, 3, 10).getTime(), 'Should read 3 April');
+});
+
+runner.test('Should parse dotted dates month first when convention is MDY', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('04.03.2025', { convention: 'MDY' });
+  
+  runner.assertEqual(result.getTime(), new Date(2025, 3, 3).getTime(), 'Should read April 3');
+});
+
+runner.test('Should not apply convention to ISO dates', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('2025-03-04', { convention: 'DMY' });
+  
+  runner.assertEqual(result.getTime(), new Date(2025, 2, 4).getTime(), 'Should keep ISO order');
+});
+
+runner.test('Should infer day-first convention when a component exceeds 12', () => {
+  const parser = new DateParser();
+  const analysis = parser.analyzeConvention([
+    'Saved 03/04/2025, 10:00:00 AM',
+    'Saved 25/04/2025, 10:00:00 AM',
+    'Inbox'
+  ]);
+  
+  runner.assertEqual(analysis.convention, 'DMY', 'Should settle on day first');
+  runner.assertEqual(analysis.dmyCount, 1, 'Should count deciding titles');
+  runner.assertEqual(analysis.ambiguous, ['Saved 03/04/2025, 10:00:00 AM'], 'Should still list ambiguous titles');
+  runner.assertFalse(analysis.conflicting, 'Should not be conflicting');
+});
+
+runner.test('Should infer month-first convention from Tab Stash titles', () => {
+  const parser = new DateParser();
+  const analysis = parser.analyzeConvention(['Saved 10/12/2025', 'Saved 10/31/2025']);
+  
+  runner.assertEqual(analysis.convention, 'MDY', 'Should settle on month first');
+});
+
+runner.test('Should report no convention when every title is ambiguous', () => {
+  const parser = new DateParser();
+  const analysis = parser.analyzeConvention(['Saved 03/04/2025', 'Saved 05/05/2025', '2025-01-02T00:00:00Z']);
+  
+  runner.assertNull(analysis.convention, 'Should not guess');
+  runner.assertEqual(analysis.ambiguous, ['Saved 03/04/2025'], 'Should not flag identical day and month');
+});
+
+runner.test('Should flag conflicting evidence', () => {
+  const parser = new DateParser();
+  const analysis = parser.analyzeConvention(['Saved 25/04/2025', 'Saved 04/25/2025', 'Saved 26/04/2025']);
+  
+  runner.assertTrue(analysis.conflicting, 'Should report conflict');
+  runner.assertEqual(analysis.convention, 'DMY', 'Should follow the majority');
+});
+
 // Test Suite: Date Formatting
 
 runner.test('Should format date as YYYY-MM-DD', () => {
@@ -227,6 +315,67 @@ runner.test('Should return empty string for non-Date object', () => {
   runner.assertEqual(result, '', 'Should return empty string for non-Date object');
 });
 
+runner.test('Should format token templates with names and 24-hour time', () => {
+  const parser = new DateParser();
+  const date = new Date(2025, 9, 12, 15, 5, 9);
+  const result = parser.formatDate(date, 'ddd D MMM YYYY HH:mm:ss', 'en-US');
+  
+  runner.assertEqual(result, 'Sun 12 Oct 2025 15:05:09', 'Should expand template tokens');
+});
+
+runner.test('Should format 12-hour clock tokens', () => {
+  const parser = new DateParser();
+  const date = new Date(2025, 9, 12, 0, 30);
+  
+  runner.assertEqual(parser.formatDate(date, 'h:mm A'), '12:30 AM', 'Should format midnight as 12 AM');
+  runner.assertEqual(parser.formatDate(new Date(2025, 9, 12, 13, 0), 'hh:mm a'), '01:00 pm', 'Should pad 12-hour clock');
+});
+
+runner.test('Should format ISO week numbers and week-numbering year', () => {
+  const parser = new DateParser();
+  
+  runner.assertEqual(parser.formatDate(new Date(2025, 9, 8), 'GGGG-[W]WW'), '2025-W41', 'Should format ISO week');
+  runner.assertEqual(parser.formatDate(new Date(2024, 11, 30), 'GGGG-[W]WW'), '2025-W01', 'Should use ISO week year across boundary');
+});
+
+runner.test('Should use locale-aware month names', () => {
+  const parser = new DateParser();
+  const date = new Date(2025, 9, 12);
+  
+  runner.assertEqual(parser.formatDate(date, 'D MMMM YYYY', 'en-GB'), '12 October 2025', 'Should use English month name');
+  runner.assertEqual(parser.formatDate(date, 'MMMM', 'de-DE'), new Intl.DateTimeFormat('de-DE', { month: 'long' }).format(date), 'Should use requested locale');
+});
+
+runner.test('Should copy bracketed text literally', () => {
+  const parser = new DateParser();
+  const date = new Date(2025, 9, 12);
+  
+  runner.assertEqual(parser.formatDate(date, '[Day] D [of] M'), 'Day 12 of 10', 'Should not expand tokens inside brackets');
+});
+
+runner.test('Should validate date templates', () => {
+  const parser = new DateParser();
+  
+  runner.assertTrue(parser.isValidTemplate('ddd D MMM YYYY HH:mm'), 'Should accept template with date tokens');
+  runner.assertTrue(parser.isValidTemplate('DD-MM-YY'), 'Should accept presets');
+  runner.assertFalse(parser.isValidTemplate('HH:mm'), 'Should reject time-only template');
+  runner.assertFalse(parser.isValidTemplate('[YYYY]'), 'Should ignore tokens inside literals');
+  runner.assertFalse(parser.isValidTemplate(''), 'Should reject empty template');
+  runner.assertFalse(parser.isValidTemplate('Y'.repeat(100)), 'Should reject overly long template');
+});
+
+runner.test('Should keep plain words that contain token letters', () => {
+  const parser = new DateParser();
+  const date = new Date(2025, 9, 12, 15, 5);
+  
+  runner.assertEqual(parser.formatDate(date, 'Saved D MMM', 'en-US'), 'Saved 12 Oct', 'Should not expand letters inside "Saved"');
+  runner.assertEqual(parser.formatDate(date, 'Day D, Week W'), 'Day 12, Week 41', 'Should keep "Day" and "Week"');
+  runner.assertEqual(parser.formatDate(date, 'YYYYMMDD-HHmm'), '20251012-1505', 'Should still split words made of tokens');
+  runner.assertFalse(parser.isValidTemplate('Daily Mix'), 'Should reject words that merely contain D or M');
+  runner.assertFalse(parser.isValidTemplate('Week HH:mm'), 'Should reject a time with a plain word');
+  runner.assertTrue(parser.isValidTemplate('Saved D MMM'), 'Should accept a word next to complete tokens');
+});
+
 // Test Suite: Validation (hasValidDate)
 
 runner.test('Should validate folder name with valid ISO 8601 timestamp (with milliseconds)', () => {
@@ -281,14 +430,224 @@ runner.test('Should return false for non-string input', () => {
   runner.assertFalse(result, 'Should return false for non-string input');
 });
 
+// Test Suite: ISO 8601 Variants
+
+runner.test('Should honour positive and negative timezone offsets', () => {
+  const parser = new DateParser();
+  
+  runner.assertEqual(parser.extractDate('saved-2025-10-12T10:00:00+05:30').toISOString(), '2025-10-12T04:30:00.000Z', 'Should apply +05:30');
+  runner.assertEqual(parser.extractDate('saved-2025-10-12T10:00:00-0800').toISOString(), '2025-10-12T18:00:00.000Z', 'Should apply -0800');
+  runner.assertEqual(parser.extractDate('saved-2025-10-12T10:00+01').toISOString(), '2025-10-12T09:00:00.000Z', 'Should apply hour-only offset');
+});
+
+runner.test('Should reject out-of-range timezone offsets', () => {
+  const parser = new DateParser();
+  
+  runner.assertNull(parser.extractDate('saved-2025-10-12T10:00:00+25:00'), 'Should reject offset hour 25');
+});
+
+runner.test('Should accept timestamps without seconds', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('saved-2025-10-12T10:00Z');
+  
+  runner.assertEqual(result.toISOString(), '2025-10-12T10:00:00.000Z', 'Should parse HH:MM timestamp');
+});
+
+runner.test('Should accept fractional seconds of any precision', () => {
+  const parser = new DateParser();
+  
+  runner.assertEqual(parser.extractDate('2025-10-12T10:00:00.5Z').toISOString(), '2025-10-12T10:00:00.500Z', 'Should scale short fraction');
+  runner.assertEqual(parser.extractDate('2025-10-12T10:00:00.123456Z').toISOString(), '2025-10-12T10:00:00.123Z', 'Should truncate long fraction');
+});
+
+runner.test('Should accept date-only ISO 8601 as local midnight', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('Reading 2025-10-12');
+  
+  runner.assertEqual(result.getTime(), new Date(2025, 9, 12).getTime(), 'Should parse bare date');
+});
+
+runner.test('Should accept ISO week dates', () => {
+  const parser = new DateParser();
+  
+  runner.assertEqual(parser.extractDate('Sprint 2025-W41-3').getTime(), new Date(2025, 9, 8).getTime(), 'Should resolve week date to Wednesday');
+  runner.assertEqual(parser.extractDate('Sprint 2025-W01').getTime(), new Date(2024, 11, 30).getTime(), 'Should resolve week 1 across year boundary');
+  runner.assertEqual(parser.extractDate('Sprint 2020-W53-5').getTime(), new Date(2021, 0, 1).getTime(), 'Should accept week 53 in long years');
+});
+
+runner.test('Should reject ISO week dates that do not exist', () => {
+  const parser = new DateParser();
+  
+  runner.assertNull(parser.extractDate('Sprint 2025-W53-1'), 'Should reject week 53 in a 52-week year');
+  runner.assertNull(parser.extractDate('Sprint 2025-W00-1'), 'Should reject week 0');
+});
+
+runner.test('Should sort offset timestamps by their UTC instant', () => {
+  const parser = new DateParser();
+  const india = parser.extractDate('2025-10-12T10:00:00+05:30');
+  const utc = parser.extractDate('2025-10-12T05:00:00Z');
+  
+  runner.assertTrue(utc.getTime() > india.getTime(), 'Later UTC instant should compare greater');
+});
+
+// Test Suite: Locale Title Formats
+
+runner.test('Should extract Tab Stash US-style title with 12-hour clock', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('Saved 10/12/2025, 3:45:00 PM');
+  
+  runner.assertInstanceOf(result, Date, 'Should return a Date object');
+  runner.assertEqual(result.getTime(), new Date(2025, 9, 12, 15, 45, 0).getTime(), 'Should parse as M/D/YYYY in local time');
+});
+
+runner.test('Should treat 12 AM as midnight and 12 PM as noon', () => {
+  const parser = new DateParser();
+  const midnight = parser.extractDate('Saved 1/5/2025, 12:05:00 AM');
+  const noon = parser.extractDate('Saved 1/5/2025, 12:05:00 PM');
+  
+  runner.assertEqual(midnight.getHours(), 0, 'Should convert 12 AM to hour 0');
+  runner.assertEqual(noon.getHours(), 12, 'Should keep 12 PM as hour 12');
+});
+
+runner.test('Should extract US-style date without time', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('Saved 3/7/2024');
+  
+  runner.assertEqual(result.getTime(), new Date(2024, 2, 7).getTime(), 'Should parse date-only US title');
+});
+
+runner.test('Should extract DD.MM.YYYY date with 24-hour time', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('Gespeichert 12.10.2025, 15:45:30');
+  
+  runner.assertEqual(result.getTime(), new Date(2025, 9, 12, 15, 45, 30).getTime(), 'Should parse dotted date as day first');
+});
+
+runner.test('Should extract YYYY/MM/DD date with 24-hour time', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('Saved 2025/10/12 09:05');
+  
+  runner.assertEqual(result.getTime(), new Date(2025, 9, 12, 9, 5).getTime(), 'Should parse year-first slash date');
+});
+
+runner.test('Should read short dashed dates in the folder\'s day/month order', () => {
+  const parser = new DateParser();
+  
+  runner.assertEqual(parser.extractDate('Saved 03-04-25').getTime(), new Date(2025, 3, 3).getTime(), 'Should read day first by default');
+  runner.assertEqual(parser.extractDate('Saved 03-04-25', { convention: 'MDY' }).getTime(), new Date(2025, 2, 4).getTime(), 'Should read month first when told');
+  runner.assertNull(parser.extractDate('Ticket 12-34-56'), 'Should reject numbers that are not a date');
+  runner.assertEqual(parser.findDates('2025-10-12')[0].format, 'iso8601', 'Should not read part of an ISO date');
+  runner.assertEqual(parser.analyzeConvention(['10-13-25']).convention, 'MDY', 'Should infer the order from short dates');
+});
+
+runner.test('Should read back titles written by the short dashed formats', () => {
+  const parser = new DateParser();
+  const date = new Date(2025, 1, 3);
+  
+  for (const [format, convention] of [['DD-MM-YY', 'DMY'], ['MM-DD-YY', 'MDY']]) {
+    const title = `Saved ${parser.formatDate(date, format)}`;
+    runner.assertEqual(parser.extractDate(title, { convention }).getTime(), date.getTime(), `Should read ${format} back`);
+  }
+});
+
+runner.test('Should reject locale dates that do not exist', () => {
+  const parser = new DateParser();
+  
+  runner.assertNull(parser.extractDate('Saved 2/30/2025, 1:00:00 PM'), 'Should reject February 30th');
+  runner.assertNull(parser.extractDate('Saved 10/12/2025, 13:00:00 PM'), 'Should reject 13 PM');
+  runner.assertNull(parser.extractDate('Saved 31.13.2025'), 'Should reject month 13');
+});
+
+runner.test('Should use whichever recognised format appears first', () => {
+  const parser = new DateParser();
+  const result = parser.extractDate('Saved 10/12/2025 (copy of 2024-01-01T00:00:00Z)');
+  
+  runner.assertEqual(result.getTime(), new Date(2025, 9, 12).getTime(), 'Should prefer the earliest match');
+});
+
+runner.test('Should list all dates found in a title with positions and formats', () => {
+  const parser = new DateParser();
+  const results = parser.findDates('12.10.2025 and 2025-01-02T00:00:00Z');
+  
+  runner.assertEqual(results.map(r => r.format), ['dotted', 'iso8601'], 'Should report format of each match');
+  runner.assertEqual(results.map(r => r.index), [0, 15], 'Should report match positions');
+  runner.assertEqual(results[0].text, '12.10.2025', 'Should report matched text');
+});
+
+runner.test('Should validate folder name with Tab Stash US-style title', () => {
+  const parser = new DateParser();
+  
+  runner.assertTrue(parser.hasValidDate('Saved 10/12/2025, 3:45:00 PM'), 'Should return true for US-style title');
+  runner.assertFalse(parser.hasValidDate('Version 1/2/3'), 'Should return false for non-date slashes');
+});
+
+// Test Suite: Date Ranges (parseDateRange)
+
+// Wednesday 15 October 2025, local time
+const RANGE_NOW = new Date(2025, 9, 15, 10, 20).getTime();
+
+/**
+ * Describes a parsed range as local "YYYY-MM-DD" day strings, end exclusive
+ * @param {{start: Date, end: Date} | null} range - Range from parseDateRange()
+ * @returns {string[] | null}
+ */
+function rangeDays(range) {
+  const parser = new DateParser();
+  return range ? [parser.formatDate(range.start), parser.formatDate(range.end)] : null;
+}
+
+runner.test('Should read years, months and ISO weeks as periods', () => {
+  const parser = new DateParser();
+  
+  runner.assertEqual(rangeDays(parser.parseDateRange('2025')), ['2025-01-01', '2026-01-01'], 'Should cover the year');
+  runner.assertEqual(rangeDays(parser.parseDateRange('2025-10')), ['2025-10-01', '2025-11-01'], 'Should cover the month');
+  runner.assertEqual(rangeDays(parser.parseDateRange('2025/9')), ['2025-09-01', '2025-10-01'], 'Should accept a slash');
+  runner.assertEqual(rangeDays(parser.parseDateRange('2025-W41')), ['2025-10-06', '2025-10-13'], 'Should cover the ISO week');
+  runner.assertNull(parser.parseDateRange('2025-13'), 'Should reject month 13');
+});
+
+runner.test('Should read relative days and periods', () => {
+  const parser = new DateParser();
+  const options = { now: RANGE_NOW };
+  
+  runner.assertEqual(rangeDays(parser.parseDateRange('today', options)), ['2025-10-15', '2025-10-16'], 'Should read today');
+  runner.assertEqual(rangeDays(parser.parseDateRange('Yesterday', options)), ['2025-10-14', '2025-10-15'], 'Should read yesterday');
+  runner.assertEqual(rangeDays(parser.parseDateRange('last Tuesday', options)), ['2025-10-14', '2025-10-15'], 'Should read last Tuesday');
+  runner.assertEqual(rangeDays(parser.parseDateRange('wed', options)), ['2025-10-08', '2025-10-09'], 'Should go back a week for today\'s weekday');
+  runner.assertEqual(rangeDays(parser.parseDateRange('last week', options)), ['2025-10-06', '2025-10-13'], 'Should read last week from Monday');
+  runner.assertEqual(rangeDays(parser.parseDateRange('last month', options)), ['2025-09-01', '2025-10-01'], 'Should read last month');
+  runner.assertEqual(rangeDays(parser.parseDateRange('3 days ago', options)), ['2025-10-12', '2025-10-13'], 'Should read days ago');
+});
+
+runner.test('Should read single dates in title and display formats', () => {
+  const parser = new DateParser();
+  
+  runner.assertEqual(rangeDays(parser.parseDateRange('12-10-25')), ['2025-10-12', '2025-10-13'], 'Should read short dates day first');
+  runner.assertEqual(rangeDays(parser.parseDateRange('12-10-25', { convention: 'MDY' })), ['2025-12-10', '2025-12-11'], 'Should follow the convention');
+  runner.assertEqual(rangeDays(parser.parseDateRange('10/12/2025')), ['2025-10-12', '2025-10-13'], 'Should read Tab Stash dates');
+  runner.assertEqual(rangeDays(parser.parseDateRange('2025-10-12T23:30:00')), ['2025-10-12', '2025-10-13'], 'Should cover the whole day of a timestamp');
+  runner.assertNull(parser.parseDateRange('Saved 10/12/2025'), 'Should not read dates inside other text');
+});
+
+runner.test('Should read ranges joined by "to" or ".."', () => {
+  const parser = new DateParser();
+  
+  runner.assertEqual(rangeDays(parser.parseDateRange('2025-10-01 to 2025-10-03')), ['2025-10-01', '2025-10-04'], 'Should include the last day');
+  runner.assertEqual(rangeDays(parser.parseDateRange('2025-10..2025-09')), ['2025-09-01', '2025-11-01'], 'Should swap a backwards range');
+  runner.assertNull(parser.parseDateRange('2025-10 to someday'), 'Should reject a range with an unreadable side');
+  runner.assertNull(parser.parseDateRange('hello'), 'Should reject text without a date');
+  runner.assertNull(parser.parseDateRange(''), 'Should reject empty text');
+});
+
 // Test Suite: Edge Cases
 
-runner.test('Should handle invalid ISO 8601 format (missing Z)', () => {
+runner.test('Should read ISO 8601 timestamp without zone designator as local time', () => {
   const parser = new DateParser();
   const folderName = 'backup-2025-10-11T17:36:41';
   const result = parser.extractDate(folderName);
   
-  runner.assertNull(result, 'Should return null for timestamp without Z');
+  runner.assertInstanceOf(result, Date, 'Should accept timestamp without Z');
+  runner.assertEqual(result.getTime(), new Date(2025, 9, 11, 17, 36, 41).getTime(), 'Should interpret as local time');
 });
 
 runner.test('Should handle invalid ISO 8601 format (wrong separators)', () => {
@@ -0,0 +1,459 @@
+/**
+ * Organizer Service
+ * Runs a parent folder's saved operations with their backups, for the popup as well as the background
+ * auto-sort, schedules and the bookmark context menu
+ */
+
+class OrganizerService {
+  /**
+   * @param {BookmarkService} [bookmarkService] - Bookmark service instance
+   * @param {StorageService} [storageService] - Storage service instance
+   * @param {DateParser} [dateParser] - Date parser instance
+   */
+  constructor(bookmarkService = new BookmarkService(), storageService = new StorageService(), dateParser = new DateParser()) {
+    this.bookmarkService = bookmarkService;
+    this.storageService = storageService;
+    this.dateParser = dateParser;
+
+    // How often a scheduled folder is organised
+    this.SCHEDULE_FREQUENCIES = ['off', 'hourly', 'daily', 'weekly'];
+    this.DEFAULT_SCHEDULE_TIME = '09:00';
+  }
+
+  /**
+   * Builds the sort a parent folder's saved settings ask for, used by Rearrange in the popup and by auto-sort
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {{strategy?: string, direction?: string}} [overrides] - Sort key and order to use instead of the saved ones
+   * @returns {Promise<{strategy: string, options: Object, folderSettings: Object, unresolvedConvention: boolean}>}
+   *   options are ready for BookmarkService.planSort(); unresolvedConvention is true when titles could be read
+   *   day/month or month/day and the folder has no saved order to settle it
+   */
+  async getSortSettings(parentFolderId, overrides = {}) {
+    const folderSettings = await this.storageService.getFolderSettings(parentFolderId);
+    const dateSources = await this.storageService.getDateSources();
+    const subfolders = await this.bookmarkService.getSubfolders(parentFolderId);
+
+    // A saved day/month order wins, then the order inferred from the titles
+    const override = folderSettings.dateConvention;
+    const hasOverride = override === 'DMY' || override === 'MDY';
+    const analysis = this.dateParser.analyzeConvention(subfolders.map(folder => folder.title));
+    const convention = hasOverride ? override : (analysis.convention || undefined);
+
+    const requested = overrides.strategy || folderSettings.sortStrategy;
+    const strategy = this.bookmarkService.SORT_STRATEGIES[requested] ? requested : 'date';
+
+    return {
+      strategy,
+      folderSettings,
+      unresolvedConvention: strategy === 'date' && !hasOverride &&
+        (analysis.conflicting || (!analysis.convention && analysis.ambiguous.length > 0)),
+      options: {
+        dateParser: this.dateParser,
+        dateSources,
+        convention,
+        selection: folderSettings.dateSelection,
+        direction: overrides.direction || folderSettings.sortDirection,
+        tieBreakers: folderSettings.tieBreakers,
+        otherItems: folderSettings.otherItems,
+        sortBookmarks: folderSettings.sortBookmarks === true,
+        pinRules: folderSettings.pinRules,
+        undatedPlacement: folderSettings.undatedPlacement,
+        onConflict: folderSettings.onConflict
+      }
+    };
+  }
+
+  /**
+   * Sorts a parent folder's direct children with its saved settings
+   * A backup is saved before anything moves, exactly as for Rearrange in the popup, so Revert
+   * undoes the last sort whichever started it. Nothing is saved when the folder is already in order.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object} [details] - Extra fields stored with the backup, e.g. { automatic: true }
+   * @param {{strategy?: string, direction?: string}} [overrides] - See getSortSettings()
+   * @returns {Promise<{success: boolean, movedCount: number, plannedMoveCount?: number, skipped?: boolean,
+   *   error?: string}>} Result of BookmarkService.applySortPlan(), or of planning when nothing was moved
+   */
+  async sortFolder(parentFolderId, details = {}, overrides = {}) {
+    const { strategy, options, unresolvedConvention } = await this.getSortSettings(parentFolderId, overrides);
+
+    // The popup asks before guessing; without anyone to ask, leave the folder alone
+    if (unresolvedConvention) {
+      return {
+        success: false,
+        movedCount: 0,
+        skipped: true,
+        error: 'Day/month order is ambiguous; choose one for this folder in the popup'
+      };
+    }
+
+    const plan = await this.bookmarkService.planSort(parentFolderId, strategy, options);
+
+    if (!plan.success) {
+      return {
+        success: false,
+        movedCount: 0,
+        skipped: plan.skipped === true,
+        error: plan.error
+      };
+    }
+
+    if (plan.plannedMoveCount === 0) {
+      return {
+        success: true,
+        movedCount: 0,
+        plannedMoveCount: 0
+      };
+    }
+
+    return this.applySortPlan(plan, details);
+  }
+
+  /**
+   * Carries out a plan from BookmarkService.planSort(), saving a backup before anything moves
+   * Nothing moves when the backup can't be saved.
+   * @param {Object} plan - Plan to apply
+   * @param {Object} [details] - Extra fields stored with the backup, e.g. { automatic: true }
+   * @returns {Promise<{success: boolean, movedCount: number, error?: string}>} Result of
+   *   BookmarkService.applySortPlan()
+   */
+  async applySortPlan(plan, details = {}) {
+    // Every child is recorded, not just folders, so loose bookmarks and separators revert too
+    // Folders filed into the Undated folder need their new parent (and the folder, if created) in the backup
+    const result = await this._runWithSnapshot(
+      plan.parentFolderId,
+      plan.children.map(child => ({ id: child.id, index: child.index })),
+      { ...details, operation: 'rearrange', recursive: false },
+      () => this.bookmarkService.applySortPlan(plan)
+    );
+
+    return result.backupFailed ? this._backupFailure() : result;
+  }
+
+  /**
+   * Sorts a parent folder and the levels below it with its saved settings, as Rearrange does with
+   * "Also sort nested folders" ticked
+   * Every affected level is recorded in one backup first, so Revert restores the whole tree; it is
+   * dropped again when no level needed sorting.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object} [details] - Extra fields stored with the backup; automatic runs skip folders whose
+   *   day/month order is ambiguous
+   * @param {{strategy?: string, direction?: string}} [overrides] - See getSortSettings()
+   * @returns {Promise<{success: boolean, movedCount: number, skipped?: boolean, error?: string}>} Result of
+   *   BookmarkService.sortFolderTree()
+   */
+  async sortFolderTree(parentFolderId, details = {}, overrides = {}) {
+    const { strategy, options, folderSettings, unresolvedConvention } = await this.getSortSettings(parentFolderId, overrides);
+
+    if (unresolvedConvention && details.automatic) {
+      return {
+        success: false,
+        movedCount: 0,
+        skipped: true,
+        error: 'Day/month order is ambiguous; choose one for this folder in the popup'
+      };
+    }
+
+    const maxDepth = folderSettings.nestedDepth || 2;
+    const positions = await this.bookmarkService.getFolderTreePositions(parentFolderId, maxDepth);
+    const result = await this._runWithSnapshot(
+      parentFolderId,
+      positions,
+      { ...details, operation: 'rearrange', recursive: true },
+      () => this.bookmarkService.sortFolderTree(parentFolderId, strategy, { ...options, maxDepth })
+    );
+
+    return result.backupFailed ? this._backupFailure() : result;
+  }
+
+  /**
+   * Files a parent folder's dated groups into Year / Month folders with its saved settings, as Group by period
+   * in the popup does
+   * Groups are dated from their titles only, so no period folders are created from creation or modified
+   * dates. The positions in the parent are saved before anything moves, then replaced by the grouping's own
+   * backup; nothing moves when they can't be saved.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object} [details] - Extra fields stored with the backup; automatic runs skip folders whose
+   *   day/month order is ambiguous
+   * @returns {Promise<{success: boolean, movedCount: number, createdCount: number, undatedCount: number,
+   *   backup: Object | null, skipped?: boolean, error?: string}>} Result of BookmarkService.groupByPeriod()
+   */
+  async groupByPeriod(parentFolderId, details = {}) {
+    const { options, unresolvedConvention } = await this.getSortSettings(parentFolderId, { strategy: 'date' });
+
+    if (unresolvedConvention && details.automatic) {
+      return {
+        success: false,
+        movedCount: 0,
+        createdCount: 0,
+        undatedCount: 0,
+        backup: null,
+        skipped: true,
+        error: 'Day/month order is ambiguous; choose one for this folder in the popup'
+      };
+    }
+
+    const positions = await this.bookmarkService.getFolderTreePositions(parentFolderId, 1);
+    const result = await this._runWithSnapshot(parentFolderId, positions, { ...details, operation: 'groupByPeriod' }, () =>
+      this.bookmarkService.groupByPeriod(parentFolderId, this.dateParser, {
+        dateSources: ['title'],
+        convention: options.convention,
+        selection: options.selection,
+        direction: options.direction,
+        tieBreakers: options.tieBreakers,
+        pinRules: options.pinRules
+      })
+    );
+
+    if (result.backupFailed) {
+      return { ...this._backupFailure('grouping'), createdCount: 0, undatedCount: 0, backup: null };
+    }
+
+    return result;
+  }
+
+  /**
+   * Moves a parent folder's old groups into its archive folder with its saved settings, as Archive in the popup does
+   * Groups are dated from their titles only, so folders such as "Inbox" are never archived by when they were
+   * created. The positions in the parent (and a chosen archive folder) are saved before anything moves, then
+   * replaced by the archive's own backup; nothing moves when they can't be saved.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object} [details] - Extra fields stored with the backup, e.g. { automatic: true }; automatic runs
+   *   skip folders whose day/month order is ambiguous
+   * @returns {Promise<{success: boolean, archivedCount: number, maxAgeDays: number, backup: Object | null,
+   *   skipped?: boolean, error?: string}>} Result of BookmarkService.archiveOldFolders()
+   */
+  async archiveFolder(parentFolderId, details = {}) {
+    const { options, folderSettings, unresolvedConvention } = await this.getSortSettings(parentFolderId, { strategy: 'date' });
+    const maxAgeDays = folderSettings.archiveAfterDays || 90;
+
+    if (unresolvedConvention && details.automatic) {
+      return {
+        success: false,
+        archivedCount: 0,
+        maxAgeDays,
+        backup: null,
+        skipped: true,
+        error: 'Day/month order is ambiguous; choose one for this folder in the popup'
+      };
+    }
+
+    const archiveFolderId = folderSettings.archiveFolderId || null;
+    const positions = await this.bookmarkService.getFolderTreePositions(parentFolderId, 1);
+    if (archiveFolderId && archiveFolderId !== parentFolderId) {
+      positions.push(...await this.bookmarkService.getFolderTreePositions(archiveFolderId, 1));
+    }
+
+    const result = await this._runWithSnapshot(parentFolderId, positions, { ...details, operation: 'archive' }, () =>
+      this.bookmarkService.archiveOldFolders(parentFolderId, archiveFolderId, this.dateParser, {
+        maxAgeDays,
+        dateSources: ['title'],
+        convention: options.convention,
+        selection: options.selection,
+        tieBreakers: options.tieBreakers,
+        pinRules: options.pinRules
+      })
+    );
+
+    if (result.backupFailed) {
+      return { ...this._backupFailure('archiving'), archivedCount: 0, maxAgeDays, backup: null };
+    }
+
+    return { ...result, maxAgeDays };
+  }
+
+  /**
+   * Undoes the last operation on a parent folder from its saved backup, or restores an older one from its history
+   * The backup is kept, so the same operation can be reverted again. A day/month order saved with the backup
+   * (by a reformat that changed it) is restored too.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {string} [snapshotId] - Backup to restore instead of the newest, see StorageService.getBackupHistory()
+   * @returns {Promise<{success: boolean, operation?: string, backup?: Object, missing?: boolean, error?: string}>}
+   *   operation is the backup's operation ('rearrange' when it has none) and backup the backup that was restored;
+   *   missing is true when there was no such backup
+   */
+  async revertFolder(parentFolderId, snapshotId = null) {
+    const backup = snapshotId
+      ? await this.storageService.getBackupSnapshot(parentFolderId, snapshotId)
+      : await this.storageService.getBackup(parentFolderId);
+
+    if (!backup) {
+      return {
+        success: false,
+        missing: true,
+        error: snapshotId ? 'This backup no longer exists' : 'No backup found for this folder'
+      };
+    }
+
+    if (!Array.isArray(backup.folders) || backup.folders.length === 0) {
+      return { success: false, error: 'Backup data is corrupted or invalid' };
+    }
+
+    try {
+      const success = await this.bookmarkService.revertFolders(parentFolderId, backup);
+      if (!success) {
+        return { success: false, error: 'Failed to revert folders to original order' };
+      }
+
+      // A reformat into a short dashed preset also set the order its titles are read in
+      if (backup.dateConvention) {
+        await this.storageService.saveFolderSettings(parentFolderId, { dateConvention: backup.dateConvention });
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || 'Failed to revert folders to original order'
+      };
+    }
+
+    return {
+      success: true,
+      operation: backup.operation || 'rearrange',
+      backup
+    };
+  }
+
+  /**
+   * Finds the groups below a parent folder dated within a range, e.g. for the address bar keyword
+   * Groups are dated from their titles as the parent's saved settings read them, or else by when they
+   * were created. Every level is searched, so groups filed into period or archive folders are found too;
+   * folders without bookmarks of their own (such as those period folders) are left out.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {{start: Date, end: Date}} range - Range from DateParser.parseDateRange()
+   * @returns {Promise<Array<{id: string, title: string, date: Date, bookmarkCount: number}>>} Newest first
+   */
+  async findFoldersByDate(parentFolderId, range) {
+    const { options } = await this.getSortSettings(parentFolderId);
+    const [root] = await browser.bookmarks.getSubTree(parentFolderId);
+    const matches = [];
+
+    const visit = (node) => {
+      for (const child of node.children || []) {
+        const isFolder = child.type ? child.type === 'folder' : !child.url;
+        if (!isFolder) {
+          continue;
+        }
+
+        const titleDate = this.dateParser.extractDate(child.title, { convention: options.convention, selection: options.selection });
+        const date = titleDate || (child.dateAdded ? new Date(child.dateAdded) : null);
+        const bookmarkCount = (child.children || []).filter(item => item.url).length;
+
+        if (bookmarkCount > 0 && date && date >= range.start && date < range.end) {
+          matches.push({ id: child.id, title: child.title, date, bookmarkCount });
+        }
+        visit(child);
+      }
+    };
+    visit(root);
+
+    return matches.sort((a, b) => b.date - a.date);
+  }
+
+  /**
+   * Works out when a schedule should next run
+   * Hourly schedules run on the hour counted from the last run (skipping hours that have passed), or an
+   * hour after now when there is none; daily and weekly ones at their local time of day
+   * (DEFAULT_SCHEDULE_TIME when unset), weekly ones on their weekday (0 is Sunday, Monday by default)
+   * @param {{frequency: string, time?: string, weekday?: number}} schedule - Folder schedule
+   * @param {number} [now] - Current time in milliseconds (defaults to Date.now())
+   * @param {number} [lastRunTime] - When the schedule last ran, from StorageService.getRunOutcome()
+   * @returns {number | null} Time of the next run in milliseconds, null when the schedule is off or invalid
+   */
+  getNextRunTime(schedule, now = Date.now(), lastRunTime = null) {
+    if (schedule && schedule.frequency === 'hourly') {
+      const hour = 60 * 60 * 1000;
+      if (typeof lastRunTime === 'number' && lastRunTime <= now) {
+        return lastRunTime + (Math.floor((now - lastRunTime) / hour) + 1) * hour;
+      }
+      return now + hour;
+    }
+
+    if (!schedule || (schedule.frequency !== 'daily' && schedule.frequency !== 'weekly')) {
+      return null;
+    }
+
+    const match = /^(\d{1,2}):(\d{2})$/.exec(schedule.time || this.DEFAULT_SCHEDULE_TIME);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return null;
+    }
+
+    const next = new Date(now);
+    next.setHours(Number(match[1]), Number(match[2]), 0, 0);
+
+    if (schedule.frequency === 'weekly') {
+      const weekday = Number.isInteger(schedule.weekday) ? schedule.weekday : 1;
+      next.setDate(next.getDate() + ((weekday - next.getDay() + 7) % 7));
+      if (next.getTime() <= now) {
+        next.setDate(next.getDate() + 7);
+      }
+    } else if (next.getTime() <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+
+    return next.getTime();
+  }
+
+  /**
+   * Runs an operation between saving a snapshot of the positions it may change and completing that snapshot
+   * The snapshot is saved first, so Revert can move everything back even if the operation is interrupted.
+   * It is then replaced by the operation's own backup (which also knows the folders it created), or deleted
+   * when nothing changed: no moves, or a failure that was fully rolled back.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Array<{id: string, index: number, parentId?: string}>} positions - Positions to save first
+   * @param {Object} details - Fields stored with the backup, including its operation
+   * @param {function(): Promise<Object>} operation - Resolves to a result with success and, when anything
+   *   moved, movedCount or a backup from BookmarkService
+   * @returns {Promise<Object>} The operation's result, or { backupFailed: true } when nothing ran because the
+   *   snapshot couldn't be saved
+   * @private
+   */
+  async _runWithSnapshot(parentFolderId, positions, details, operation) {
+    let snapshotId;
+    try {
+      snapshotId = await this.storageService.saveBackup(parentFolderId, positions, details);
+    } catch (error) {
+      console.error('Error saving backup:', error);
+      return { backupFailed: true };
+    }
+
+    const result = await operation();
+    const changed = result.success
+      ? Boolean(result.backup) || result.movedCount > 0
+      : result.rolledBack === false;
+
+    // A failed update leaves the first snapshot, which still moves everything back
+    try {
+      if (!changed) {
+        await this.storageService.deleteBackupSnapshot(parentFolderId, snapshotId);
+      } else if (result.backup) {
+        await this.storageService.saveBackup(parentFolderId, result.backup.folders, {
+          ...details,
+          id: snapshotId,
+          createdFolderIds: result.backup.createdFolderIds
+        });
+      }
+    } catch (error) {
+      console.error('Error updating backup:', error);
+    }
+
+    return result;
+  }
+
+  /**
+   * Builds the result of an operation that stopped because its backup couldn't be saved
+   * @param {string} [action] - What was stopped, for the message
+   * @returns {{success: boolean, movedCount: number, error: string}}
+   * @private
+   */
+  _backupFailure(action = 'rearrangement') {
+    return {
+      success: false,
+      movedCount: 0,
+      error: `Failed to create backup. Cannot proceed with ${action} for safety.`
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OrganizerService;
+}
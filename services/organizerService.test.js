@@ -0,0 +1,587 @@
+/**
+ * Unit Tests for Organizer Service
+ * Tests sorting a folder with its saved settings, the backup saved before it, reverting from it
+ * and finding groups by date
+ */
+
+const OrganizerService = require('./organizerService.js');
+const BookmarkService = require('./bookmarkService.js');
+const StorageService = require('./storageService.js');
+const DateParser = require('./dateParser.js');
+
+/**
+ * Creates a mock browser event that records its listeners and can fire them
+ * @returns {{listeners: Function[], addListener: Function, removeListener: Function, fire: Function}}
+ */
+function mockEvent() {
+  return {
+    listeners: [],
+    addListener(listener) {
+      this.listeners.push(listener);
+    },
+    removeListener(listener) {
+      this.listeners = this.listeners.filter(existing => existing !== listener);
+    },
+    fire(...args) {
+      this.listeners.forEach(listener => listener(...args));
+    }
+  };
+}
+
+// Mock browser API: an in-memory bookmark tree and browser.storage.local
+global.browser = {
+  bookmarks: {
+    onCreated: mockEvent(),
+    onRemoved: mockEvent(),
+    onChanged: mockEvent(),
+    onMoved: mockEvent()
+  },
+  storage: {
+    local: {
+      data: {},
+      get: function(keys) {
+        const list = typeof keys === 'string' ? [keys] : keys;
+        return Promise.resolve(list.reduce((acc, key) => {
+          acc[key] = this.data[key];
+          return acc;
+        }, {}));
+      },
+      set: function(items) {
+        Object.assign(this.data, items);
+        return Promise.resolve();
+      }
+    }
+  }
+};
+
+// Simple test framework
+class TestRunner {
+  constructor() {
+    this.tests = [];
+    this.passed = 0;
+    this.failed = 0;
+  }
+
+  test(description, fn) {
+    this.tests.push({ description, fn });
+  }
+
+  assertEqual(actual, expected, message = '') {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error(`${message}\nExpected: ${JSON.stringify(expected)}\nActual: ${JSON.stringify(actual)}`);
+    }
+  }
+
+  assertTrue(value, message = '') {
+    if (!value) {
+      throw new Error(`${message}\nExpected truthy value, got: ${value}`);
+    }
+  }
+
+  assertFalse(value, message = '') {
+    if (value) {
+      throw new Error(`${message}\nExpected falsy value, got: ${value}`);
+    }
+  }
+
+  assertNull(value, message = '') {
+    if (value !== null) {
+      throw new Error(`${message}\nExpected null, got: ${value}`);
+    }
+  }
+
+  assertGreaterThan(actual, expected, message = '') {
+    if (actual <= expected) {
+      throw new Error(`${message}\nExpected ${actual} to be greater than ${expected}`);
+    }
+  }
+
+  async run() {
+    console.log(`\n🧪 Running ${this.tests.length} tests...\n`);
+
+    for (const { description, fn } of this.tests) {
+      try {
+        await fn();
+        this.passed++;
+        console.log(`✅ ${description}`);
+      } catch (error) {
+        this.failed++;
+        console.log(`❌ ${description}`);
+        console.log(`   ${error.message}\n`);
+      }
+    }
+
+    console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed, ${this.tests.length} total\n`);
+    
+    if (this.failed > 0) {
+      process.exit(1);
+    }
+  }
+}
+
+const runner = new TestRunner();
+
+/**
+ * Replaces browser.bookmarks with an in-memory tree of folders
+ * @param {Object<string, string[]>} tree - Child titles per parent ID; child IDs are `${parentId}/${title}`
+ * @returns {Object<string, Object[]>} Live children per parent ID, updated by move() and create()
+ */
+function mockLiveBookmarks(tree) {
+  const folders = {};
+  let nextId = 1;
+  const reindex = (parentId) => folders[parentId].forEach((node, index) => { node.index = index; });
+
+  for (const [parentId, titles] of Object.entries(tree)) {
+    folders[parentId] = titles.map(title => ({ id: `${parentId}/${title}`, title, parentId }));
+    reindex(parentId);
+  }
+
+  browser.bookmarks.getChildren = async (id) => (folders[id] || []).map(node => ({ ...node }));
+  browser.bookmarks.get = async (id) => [{ id }];
+  browser.bookmarks.create = async ({ parentId, title }) => {
+    const node = { id: `new-${nextId++}`, title, parentId };
+    folders[node.id] = [];
+    folders[parentId].push(node);
+    reindex(parentId);
+    return { ...node };
+  };
+  browser.bookmarks.move = async (id, { parentId, index }) => {
+    const oldParentId = Object.keys(folders).find(key => folders[key].some(node => node.id === id));
+    const node = folders[oldParentId].find(child => child.id === id);
+    folders[oldParentId] = folders[oldParentId].filter(child => child.id !== id);
+    reindex(oldParentId);
+    node.parentId = parentId;
+    const siblings = folders[parentId];
+    siblings.splice(index === undefined ? siblings.length : Math.min(index, siblings.length), 0, node);
+    reindex(parentId);
+    return { ...node };
+  };
+
+  return folders;
+}
+
+function createService() {
+  browser.storage.local.data = {};
+  const storageService = new StorageService();
+  return {
+    storageService,
+    service: new OrganizerService(new BookmarkService(), storageService, new DateParser())
+  };
+}
+
+// Test Suite: getSortSettings - Saved Settings
+
+runner.test('Should build sort options from the folder settings', async () => {
+  const { service, storageService } = createService();
+  mockLiveBookmarks({ 'root': ['Saved 13/02/2025, 10:00:00', 'Saved 01/03/2025, 10:00:00'] });
+  
+  await storageService.saveDateSources(['title', 'dateAdded']);
+  await storageService.saveFolderSettings('root', {
+    sortDirection: 'asc',
+    pinRules: [{ type: 'exact', pattern: 'Inbox', position: 'top' }],
+    undatedPlacement: 'top'
+  });
+  
+  const { strategy, options, unresolvedConvention } = await service.getSortSettings('root');
+  
+  runner.assertEqual(strategy, 'date', 'Should sort by date by default');
+  runner.assertEqual(options.convention, 'DMY', 'Should infer the day/month order from the titles');
+  runner.assertEqual(options.dateSources, ['title', 'dateAdded'], 'Should use the saved date sources');
+  runner.assertEqual(options.direction, 'asc', 'Should use the saved direction');
+  runner.assertEqual(options.pinRules.length, 1, 'Should pass the pin rules');
+  runner.assertEqual(options.undatedPlacement, 'top', 'Should pass the undated placement');
+  runner.assertFalse(unresolvedConvention, 'Should not report a settled order as ambiguous');
+});
+
+// Test Suite: sortFolder - Sorting with Backup
+
+runner.test('Should sort a folder and save a backup first', async () => {
+  const { service, storageService } = createService();
+  const titles = ['saved-2025-01-01T00:00:00Z', 'Work', 'saved-2025-06-01T00:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  
+  const result = await service.sortFolder('root', { automatic: true });
+  const backup = await storageService.getBackup('root');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(folders['root'].map(node => node.title), [titles[2], titles[0], 'Work'], 'Should sort newest first');
+  runner.assertEqual(backup.operation, 'rearrange', 'Should save a rearrange backup');
+  runner.assertTrue(backup.automatic, 'Should keep the extra backup details');
+  runner.assertEqual(backup.folders.map(entry => entry.id), titles.map(title => `root/${title}`), 'Should record the original order');
+});
+
+runner.test('Should not save a backup when the folder is already sorted', async () => {
+  const { service, storageService } = createService();
+  mockLiveBookmarks({ 'root': ['saved-2025-06-01T00:00:00Z', 'saved-2025-01-01T00:00:00Z'] });
+  
+  const result = await service.sortFolder('root');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.movedCount, 0, 'Should not move anything');
+  runner.assertNull(await storageService.getBackup('root'), 'Should keep the previous backup');
+});
+
+runner.test('Should skip folders whose day/month order is ambiguous', async () => {
+  const { service } = createService();
+  const folders = mockLiveBookmarks({ 'root': ['Saved 01/02/2025, 10:00:00', 'Saved 03/04/2025, 10:00:00'] });
+  
+  const result = await service.sortFolder('root');
+  
+  runner.assertFalse(result.success, 'Should not sort');
+  runner.assertTrue(result.skipped, 'Should report the folder as skipped');
+  runner.assertEqual(folders['root'].map(node => node.title), ['Saved 01/02/2025, 10:00:00', 'Saved 03/04/2025, 10:00:00'], 'Should leave the folder alone');
+});
+
+runner.test('Should record filed folders so Revert can move them back', async () => {
+  const { service, storageService } = createService();
+  mockLiveBookmarks({ 'root': ['Work', 'saved-2025-01-01T00:00:00Z'] });
+  await storageService.saveFolderSettings('root', { undatedPlacement: 'subfolder' });
+  
+  await service.sortFolder('root');
+  const backup = await storageService.getBackup('root');
+  
+  runner.assertEqual(backup.createdFolderIds, ['new-1'], 'Should record the created Undated folder');
+  runner.assertEqual(backup.folders.find(entry => entry.id === 'root/Work').movedTo, 'new-1', 'Should record where the folder went');
+});
+
+runner.test('Should place undated folders as asked under the default date sources', async () => {
+  const { service, storageService } = createService();
+  const titles = ['saved-2025-01-01T00:00:00Z', 'Work', 'saved-2025-06-01T00:00:00Z', 'Reading'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  folders['root'][1].dateAdded = Date.parse('2025-03-01T00:00:00Z');
+  await storageService.saveFolderSettings('root', { undatedPlacement: 'interleave' });
+  
+  const result = await service.sortFolder('root');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.keyedCount, 2, 'Should date only the titled folders');
+  runner.assertEqual(result.interleavedCount, 1, 'Should mix in the folder with a creation date');
+  runner.assertEqual(
+    folders['root'].map(node => node.title),
+    [titles[2], 'Work', titles[0], 'Reading'],
+    'Should mix Work in by its creation date and keep Reading at the bottom'
+  );
+});
+
+runner.test('Should sort in the order asked for instead of the saved one', async () => {
+  const { service, storageService } = createService();
+  const titles = ['saved-2025-06-01T00:00:00Z', 'saved-2025-01-01T00:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  await storageService.saveFolderSettings('root', { sortStrategy: 'title', sortDirection: 'desc' });
+  
+  const result = await service.sortFolder('root', {}, { strategy: 'date', direction: 'asc' });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(folders['root'].map(node => node.title), [titles[1], titles[0]], 'Should sort by date, oldest first');
+});
+
+// Test Suite: applySortPlan - Applying a Preview
+
+runner.test('Should not move anything when the backup cannot be saved', async () => {
+  const { service } = createService();
+  const titles = ['saved-2025-01-01T00:00:00Z', 'saved-2025-06-01T00:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  const plan = await service.bookmarkService.planSort('root', 'date', { dateParser: service.dateParser });
+  const originalSet = browser.storage.local.set;
+  browser.storage.local.set = () => Promise.reject(new Error('Storage error'));
+  
+  const result = await service.applySortPlan(plan);
+  browser.storage.local.set = originalSet;
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertEqual(result.movedCount, 0, 'Should not move anything');
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should leave the folder alone');
+});
+
+runner.test('Should drop the backup when a failed sort is rolled back', async () => {
+  const { service, storageService } = createService();
+  const titles = ['saved-2025-01-01T00:00:00Z', 'saved-2025-06-01T00:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  const plan = await service.bookmarkService.planSort('root', 'date', { dateParser: service.dateParser });
+  const move = browser.bookmarks.move;
+  let moves = 0;
+  browser.bookmarks.move = async (id, destination) => {
+    moves++;
+    if (moves === 1) {
+      throw new Error('Bookmark is locked');
+    }
+    return move(id, destination);
+  };
+  
+  const result = await service.applySortPlan(plan);
+  browser.bookmarks.move = move;
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertTrue(result.rolledBack, 'Should roll the sort back');
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should keep the original order');
+  runner.assertEqual(await storageService.getBackupHistory('root'), [], 'Should not keep a backup of an unchanged order');
+});
+
+// Test Suite: sortFolderTree - Nested Sorting with Backup
+
+runner.test('Should sort every level and record them all in one backup', async () => {
+  const { service, storageService } = createService();
+  const inner = ['saved-2024-01-01T00:00:00Z', 'saved-2024-06-01T00:00:00Z'];
+  const folders = mockLiveBookmarks({
+    'root': ['saved-2024-01-01T00:00:00Z', 'saved-2025-01-01T00:00:00Z'],
+    'root/saved-2024-01-01T00:00:00Z': inner
+  });
+  await storageService.saveFolderSettings('root', { nestedDepth: 2 });
+  
+  const result = await service.sortFolderTree('root', { automatic: true });
+  const backup = await storageService.getBackup('root');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(folders['root/saved-2024-01-01T00:00:00Z'].map(node => node.title), [inner[1], inner[0]], 'Should sort the nested level');
+  runner.assertTrue(backup.recursive, 'Should save a recursive backup');
+  runner.assertTrue(backup.automatic, 'Should keep the extra backup details');
+  runner.assertEqual(backup.folders.length, 4, 'Should record both levels');
+});
+
+runner.test('Should not keep a backup when no level needed sorting', async () => {
+  const { service, storageService } = createService();
+  mockLiveBookmarks({
+    'root': ['saved-2025-01-01T00:00:00Z'],
+    'root/saved-2025-01-01T00:00:00Z': ['saved-2024-06-01T00:00:00Z', 'saved-2024-01-01T00:00:00Z']
+  });
+  
+  const result = await service.sortFolderTree('root', { automatic: true });
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.movedCount, 0, 'Should not move anything');
+  runner.assertEqual(await storageService.getBackupHistory('root'), [], 'Should not add a backup to the history');
+});
+
+// Test Suite: groupByPeriod - Grouping with Backup
+
+runner.test('Should group by title dates only and save a backup', async () => {
+  const { service, storageService } = createService();
+  const folders = mockLiveBookmarks({ 'root': ['Inbox', 'saved-2025-01-15T12:00:00Z'] });
+  folders['root'][0].dateAdded = Date.parse('2024-05-01T00:00:00Z');
+  await storageService.saveDateSources(['title', 'dateAdded']);
+  
+  const result = await service.groupByPeriod('root');
+  const backup = await storageService.getBackup('root');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.movedCount, 1, 'Should file only the dated group');
+  runner.assertEqual(result.undatedCount, 1, 'Should count Inbox as undated');
+  runner.assertEqual(folders['root'].map(node => node.title).sort(), ['2025', 'Inbox'], 'Should create no period folder for Inbox');
+  runner.assertEqual(backup.operation, 'groupByPeriod', 'Should save a grouping backup');
+  runner.assertEqual(backup.createdFolderIds.length, 2, 'Should record the created year and month folders');
+});
+
+runner.test('Should not group anything when the backup cannot be saved', async () => {
+  const { service } = createService();
+  const folders = mockLiveBookmarks({ 'root': ['saved-2025-01-15T12:00:00Z'] });
+  const originalSet = browser.storage.local.set;
+  browser.storage.local.set = () => Promise.reject(new Error('Storage error'));
+  
+  const result = await service.groupByPeriod('root');
+  browser.storage.local.set = originalSet;
+  
+  runner.assertFalse(result.success, 'Should fail');
+  runner.assertEqual(folders['root'].map(node => node.title), ['saved-2025-01-15T12:00:00Z'], 'Should leave the folder alone');
+});
+
+// Test Suite: archiveFolder - Archiving with Backup
+
+runner.test('Should archive old groups with the saved settings and save a backup', async () => {
+  const { service, storageService } = createService();
+  const recent = `saved-${new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 19)}Z`;
+  const folders = mockLiveBookmarks({ 'root': [recent, 'saved-2025-01-01T00:00:00Z', 'saved-2025-02-01T00:00:00Z'] });
+  await storageService.saveFolderSettings('root', { archiveAfterDays: 30 });
+  
+  const result = await service.archiveFolder('root', { automatic: true });
+  const backup = await storageService.getBackup('root');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.archivedCount, 2, 'Should archive the two old groups');
+  runner.assertEqual(result.maxAgeDays, 30, 'Should use the saved archive age');
+  runner.assertEqual(folders['root'].map(node => node.title), [recent, 'Archive'], 'Should keep the recent group');
+  runner.assertEqual(backup.operation, 'archive', 'Should save an archive backup');
+  runner.assertTrue(backup.automatic, 'Should keep the extra backup details');
+  runner.assertEqual(backup.createdFolderIds.length, 1, 'Should record the created Archive folder');
+});
+
+runner.test('Should not archive folders without a title date, whatever their creation date', async () => {
+  const { service, storageService } = createService();
+  const folders = mockLiveBookmarks({ 'root': ['Inbox', 'saved-2025-01-01T00:00:00Z'] });
+  folders['root'][0].dateAdded = Date.parse('2020-01-01T00:00:00Z');
+  await storageService.saveDateSources(['title', 'dateAdded']);
+  
+  const result = await service.archiveFolder('root');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.archivedCount, 1, 'Should archive only the dated group');
+  runner.assertEqual(folders['root'].map(node => node.title), ['Inbox', 'Archive'], 'Should leave Inbox in place');
+});
+
+runner.test('Should save a backup before archiving so Revert works if the last write fails', async () => {
+  const { service, storageService } = createService();
+  const titles = ['Inbox', 'saved-2025-01-01T00:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  const originalSet = browser.storage.local.set;
+  let writes = 0;
+  browser.storage.local.set = function(items) {
+    writes++;
+    return writes > 1 ? Promise.reject(new Error('Storage error')) : originalSet.call(this, items);
+  };
+  
+  const result = await service.archiveFolder('root');
+  browser.storage.local.set = originalSet;
+  const backup = await storageService.getBackup('root');
+  await service.revertFolder('root');
+  
+  runner.assertTrue(result.success, 'Should archive');
+  runner.assertEqual(backup.operation, 'archive', 'Should keep the backup saved before archiving');
+  runner.assertEqual(folders['root'].slice(0, 2).map(node => node.title), titles, 'Should move the group back on Revert');
+});
+
+runner.test('Should not keep a backup when nothing was archived', async () => {
+  const { service, storageService } = createService();
+  const recent = `saved-${new Date().toISOString().slice(0, 19)}Z`;
+  mockLiveBookmarks({ 'root': [recent] });
+  
+  const result = await service.archiveFolder('root');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.archivedCount, 0, 'Should archive nothing');
+  runner.assertNull(await storageService.getBackup('root'), 'Should remove the backup saved beforehand');
+});
+
+runner.test('Should not archive automatically when the day/month order is ambiguous', async () => {
+  const { service, storageService } = createService();
+  const folders = mockLiveBookmarks({ 'root': ['Saved 01/02/2020, 10:00:00', 'Saved 03/04/2020, 10:00:00'] });
+  
+  const result = await service.archiveFolder('root', { automatic: true });
+  
+  runner.assertFalse(result.success, 'Should not archive');
+  runner.assertTrue(result.skipped, 'Should report the folder as skipped');
+  runner.assertEqual(folders['root'].length, 2, 'Should leave the folder alone');
+  runner.assertNull(await storageService.getBackup('root'), 'Should not save a backup');
+});
+
+// Test Suite: revertFolder - Revert from Backup
+
+runner.test('Should revert the last sort from its backup', async () => {
+  const { service } = createService();
+  const titles = ['saved-2025-01-01T00:00:00Z', 'saved-2025-06-01T00:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  
+  const missing = await service.revertFolder('root');
+  await service.sortFolder('root');
+  const result = await service.revertFolder('root');
+  
+  runner.assertFalse(missing.success, 'Should fail without a backup');
+  runner.assertEqual(missing.error, 'No backup found for this folder', 'Should say there is no backup');
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.operation, 'rearrange', 'Should report what was reverted');
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should restore the original order');
+});
+
+runner.test('Should restore an older backup from the history', async () => {
+  const { service, storageService } = createService();
+  const titles = ['saved-2025-01-01T00:00:00Z', 'saved-2025-06-01T00:00:00Z'];
+  const folders = mockLiveBookmarks({ 'root': titles });
+  
+  await service.sortFolder('root');
+  const [sorted] = await storageService.getBackupHistory('root');
+  await service.sortFolder('root', {}, { direction: 'asc' });
+  const missing = await service.revertFolder('root', 'no-such-backup');
+  const result = await service.revertFolder('root', sorted.id);
+  
+  runner.assertTrue(missing.missing, 'Should report an unknown backup as missing');
+  runner.assertEqual(missing.error, 'This backup no longer exists', 'Should say the backup is gone');
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual(result.backup.id, sorted.id, 'Should restore the backup asked for');
+  runner.assertEqual(folders['root'].map(node => node.title), titles, 'Should restore the order before the first sort');
+});
+
+runner.test('Should restore the day/month order a reformat changed', async () => {
+  const { service, storageService } = createService();
+  mockLiveBookmarks({ 'root': ['Saved 03-04-25'] });
+  browser.bookmarks.update = async () => ({});
+  await storageService.saveFolderSettings('root', { dateConvention: 'MDY' });
+  await storageService.saveBackup('root', [{ id: 'root/Saved 03-04-25', index: 0, title: 'Saved 04/03/2025' }], {
+    operation: 'reformat',
+    dateConvention: 'auto'
+  });
+  
+  const result = await service.revertFolder('root');
+  
+  runner.assertTrue(result.success, 'Should succeed');
+  runner.assertEqual((await storageService.getFolderSettings('root')).dateConvention, 'auto', 'Should restore the earlier order');
+});
+
+// Test Suite: findFoldersByDate - Address Bar Search
+
+runner.test('Should find groups dated within a range at any level', async () => {
+  const { service } = createService();
+  const dateParser = new DateParser();
+  mockLiveBookmarks({ 'root': [] });
+  const bookmark = { url: 'https://example.com' };
+  
+  browser.bookmarks.getSubTree = async () => [{
+    id: 'root',
+    children: [
+      { id: 'g1', title: 'saved-2025-10-14T09:00:00', children: [bookmark] },
+      { id: 'g2', title: 'saved-2025-09-30T09:00:00', children: [bookmark] },
+      { id: 'empty', title: 'saved-2025-10-13T09:00:00', children: [] },
+      { id: 'work', title: 'Work', dateAdded: new Date(2025, 9, 1).getTime(), children: [bookmark, bookmark] },
+      { id: '2025', title: '2025', children: [
+        { id: 'g3', title: 'saved-2025-10-02T09:00:00', children: [bookmark] }
+      ] }
+    ]
+  }];
+  
+  const range = dateParser.parseDateRange('2025-10');
+  const groups = await service.findFoldersByDate('root', range);
+  
+  runner.assertEqual(groups.map(group => group.id), ['g1', 'g3', 'work'], 'Should find nested groups, newest first, skipping empty folders');
+  runner.assertEqual(groups[2].bookmarkCount, 2, 'Should count the bookmarks in each group');
+});
+
+// Test Suite: getNextRunTime - Schedules
+
+runner.test('Should run hourly schedules an hour from now', async () => {
+  const { service } = createService();
+  const now = new Date(2025, 9, 15, 10, 20).getTime();
+  
+  runner.assertEqual(service.getNextRunTime({ frequency: 'hourly' }, now), now + 60 * 60 * 1000, 'Should add an hour');
+  runner.assertNull(service.getNextRunTime({ frequency: 'off' }, now), 'Should not schedule when off');
+  runner.assertNull(service.getNextRunTime({ frequency: 'daily', time: '25:00' }, now), 'Should reject an invalid time');
+});
+
+runner.test('Should count hourly schedules from the last run', async () => {
+  const { service } = createService();
+  const now = new Date(2025, 9, 15, 10, 20).getTime();
+  const minute = 60 * 1000;
+  
+  runner.assertEqual(service.getNextRunTime({ frequency: 'hourly' }, now, now - 40 * minute), now + 20 * minute, 'Should run an hour after the last run');
+  runner.assertEqual(service.getNextRunTime({ frequency: 'hourly' }, now, now - 150 * minute), now + 30 * minute, 'Should skip hours that have passed');
+});
+
+runner.test('Should run daily schedules at the next occurrence of their time', async () => {
+  const { service } = createService();
+  const now = new Date(2025, 9, 15, 10, 20).getTime();
+  
+  runner.assertEqual(service.getNextRunTime({ frequency: 'daily', time: '18:30' }, now), new Date(2025, 9, 15, 18, 30).getTime(), 'Should run later today');
+  runner.assertEqual(service.getNextRunTime({ frequency: 'daily', time: '09:00' }, now), new Date(2025, 9, 16, 9, 0).getTime(), 'Should run tomorrow once the time has passed');
+});
+
+runner.test('Should run weekly schedules on their weekday', async () => {
+  const { service } = createService();
+  // Wednesday 15 October 2025
+  const now = new Date(2025, 9, 15, 10, 20).getTime();
+  
+  runner.assertEqual(service.getNextRunTime({ frequency: 'weekly', weekday: 5, time: '08:00' }, now), new Date(2025, 9, 17, 8, 0).getTime(), 'Should run on Friday');
+  runner.assertEqual(service.getNextRunTime({ frequency: 'weekly', weekday: 3, time: '08:00' }, now), new Date(2025, 9, 22, 8, 0).getTime(), 'Should wait a week once today\'s time has passed');
+  runner.assertEqual(service.getNextRunTime({ frequency: 'weekly' }, now), new Date(2025, 9, 20, 9, 0).getTime(), 'Should default to Monday at 09:00');
+});
+
+// Run all tests
+runner.run().catch(error => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
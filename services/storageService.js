@@ -7,14 +7,20 @@ class StorageService {
   constructor() {
     this.STORAGE_KEYS = {
       PREFERENCES: 'preferences',
-      BACKUPS: 'backups'
+      BACKUPS: 'backups',
+      FOLDER_SETTINGS: 'folderSettings',
+      RUN_OUTCOMES: 'runOutcomes',
+      BACKUP_HISTORY: 'backupHistory'
     };
     this.DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+    this.MAX_CUSTOM_TEMPLATES = 10;
+    this.MAX_BACKUP_HISTORY = 10;
+    this.DEFAULT_DATE_SOURCES = ['title'];
   }
 
   /**
    * Saves user's date format preference
-   * @param {string} format - Date format preference (DD-MM-YY, MM-DD-YY, or YYYY-MM-DD)
+   * @param {string} format - Date format preference (DD-MM-YY, MM-DD-YY, YYYY-MM-DD or a custom template)
    * @returns {Promise<void>}
    */
   async saveDateFormat(format) {
@@ -45,21 +51,262 @@ class StorageService {
   }
 
   /**
-   * Saves backup of folder order before rearrangement
+   * Remembers a user-defined date template, most recent first
+   * Keeps at most MAX_CUSTOM_TEMPLATES entries
+   * @param {string} template - Token template (e.g. 'ddd D MMM YYYY HH:mm')
+   * @returns {Promise<void>}
+   */
+  async saveCustomTemplate(template) {
+    try {
+      const preferences = await this._getPreferences();
+      const templates = (preferences.customTemplates || []).filter(existing => existing !== template);
+      preferences.customTemplates = [template, ...templates].slice(0, this.MAX_CUSTOM_TEMPLATES);
+      await browser.storage.local.set({
+        [this.STORAGE_KEYS.PREFERENCES]: preferences
+      });
+    } catch (error) {
+      console.error('Error saving custom template:', error);
+      throw new Error('Failed to save custom date template');
+    }
+  }
+
+  /**
+   * Retrieves user-defined date templates
+   * @returns {Promise<string[]>} - Templates, most recent first
+   */
+  async getCustomTemplates() {
+    try {
+      const preferences = await this._getPreferences();
+      return preferences.customTemplates || [];
+    } catch (error) {
+      console.error('Error getting custom templates:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Saves the date source chain used to date folders for sorting
+   * @param {string[]} sources - Enabled sources in the order they are tried
+   * @returns {Promise<void>}
+   */
+  async saveDateSources(sources) {
+    try {
+      const preferences = await this._getPreferences();
+      preferences.dateSources = sources;
+      await browser.storage.local.set({
+        [this.STORAGE_KEYS.PREFERENCES]: preferences
+      });
+    } catch (error) {
+      console.error('Error saving date sources:', error);
+      throw new Error('Failed to save date source preference');
+    }
+  }
+
+  /**
+   * Retrieves the date source chain used to date folders for sorting
+   * @returns {Promise<string[]>} - Enabled sources, defaults to the title only; each fallback is opted into in the popup
+   */
+  async getDateSources() {
+    try {
+      const preferences = await this._getPreferences();
+      return Array.isArray(preferences.dateSources) ? preferences.dateSources : [...this.DEFAULT_DATE_SOURCES];
+    } catch (error) {
+      console.error('Error getting date sources:', error);
+      return [...this.DEFAULT_DATE_SOURCES];
+    }
+  }
+
+  /**
+   * Remembers the parent folder the user last sorted, for the keyboard shortcuts
+   * @param {string} parentFolderId - Parent folder ID
+   * @returns {Promise<void>}
+   */
+  async saveLastSortedFolder(parentFolderId) {
+    try {
+      const preferences = await this._getPreferences();
+      preferences.lastSortedFolderId = parentFolderId;
+      await browser.storage.local.set({
+        [this.STORAGE_KEYS.PREFERENCES]: preferences
+      });
+    } catch (error) {
+      console.error('Error saving last sorted folder:', error);
+      throw new Error('Failed to save last sorted folder');
+    }
+  }
+
+  /**
+   * Retrieves the parent folder the user last sorted
+   * @returns {Promise<string | null>} - Parent folder ID, or null if none was sorted yet
+   */
+  async getLastSortedFolder() {
+    try {
+      const preferences = await this._getPreferences();
+      return preferences.lastSortedFolderId || null;
+    } catch (error) {
+      console.error('Error getting last sorted folder:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves the parent folder the address bar keyword searches
+   * @param {string | null} parentFolderId - Parent folder ID, or null to search the last sorted folder
+   * @returns {Promise<void>}
+   */
+  async saveSearchFolder(parentFolderId) {
+    try {
+      const preferences = await this._getPreferences();
+      preferences.searchFolderId = parentFolderId;
+      await browser.storage.local.set({
+        [this.STORAGE_KEYS.PREFERENCES]: preferences
+      });
+    } catch (error) {
+      console.error('Error saving search folder:', error);
+      throw new Error('Failed to save search folder');
+    }
+  }
+
+  /**
+   * Retrieves the parent folder the address bar keyword searches
+   * @returns {Promise<string | null>} - Parent folder ID, or null if none was chosen
+   */
+  async getSearchFolder() {
+    try {
+      const preferences = await this._getPreferences();
+      return preferences.searchFolderId || null;
+    } catch (error) {
+      console.error('Error getting search folder:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves settings for a specific parent folder, merged with any existing settings
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Object} updates - Settings to change, e.g. { dateConvention: 'DMY' }
+   * @returns {Promise<void>}
+   */
+  async saveFolderSettings(parentFolderId, updates) {
+    try {
+      const allSettings = await this._getAllFolderSettings();
+      allSettings[parentFolderId] = {
+        ...(allSettings[parentFolderId] || {}),
+        ...updates
+      };
+      await browser.storage.local.set({
+        [this.STORAGE_KEYS.FOLDER_SETTINGS]: allSettings
+      });
+    } catch (error) {
+      console.error('Error saving folder settings:', error);
+      throw new Error('Failed to save folder settings');
+    }
+  }
+
+  /**
+   * Retrieves settings for a specific parent folder
+   * @param {string} parentFolderId - Parent folder ID
+   * @returns {Promise<Object>} - Settings object, empty if none saved
+   */
+  async getFolderSettings(parentFolderId) {
+    try {
+      const allSettings = await this._getAllFolderSettings();
+      return allSettings[parentFolderId] || {};
+    } catch (error) {
+      console.error('Error getting folder settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Retrieves the schedule of every folder that is organised on one
+   * @returns {Promise<Object<string, {frequency: string, time?: string, weekday?: number}>>} - Schedules by
+   *   parent folder ID, leaving out folders whose schedule is off
+   */
+  async getScheduledFolders() {
+    try {
+      const allSettings = await this._getAllFolderSettings();
+      const scheduled = {};
+      for (const [parentFolderId, settings] of Object.entries(allSettings)) {
+        if (settings.schedule && settings.schedule.frequency && settings.schedule.frequency !== 'off') {
+          scheduled[parentFolderId] = settings.schedule;
+        }
+      }
+      return scheduled;
+    } catch (error) {
+      console.error('Error getting scheduled folders:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Records the outcome of the last scheduled run for a folder
    * @param {string} parentFolderId - Parent folder ID
-   * @param {Array<{id: string, index: number}>} folders - Array of folder objects with id and index
+   * @param {{success: boolean, movedCount: number, skipped?: boolean, error?: string, archivedCount?: number,
+   *   archiveError?: string}} outcome - Run result; the archive fields are set when the run also archived
    * @returns {Promise<void>}
    */
-  async saveBackup(parentFolderId, folders) {
+  async saveRunOutcome(parentFolderId, outcome) {
+    try {
+      const outcomes = await this._getRunOutcomes();
+      outcomes[parentFolderId] = {
+        ...outcome,
+        timestamp: Date.now()
+      };
+      await browser.storage.local.set({
+        [this.STORAGE_KEYS.RUN_OUTCOMES]: outcomes
+      });
+    } catch (error) {
+      console.error('Error saving run outcome:', error);
+      throw new Error('Failed to save scheduled run outcome');
+    }
+  }
+
+  /**
+   * Retrieves the outcome of the last scheduled run for a folder
+   * @param {string} parentFolderId - Parent folder ID
+   * @returns {Promise<{timestamp: number, success: boolean, movedCount: number, skipped?: boolean, error?: string,
+   *   archivedCount?: number, archiveError?: string} | null>}
+   */
+  async getRunOutcome(parentFolderId) {
+    try {
+      const outcomes = await this._getRunOutcomes();
+      return outcomes[parentFolderId] || null;
+    } catch (error) {
+      console.error('Error getting run outcome:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves backup of folder order (and titles, when they are about to change) before an operation
+   * The backup is added to the folder's history, which keeps the MAX_BACKUP_HISTORY newest snapshots;
+   * the newest is the one Revert restores. Pass the id returned by an earlier call as details.id to
+   * update that snapshot instead, e.g. once an operation knows which folders it created.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {Array<{id: string, index: number, title?: string}>} folders - Array of folder objects with id and index
+   * @param {Object} [details] - Extra fields stored with the backup, e.g. { operation: 'reformat' }
+   * @returns {Promise<string>} ID of the saved snapshot
+   */
+  async saveBackup(parentFolderId, folders, details = {}) {
     try {
       const backups = await this._getBackups();
-      backups[parentFolderId] = {
+      const history = await this._getBackupHistory();
+      const backup = {
+        ...details,
+        id: details.id || this._createSnapshotId(),
         timestamp: Date.now(),
         folders: folders
       };
+
+      const snapshots = this._getSnapshots(backups, history, parentFolderId)
+        .filter(snapshot => snapshot.id !== backup.id);
+      history[parentFolderId] = [backup, ...snapshots].slice(0, this.MAX_BACKUP_HISTORY);
+
       await browser.storage.local.set({
-        [this.STORAGE_KEYS.BACKUPS]: backups
+        ...this._migrateLegacyBackup(backups, parentFolderId),
+        [this.STORAGE_KEYS.BACKUP_HISTORY]: history
       });
+      return backup.id;
     } catch (error) {
       console.error('Error saving backup:', error);
       throw new Error('Failed to save folder backup');
@@ -67,20 +314,94 @@ class StorageService {
   }
 
   /**
-   * Retrieves backup for a specific folder
+   * Retrieves the newest backup for a specific folder, the one Revert restores
    * @param {string} parentFolderId - Parent folder ID
-   * @returns {Promise<{timestamp: number, folders: Array<{id: string, index: number}>} | null>}
+   * @returns {Promise<{id: string, timestamp: number, operation?: string, folders: Array<{id: string, index: number, title?: string}>} | null>}
    */
   async getBackup(parentFolderId) {
     try {
-      const backups = await this._getBackups();
-      return backups[parentFolderId] || null;
+      const [newest] = await this._getFolderSnapshots(parentFolderId);
+      return newest || null;
     } catch (error) {
       console.error('Error getting backup:', error);
       return null;
     }
   }
 
+  /**
+   * Lists the saved snapshots of a folder, newest first, without their folder data
+   * @param {string} parentFolderId - Parent folder ID
+   * @returns {Promise<Array<{id: string, timestamp: number, operation: string, folderCount: number,
+   *   recursive: boolean, automatic: boolean}>>} operation is 'rearrange' for snapshots saved without one
+   */
+  async getBackupHistory(parentFolderId) {
+    try {
+      const snapshots = await this._getFolderSnapshots(parentFolderId);
+      return snapshots.map(snapshot => ({
+        id: snapshot.id,
+        timestamp: snapshot.timestamp,
+        operation: snapshot.operation || 'rearrange',
+        folderCount: Array.isArray(snapshot.folders) ? snapshot.folders.length : 0,
+        recursive: snapshot.recursive === true,
+        automatic: snapshot.automatic === true
+      }));
+    } catch (error) {
+      console.error('Error getting backup history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Retrieves one snapshot from a folder's history, in the same shape as getBackup()
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {string} snapshotId - Snapshot ID from getBackupHistory()
+   * @returns {Promise<Object | null>}
+   */
+  async getBackupSnapshot(parentFolderId, snapshotId) {
+    try {
+      const snapshots = await this._getFolderSnapshots(parentFolderId);
+      return snapshots.find(snapshot => snapshot.id === snapshotId) || null;
+    } catch (error) {
+      console.error('Error getting backup snapshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Deletes one snapshot from a folder's history
+   * When it was the newest, the next newest snapshot becomes the one Revert restores.
+   * @param {string} parentFolderId - Parent folder ID
+   * @param {string} snapshotId - Snapshot ID from getBackupHistory()
+   * @returns {Promise<boolean>} False when the folder has no such snapshot
+   */
+  async deleteBackupSnapshot(parentFolderId, snapshotId) {
+    try {
+      const backups = await this._getBackups();
+      const history = await this._getBackupHistory();
+      const snapshots = this._getSnapshots(backups, history, parentFolderId);
+      const remaining = snapshots.filter(snapshot => snapshot.id !== snapshotId);
+
+      if (remaining.length === snapshots.length) {
+        return false;
+      }
+
+      if (remaining.length > 0) {
+        history[parentFolderId] = remaining;
+      } else {
+        delete history[parentFolderId];
+      }
+
+      await browser.storage.local.set({
+        ...this._migrateLegacyBackup(backups, parentFolderId),
+        [this.STORAGE_KEYS.BACKUP_HISTORY]: history
+      });
+      return true;
+    } catch (error) {
+      console.error('Error deleting backup snapshot:', error);
+      throw new Error('Failed to delete backup snapshot');
+    }
+  }
+
   /**
    * Checks if backup exists for a folder
    * @param {string} parentFolderId - Parent folder ID
@@ -112,7 +433,107 @@ class StorageService {
   }
 
   /**
-   * Private helper to get backups object
+   * Private helper to get the per-folder settings object
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _getAllFolderSettings() {
+    try {
+      const result = await browser.storage.local.get(this.STORAGE_KEYS.FOLDER_SETTINGS);
+      return result[this.STORAGE_KEYS.FOLDER_SETTINGS] || {};
+    } catch (error) {
+      console.error('Error retrieving folder settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Private helper to get the scheduled run outcomes object
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _getRunOutcomes() {
+    try {
+      const result = await browser.storage.local.get(this.STORAGE_KEYS.RUN_OUTCOMES);
+      return result[this.STORAGE_KEYS.RUN_OUTCOMES] || {};
+    } catch (error) {
+      console.error('Error retrieving run outcomes:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Private helper to load the snapshots of one folder, newest first
+   * @param {string} parentFolderId - Parent folder ID
+   * @returns {Promise<Array<Object>>}
+   * @private
+   */
+  async _getFolderSnapshots(parentFolderId) {
+    const backups = await this._getBackups();
+    const history = await this._getBackupHistory();
+    return this._getSnapshots(backups, history, parentFolderId);
+  }
+
+  /**
+   * Private helper to drop a folder's backup saved before the history existed, once its history is written
+   * @param {Object} backups - Backups saved before the history existed, by parent folder ID
+   * @param {string} parentFolderId - Parent folder ID
+   * @returns {Object} Storage items to set alongside the history; empty when there was nothing to drop
+   * @private
+   */
+  _migrateLegacyBackup(backups, parentFolderId) {
+    if (!backups[parentFolderId]) {
+      return {};
+    }
+
+    delete backups[parentFolderId];
+    return { [this.STORAGE_KEYS.BACKUPS]: backups };
+  }
+
+  /**
+   * Private helper to get the snapshots of one folder, newest first
+   * A backup saved before the history existed counts as its only snapshot.
+   * @param {Object} backups - Backups saved before the history existed, by parent folder ID
+   * @param {Object} history - Snapshot lists by parent folder ID
+   * @param {string} parentFolderId - Parent folder ID
+   * @returns {Array<Object>}
+   * @private
+   */
+  _getSnapshots(backups, history, parentFolderId) {
+    if (Array.isArray(history[parentFolderId])) {
+      return history[parentFolderId];
+    }
+
+    const legacy = backups[parentFolderId];
+    return legacy ? [{ ...legacy, id: legacy.id || `legacy-${legacy.timestamp}` }] : [];
+  }
+
+  /**
+   * Private helper to create a snapshot ID that is unique within a folder's history
+   * @returns {string}
+   * @private
+   */
+  _createSnapshotId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Private helper to get the backup history object
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _getBackupHistory() {
+    try {
+      const result = await browser.storage.local.get(this.STORAGE_KEYS.BACKUP_HISTORY);
+      return result[this.STORAGE_KEYS.BACKUP_HISTORY] || {};
+    } catch (error) {
+      console.error('Error retrieving backup history:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Private helper to get the backups saved before the history existed
    * @returns {Promise<Object>}
    * @private
    */
@@ -150,6 +150,172 @@ runner.test('Should preserve other preferences when saving date format', async (
   runner.assertEqual(result.preferences.dateFormat, 'YYYY-MM-DD', 'Should update date format');
 });
 
+// Test Suite: Custom Date Templates
+
+runner.test('Should save and retrieve custom templates, most recent first', async () => {
+  const service = new StorageService();
+  await service.saveCustomTemplate('ddd D MMM YYYY');
+  await service.saveCustomTemplate('GGGG-[W]WW');
+  
+  const templates = await service.getCustomTemplates();
+  runner.assertEqual(templates, ['GGGG-[W]WW', 'ddd D MMM YYYY'], 'Should list newest template first');
+});
+
+runner.test('Should not duplicate a re-saved custom template', async () => {
+  const service = new StorageService();
+  await service.saveCustomTemplate('D MMMM');
+  await service.saveCustomTemplate('YYYY');
+  await service.saveCustomTemplate('D MMMM');
+  
+  const templates = await service.getCustomTemplates();
+  runner.assertEqual(templates, ['D MMMM', 'YYYY'], 'Should move existing template to the front');
+});
+
+runner.test('Should cap the number of stored custom templates', async () => {
+  const service = new StorageService();
+  for (let i = 0; i < 12; i++) {
+    await service.saveCustomTemplate(`YYYY [${i}]`);
+  }
+  
+  const templates = await service.getCustomTemplates();
+  runner.assertEqual(templates.length, service.MAX_CUSTOM_TEMPLATES, 'Should keep at most the maximum');
+  runner.assertEqual(templates[0], 'YYYY [11]', 'Should keep the newest');
+});
+
+runner.test('Should keep date format when saving custom templates', async () => {
+  const service = new StorageService();
+  await service.saveDateFormat('DD-MM-YY');
+  await service.saveCustomTemplate('D MMM');
+  
+  runner.assertEqual(await service.getDateFormat(), 'DD-MM-YY', 'Should preserve date format');
+});
+
+runner.test('Should return empty template list by default', async () => {
+  const service = new StorageService();
+  
+  runner.assertEqual(await service.getCustomTemplates(), [], 'Should return empty array');
+});
+
+// Test Suite: Date Source Chain
+
+runner.test('Should default to title dates only', async () => {
+  const service = new StorageService();
+  
+  runner.assertEqual(await service.getDateSources(), ['title'], 'Should leave every metadata fallback off');
+});
+
+runner.test('Should save and retrieve date sources', async () => {
+  const service = new StorageService();
+  await service.saveDateSources(['title', 'dateGroupModified']);
+  
+  runner.assertEqual(await service.getDateSources(), ['title', 'dateGroupModified'], 'Should retrieve saved chain');
+});
+
+runner.test('Should return default date sources when storage fails', async () => {
+  const service = new StorageService();
+  
+  const originalGet = global.browser.storage.local.get;
+  global.browser.storage.local.get = () => Promise.reject(new Error('Storage error'));
+  
+  const sources = await service.getDateSources();
+  
+  global.browser.storage.local.get = originalGet;
+  
+  runner.assertEqual(sources, ['title'], 'Should return default on error');
+});
+
+// Test Suite: Last Sorted and Search Folders
+
+runner.test('Should remember the last sorted folder', async () => {
+  const service = new StorageService();
+  
+  runner.assertNull(await service.getLastSortedFolder(), 'Should be null before any sort');
+  
+  await service.saveDateSources(['title']);
+  await service.saveLastSortedFolder('folder1');
+  
+  runner.assertEqual(await service.getLastSortedFolder(), 'folder1', 'Should retrieve the saved folder');
+  runner.assertEqual(await service.getDateSources(), ['title'], 'Should keep the other preferences');
+});
+
+runner.test('Should save and clear the search folder', async () => {
+  const service = new StorageService();
+  
+  await service.saveSearchFolder('folder1');
+  runner.assertEqual(await service.getSearchFolder(), 'folder1', 'Should retrieve the saved folder');
+  
+  await service.saveSearchFolder(null);
+  runner.assertNull(await service.getSearchFolder(), 'Should clear the folder');
+});
+
+// Test Suite: Per-Folder Settings
+
+runner.test('Should save and retrieve settings for a folder', async () => {
+  const service = new StorageService();
+  await service.saveFolderSettings('folder1', { dateConvention: 'DMY' });
+  
+  const settings = await service.getFolderSettings('folder1');
+  runner.assertEqual(settings, { dateConvention: 'DMY' }, 'Should retrieve saved settings');
+});
+
+runner.test('Should merge folder settings updates', async () => {
+  const service = new StorageService();
+  await service.saveFolderSettings('folder1', { dateConvention: 'DMY', other: 1 });
+  await service.saveFolderSettings('folder1', { dateConvention: 'MDY' });
+  
+  const settings = await service.getFolderSettings('folder1');
+  runner.assertEqual(settings, { dateConvention: 'MDY', other: 1 }, 'Should keep untouched settings');
+});
+
+runner.test('Should keep settings separate per folder', async () => {
+  const service = new StorageService();
+  await service.saveFolderSettings('folder1', { dateConvention: 'DMY' });
+  
+  runner.assertEqual(await service.getFolderSettings('folder2'), {}, 'Should return empty settings for other folders');
+});
+
+runner.test('Should throw error when saveFolderSettings fails', async () => {
+  const service = new StorageService();
+  
+  const originalSet = global.browser.storage.local.set;
+  global.browser.storage.local.set = () => Promise.reject(new Error('Storage error'));
+  
+  let errorThrown = false;
+  try {
+    await service.saveFolderSettings('folder1', { dateConvention: 'DMY' });
+  } catch (error) {
+    errorThrown = true;
+    runner.assertTrue(error.message.includes('Failed to save'), 'Should throw meaningful error');
+  }
+  
+  global.browser.storage.local.set = originalSet;
+  
+  runner.assertTrue(errorThrown, 'Should throw error on storage failure');
+});
+
+// Test Suite: Schedules and Run Outcomes
+
+runner.test('Should list only folders with a schedule', async () => {
+  const service = new StorageService();
+  await service.saveFolderSettings('folder1', { schedule: { frequency: 'daily', time: '09:00' } });
+  await service.saveFolderSettings('folder2', { schedule: { frequency: 'off' } });
+  await service.saveFolderSettings('folder3', { dateConvention: 'DMY' });
+  
+  const scheduled = await service.getScheduledFolders();
+  runner.assertEqual(scheduled, { folder1: { frequency: 'daily', time: '09:00' } }, 'Should leave out unscheduled folders');
+});
+
+runner.test('Should save and retrieve the last run outcome per folder', async () => {
+  const service = new StorageService();
+  await service.saveRunOutcome('folder1', { success: true, movedCount: 3 });
+  
+  const outcome = await service.getRunOutcome('folder1');
+  runner.assertTrue(outcome.success, 'Should keep the result');
+  runner.assertEqual(outcome.movedCount, 3, 'Should keep the move count');
+  runner.assertTrue(typeof outcome.timestamp === 'number', 'Should record when it ran');
+  runner.assertNull(await service.getRunOutcome('folder2'), 'Should return null for folders that never ran');
+});
+
 // Test Suite: Backup Creation and Retrieval
 
 runner.test('Should save backup for a folder', async () => {
@@ -163,9 +329,9 @@ runner.test('Should save backup for a folder', async () => {
   
   await service.saveBackup(folderId, folders);
   
-  const result = await global.browser.storage.local.get('backups');
-  runner.assertTrue(result.backups[folderId] !== undefined, 'Should save backup');
-  runner.assertEqual(result.backups[folderId].folders, folders, 'Should save folder data');
+  const result = await global.browser.storage.local.get('backupHistory');
+  runner.assertTrue(result.backupHistory[folderId] !== undefined, 'Should save backup');
+  runner.assertEqual(result.backupHistory[folderId][0].folders, folders, 'Should save folder data');
 });
 
 runner.test('Should include timestamp when saving backup', async () => {
@@ -177,8 +343,8 @@ runner.test('Should include timestamp when saving backup', async () => {
   await service.saveBackup(folderId, folders);
   const afterTime = Date.now();
   
-  const result = await global.browser.storage.local.get('backups');
-  const timestamp = result.backups[folderId].timestamp;
+  const result = await global.browser.storage.local.get('backupHistory');
+  const timestamp = result.backupHistory[folderId][0].timestamp;
   
   runner.assertTrue(timestamp >= beforeTime && timestamp <= afterTime, 'Should include valid timestamp');
 });
@@ -198,6 +364,17 @@ runner.test('Should retrieve backup for a specific folder', async () => {
   runner.assertTrue(backup.timestamp > 0, 'Should include timestamp');
 });
 
+runner.test('Should store extra backup details such as operation type', async () => {
+  const service = new StorageService();
+  const folders = [{ id: 'sub1', index: 0, title: 'Saved 10/12/2025' }];
+  
+  await service.saveBackup('folder123', folders, { operation: 'reformat' });
+  const backup = await service.getBackup('folder123');
+  
+  runner.assertEqual(backup.operation, 'reformat', 'Should store operation');
+  runner.assertEqual(backup.folders, folders, 'Should store titles with folders');
+});
+
 runner.test('Should return null when backup does not exist', async () => {
   const service = new StorageService();
   const backup = await service.getBackup('nonexistent');
@@ -253,6 +430,94 @@ runner.test('Should return false when checking nonexistent backup', async () =>
   runner.assertFalse(hasBackup, 'Should return false for nonexistent backup');
 });
 
+// Test Suite: Backup History
+
+runner.test('Should keep earlier backups in the history, newest first', async () => {
+  const service = new StorageService();
+  await service.saveBackup('folder1', [{ id: 'a', index: 0 }, { id: 'b', index: 1 }], { operation: 'rearrange' });
+  await service.saveBackup('folder1', [{ id: 'a', index: 0, title: 'A' }], { operation: 'reformat' });
+  
+  const history = await service.getBackupHistory('folder1');
+  runner.assertEqual(history.length, 2, 'Should keep both backups');
+  runner.assertEqual(history.map(entry => entry.operation), ['reformat', 'rearrange'], 'Should list newest first');
+  runner.assertEqual(history[1].folderCount, 2, 'Should count the saved items');
+  runner.assertTrue(history[1].folders === undefined, 'Should leave out the folder data');
+  runner.assertEqual((await service.getBackup('folder1')).operation, 'reformat', 'Latest backup should be the newest');
+});
+
+runner.test('Should keep at most MAX_BACKUP_HISTORY backups per folder', async () => {
+  const service = new StorageService();
+  for (let i = 0; i < service.MAX_BACKUP_HISTORY + 2; i++) {
+    await service.saveBackup('folder1', [{ id: `sub${i}`, index: 0 }]);
+  }
+  
+  const history = await service.getBackupHistory('folder1');
+  runner.assertEqual(history.length, service.MAX_BACKUP_HISTORY, 'Should drop the oldest backups');
+  const oldest = await service.getBackupSnapshot('folder1', history[history.length - 1].id);
+  runner.assertEqual(oldest.folders, [{ id: 'sub2', index: 0 }], 'Should keep the newest ones');
+});
+
+runner.test('Should update a backup in place when saved again with its ID', async () => {
+  const service = new StorageService();
+  await service.saveBackup('folder1', [{ id: 'old', index: 0 }]);
+  const id = await service.saveBackup('folder1', [{ id: 'sub1', index: 0 }], { operation: 'rearrange' });
+  await service.saveBackup('folder1', [{ id: 'sub1', index: 0, parentId: 'undated' }], {
+    id,
+    operation: 'rearrange',
+    createdFolderIds: ['undated']
+  });
+  
+  const history = await service.getBackupHistory('folder1');
+  runner.assertEqual(history.length, 2, 'Should not add another backup');
+  runner.assertEqual(history[0].id, id, 'Should keep the backup ID');
+  const snapshot = await service.getBackupSnapshot('folder1', id);
+  runner.assertEqual(snapshot.createdFolderIds, ['undated'], 'Should store the updated details');
+});
+
+runner.test('Should retrieve any backup in the history by ID', async () => {
+  const service = new StorageService();
+  const firstId = await service.saveBackup('folder1', [{ id: 'sub1', index: 0 }], { operation: 'archive' });
+  await service.saveBackup('folder1', [{ id: 'sub2', index: 0 }]);
+  
+  const snapshot = await service.getBackupSnapshot('folder1', firstId);
+  runner.assertEqual(snapshot.operation, 'archive', 'Should return the older backup');
+  runner.assertEqual(snapshot.folders, [{ id: 'sub1', index: 0 }], 'Should include its folder data');
+  runner.assertNull(await service.getBackupSnapshot('folder1', 'missing'), 'Should return null for unknown IDs');
+  runner.assertNull(await service.getBackupSnapshot('folder2', firstId), 'Should not find backups of other folders');
+});
+
+runner.test('Should delete a backup and fall back to the next newest', async () => {
+  const service = new StorageService();
+  const firstId = await service.saveBackup('folder1', [{ id: 'sub1', index: 0 }], { operation: 'archive' });
+  const secondId = await service.saveBackup('folder1', [{ id: 'sub2', index: 0 }], { operation: 'reformat' });
+  
+  runner.assertTrue(await service.deleteBackupSnapshot('folder1', secondId), 'Should report the deletion');
+  runner.assertEqual((await service.getBackup('folder1')).id, firstId, 'Revert should use the next newest backup');
+  runner.assertFalse(await service.deleteBackupSnapshot('folder1', secondId), 'Should report unknown IDs');
+  
+  await service.deleteBackupSnapshot('folder1', firstId);
+  runner.assertEqual(await service.getBackupHistory('folder1'), [], 'Should empty the history');
+  runner.assertFalse(await service.hasBackup('folder1'), 'Should leave no backup to revert');
+});
+
+runner.test('Should list a backup saved before the history existed', async () => {
+  const service = new StorageService();
+  await global.browser.storage.local.set({
+    backups: { folder1: { timestamp: 1000, operation: 'reformat', folders: [{ id: 'sub1', index: 0, title: 'A' }] } }
+  });
+  
+  const history = await service.getBackupHistory('folder1');
+  runner.assertEqual(history.length, 1, 'Should list the existing backup');
+  runner.assertEqual(history[0].operation, 'reformat', 'Should keep its operation');
+  runner.assertEqual((await service.getBackupSnapshot('folder1', history[0].id)).folders[0].title, 'A', 'Should retrieve it by ID');
+  
+  await service.saveBackup('folder1', [{ id: 'sub1', index: 0 }]);
+  runner.assertEqual((await service.getBackupHistory('folder1')).length, 2, 'Should keep it when the next backup is saved');
+  
+  const result = await global.browser.storage.local.get('backups');
+  runner.assertEqual(result.backups, {}, 'Should move it into the history');
+});
+
 // Test Suite: Error Handling
 
 runner.test('Should throw error when saveDateFormat fails', async () => {
@@ -342,6 +607,23 @@ runner.test('Should return false when hasBackup fails', async () => {
   runner.assertFalse(hasBackup, 'Should return false on error');
 });
 
+runner.test('Should throw error when deleteBackupSnapshot fails', async () => {
+  const service = new StorageService();
+  const id = await service.saveBackup('folder1', [{ id: 'sub1', index: 0 }]);
+  
+  const originalSet = global.browser.storage.local.set;
+  global.browser.storage.local.set = () => Promise.reject(new Error('Storage error'));
+  
+  try {
+    await service.deleteBackupSnapshot('folder1', id);
+    throw new Error('Should have thrown an error');
+  } catch (error) {
+    runner.assertEqual(error.message, 'Failed to delete backup snapshot', 'Should throw descriptive error');
+  }
+  
+  global.browser.storage.local.set = originalSet;
+});
+
 // Test Suite: Edge Cases
 
 runner.test('Should handle empty folder array in backup', async () => {